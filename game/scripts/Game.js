@@ -3,10 +3,19 @@
  * Handles game loop, state management, and entity coordination
  */
 class Game {
-    constructor(canvasId) {
+    /**
+     * @param {string} canvasId - Id of the game canvas element
+     * @param {Object} [options]
+     * @param {boolean} [options.headless] - Run without the DOM (defaults to true when `document` is missing)
+     * @param {Object} [options.services] - Replacement render/input/audio services (see tools/headless)
+     */
+    constructor(canvasId, options = {}) {
+        this.headless = options.headless ?? (typeof document === 'undefined');
+        const injected = options.services || {};
+
         // Canvas setup
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
+        this.canvas = injected.render?.canvas || document.getElementById(canvasId);
+        this.ctx = injected.render?.ctx || this.canvas.getContext('2d');
         this.ctx.imageSmoothingEnabled = false; // Pixel art
         
         // Game state
@@ -17,8 +26,8 @@ class Game {
         
         // Core systems
         this.config = GameConfig;
-        this.input = new InputManager();
-        this.audioManager = new AudioManager(this.config);
+        this.input = injected.input?.manager || new InputManager();
+        this.audioManager = injected.audio?.managerRef || new AudioManager(this.config);
         this.currentLevelMusicId = 'level1';
         this.currentLevelMusicVolume = 0.8;
         this.stateManager = new GameStateManager(this);
@@ -83,31 +92,42 @@ class Game {
         this.timeScale = GameConfig.timing?.timeScale ?? 0.6; // Slow down everything by 40%
         this.fps = GameConfig.timing?.fps ?? 60;
         this.targetFrameTime = 1000 / this.fps;
-        this.loop = new GameLoop({
-            timeScale: this.timeScale,
-            onUpdate: this.onTick.bind(this)
-        });
+        this.renderAlpha = 1;
+        this.loop = this.createLoop();
 
         // Intro dialogue UI
-        this.speechBubbleUI = new SpeechBubble(document);
+        this.speechBubbleUI = new SpeechBubble(this.headless ? null : document);
         this.speechBubbleUI.init();
         this.speechBubble = this.speechBubbleUI.refs;
 
         // Services (DI)
-        const persistence = new PersistenceService();
+        const persistence = new PersistenceService(null, {
+            remote: new HttpPersistenceAdapter(this.config?.saveSync || {})
+        });
         this.services = {
-            input: new InputService(this.input),
-            audio: new AudioService(this.audioManager),
-            render: new RenderContext(this.canvas, this.ctx),
+            input: injected.input || new InputService(this.input),
+            audio: injected.audio || new AudioService(this.audioManager),
+            render: injected.render || new RenderContext(this.canvas, this.ctx),
             persistence,
             reset: null,
             save: null,
+            replay: null,
+            rng: new RandomService(),
             eventBus: new EventBus()
         };
         this.serviceLocator = new ServiceLocator(this.services);
         this.services.reset = new ResetService(this);
         this.services.save = new SaveService(persistence);
+        this.services.replay = new ReplayService(this, {
+            input: this.services.input,
+            save: this.services.save
+        });
         this.progress = new ProgressManager(this, this.services.save);
+        this.lives = new LivesManager(this, this.config?.level || {});
+        this.campaign = new CampaignManager(this, this.config?.campaign || {}, this.progress);
+        this.passwords = new LevelPasswords(null, this.config?.campaign?.passwords || {});
+        this.highScores = new HighScoreBoard(this.services.save);
+        this.leaderboard = new LeaderboardService(this.config?.leaderboard || {});
         this.audioController = new AudioController(this, this.services.audio, this.config);
         this.testRoomManager = new TestRoomManager(this);
         this.townManager = new TownManager(this, this.config?.towns || {});
@@ -159,7 +179,7 @@ class Game {
         this.dialogueManager = new DialogueManager(this, dialogues, this.speechBubbleUI);
         this.dialogueState = this.dialogueManager.state; // legacy alias
         this.uiManager = new UIManager(this, this.services);
-        this.soundGallery = new SoundGalleryManager(this);
+        this.soundGallery = this.headless ? null : new SoundGalleryManager(this); // DOM-only jukebox
         this.entityFactory = new EntityFactory(this, this.config);
         this.worldBuilder = new WorldBuilder(this, this.entityFactory, this.services);
         this.systems = new GameSystems(this);
@@ -183,7 +203,7 @@ class Game {
             startLoop: () => this.startLoop(),
             stopLoop: () => this.stopLoop(),
             onTick: (dt, info) => this.onTick(dt, info),
-            render: () => this.render(),
+            render: (alpha) => this.render(alpha),
             setRunning: (val) => { this.running = val; },
             getGameTime: () => this.gameTime,
             ensureTitleMusicPlaying: () => this.ensureTitleMusicPlaying(),
@@ -279,18 +299,22 @@ class Game {
         // Initialize audio
         this.audioManager.initializeGameSounds();
         
-        // Set up event listeners
-        this.setupEventListeners();
-        this.setupSpeechBubbleUI();
-        this.signUI.setupSignDialogueUI();
-        this.setupInventoryUI();
+        // Set up event listeners and DOM overlays (headless runs have no document)
+        if (!this.headless) {
+            this.setupEventListeners();
+            this.setupSpeechBubbleUI();
+            this.signUI.setupSignDialogueUI();
+            this.setupInventoryUI();
+        }
         this.badgeUI = new BadgeUI(this);
         this.journalUI = new JournalUI(this);
-        this.setupChestUI();
-        this.setupShopUI();
-        this.audioController.applyConfigDefaults();
-        // Sync audio UI with config defaults on load
-        this.audioController.updateUI();
+        if (!this.headless) {
+            this.setupChestUI();
+            this.setupShopUI();
+            this.audioController.applyConfigDefaults();
+            // Sync audio UI with config defaults on load
+            this.audioController.updateUI();
+        }
         
         // Create initial level
         // Register bundled levels
@@ -957,9 +981,7 @@ class Game {
         
         // Create a simple sunset gradient as fallback
         const render = this.getRenderService();
-        const canvas = document.createElement('canvas');
-        canvas.width = render.width();
-        canvas.height = render.height();
+        const canvas = RenderContext.createCanvas(render.width(), render.height());
         const ctx = canvas.getContext('2d');
         
         // Create gradient
@@ -1069,11 +1091,6 @@ class Game {
             this.badgeUI.reapplyAllModifiers(this.player);
         }
 
-        // Apply pending save snapshot after player/world exists
-        this.progress?.applyPendingSnapshot();
-
-        this.updateInventoryOverlay();
-        
         // Reset game stats
         this.stats = {
             enemiesDefeated: 0,
@@ -1082,18 +1099,36 @@ class Game {
             timeElapsed: 0
         };
 
+        // Apply pending save snapshot after player/world exists (and after the
+        // stats reset so saved stats survive)
+        // Fresh lives/checkpoint for this level (a pending snapshot restores saved ones)
+        const levelRegistry = (typeof window !== 'undefined' && window.levelRegistry) ? window.levelRegistry : null;
+        this.lives?.configure(levelRegistry?.get?.(this.currentLevelId) || null);
+        this.progress?.clearRespawnPoint();
+        this.progress?.applyPendingSnapshot();
+        this.progress?.applyPendingCarry();
+
+        this.updateInventoryOverlay();
+
         this.startTestIntroDialogueIfNeeded();
     }
 
     /**
      * Start/stop loop control (delegates to GameLoop)
      */
+    createLoop() {
+        return new GameLoop({
+            timeScale: this.timeScale,
+            stepMs: this.targetFrameTime,
+            maxStepsPerFrame: GameConfig.timing?.maxStepsPerFrame ?? 5,
+            onUpdate: this.onTick.bind(this),
+            onRender: this.onRender.bind(this)
+        });
+    }
+
     startLoop() {
         if (!this.loop) {
-            this.loop = new GameLoop({
-                timeScale: this.timeScale,
-                onUpdate: this.onTick.bind(this)
-            });
+            this.loop = this.createLoop();
         }
         this.loop.setTimeScale(this.timeScale);
         this.loop.start();
@@ -1106,7 +1141,7 @@ class Game {
     }
 
     /**
-     * Frame callback invoked by GameLoop
+     * Fixed-step simulation callback invoked by GameLoop
      */
     onTick(deltaTime = 0, info = {}) {
         if (!this.running) {
@@ -1120,12 +1155,26 @@ class Game {
 
         if (this.stateManager.isPlaying()) {
             this.update(this.deltaTime);
-            this.render();
         } else if (this.stateManager.isBattle()) {
             this.battleManager?.update(this.deltaTime, this.input);
-            this.battleManager?.render(this.getRenderService());
         } else if (this.stateManager.isCutscene()) {
             this.cutscenePlayer?.update(this.deltaTime, this.input);
+        }
+    }
+
+    /**
+     * Per-frame render callback invoked by GameLoop
+     * @param {number} alpha - Interpolation factor between the last two steps
+     */
+    onRender(alpha = 1) {
+        if (!this.running) return;
+        this.renderAlpha = alpha;
+
+        if (this.stateManager.isPlaying()) {
+            this.render(alpha);
+        } else if (this.stateManager.isBattle()) {
+            this.battleManager?.render(this.getRenderService());
+        } else if (this.stateManager.isCutscene()) {
             this.cutscenePlayer?.render(this.getRenderService());
         }
     }
@@ -1218,13 +1267,14 @@ class Game {
 
     /**
      * Render the game
+     * @param {number} [alpha=1] - Interpolation factor between the last two simulation steps
      */
-    render() {
+    render(alpha = 1) {
         if (!this.renderer || typeof this.renderer.renderFrame !== 'function') {
             console.error('Renderer instance is missing or invalid.');
             throw new Error('Renderer instance is missing or invalid.');
         }
-        this.renderer.renderFrame();
+        this.renderer.renderFrame(alpha);
     }
 
     /**
@@ -1303,6 +1353,7 @@ class Game {
         this.items = [];
         this.platforms = [];
         this.hazards = [];
+        this.checkpoints = [];
         this.townDecor = [];
         this.smallPalms = [];
         if (this.camera?.reset) {
@@ -1317,10 +1368,12 @@ class Game {
         this.hideChestOverlay(true);
         this.hideShopOverlay(true);
         this.signUI.reset();
-        const buffPanel = document.getElementById('buffPanel');
-        const coffeeTimer = document.getElementById('coffeeTimer');
-        if (buffPanel) buffPanel.classList.add('hidden');
-        if (coffeeTimer) coffeeTimer.textContent = '--:--';
+        if (!this.headless) {
+            const buffPanel = document.getElementById('buffPanel');
+            const coffeeTimer = document.getElementById('coffeeTimer');
+            if (buffPanel) buffPanel.classList.add('hidden');
+            if (coffeeTimer) coffeeTimer.textContent = '--:--';
+        }
         this.dialogueManager.reset();
         this.testGroundY = null;
         this.signBoard = null;
@@ -1344,8 +1397,12 @@ class Game {
         this.flag = null;
         this.activeWorld = { kind: 'level', id: null, theme: this.currentTheme, bounds: { width: this.level?.width, height: this.level?.height } };
 
+        // Reseed RNG streams so the rebuilt world matches the run seed
+        this.seedRandom();
+
         // Reset managers
         this.palmTreeManager.reset();
+        this.roomManager?.reset?.();
         
         // Rebuild level content (platforms, enemies, items, flag, background)
         const targetLevel = this.progress?.consumePendingLevelId?.(this.currentLevelId || 'testRoom') || this.currentLevelId || 'testRoom';
@@ -1357,6 +1414,23 @@ class Game {
         }
     }
 
+    /**
+     * Seed the RNG service for this run. A pending save snapshot's seed wins,
+     * then an explicit `runSeed` (replays), otherwise a fresh seed is chosen.
+     */
+    seedRandom() {
+        const rng = this.services?.rng;
+        if (!rng) return;
+        const snapshotSeed = this.progress?.pendingSnapshot?.sections?.run?.rng?.seed;
+        if (Number.isFinite(snapshotSeed)) {
+            this.runSeed = snapshotSeed;
+        }
+        if (!Number.isFinite(this.runSeed)) {
+            this.runSeed = RandomService.createSeed();
+        }
+        rng.setSeed(this.runSeed);
+    }
+
     /**
      * Toggle mute state
      */
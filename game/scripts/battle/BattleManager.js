@@ -58,11 +58,11 @@ class BattleManager {
         this.turnTimer += dt;
 
         // Simple input hooks to resolve quickly
-        if (input?.consumeInteractPress?.()) {
+        if (input?.consumeAction?.('interact')) {
             this.resolve('win');
             return;
         }
-        if (input?.consumeKeyPress?.('escape')) {
+        if (input?.consumeAction?.('cancel')) {
             this.resolve('escape');
             return;
         }
@@ -39,7 +39,7 @@ class AudioController {
 
     updateUI() {
         const audio = this.audio;
-        if (!audio) return;
+        if (!audio || typeof document === 'undefined') return;
 
         const muteButton = document.getElementById('muteButton');
         const masterVolumeSlider = document.getElementById('masterVolume');
@@ -96,7 +96,7 @@ class AudioController {
         if (wasMuted && !audio.isMuted?.()) {
             const sm = this.game?.stateManager;
             if (sm?.isPlaying()) {
-                audio.playMusic?.('level1', 0.8);
+                audio.playMusic?.(this.game.currentLevelMusicId || 'level1', 0.8);
             } else if (sm?.isInMenu?.() || sm?.isState?.('gameOver')) {
                 audio.playMusic?.('title', 0.8);
             }
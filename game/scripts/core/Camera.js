@@ -11,6 +11,9 @@ class Camera {
         this.viewportHeight = viewportHeight;
         this.lerpSpeed = lerpSpeed;
         this.bounds = { width: 0, height: 0 };
+        this.shakeIntensity = 0;
+        this.shakeDuration = 0;
+        this.shakeTime = 0;
     }
 
     /**
@@ -36,6 +39,40 @@ class Camera {
         this.x = position.x || 0;
         this.y = position.y || 0;
         this.target = { x: this.x, y: this.y };
+        this.shakeTime = 0;
+    }
+
+    /**
+     * Start a screen shake; a stronger shake replaces a weaker one in progress.
+     * @param {number} intensity - Peak offset in pixels
+     * @param {number} durationMs - How long it takes to die out
+     */
+    shake(intensity = 8, durationMs = 250) {
+        const current = this.shakeTime > 0 ? this.shakeIntensity * (this.shakeTime / this.shakeDuration) : 0;
+        if (intensity < current) return;
+        this.shakeIntensity = intensity;
+        this.shakeDuration = Math.max(1, durationMs);
+        this.shakeTime = this.shakeDuration;
+    }
+
+    updateShake(deltaTime = 0) {
+        if (this.shakeTime > 0) {
+            this.shakeTime = Math.max(0, this.shakeTime - deltaTime);
+        }
+    }
+
+    /**
+     * Render-only offset for the current shake (deterministic, no RNG).
+     */
+    getShakeOffset() {
+        if (this.shakeTime <= 0) return { x: 0, y: 0 };
+        const falloff = this.shakeTime / this.shakeDuration;
+        const t = this.shakeDuration - this.shakeTime;
+        const amount = this.shakeIntensity * falloff;
+        return {
+            x: Math.sin(t * 0.09) * amount,
+            y: Math.cos(t * 0.13) * amount
+        };
     }
 
     /**
@@ -0,0 +1,147 @@
+/**
+ * CampaignManager - ordered level list with unlock rules (CampaignConfig) on top
+ * of LevelRegistry, plus the level-complete flow: record the result through
+ * ProgressManager and move on to the next level.
+ */
+class CampaignManager {
+    constructor(game, config = {}, progress = null) {
+        this.game = game;
+        this.config = config || {};
+        this.progress = progress;
+        this.levels = Array.isArray(this.config.levels) ? this.config.levels.filter(entry => entry && entry.id) : [];
+        this.lastResult = null;
+    }
+
+    getRegistry() {
+        return (typeof window !== 'undefined' && window.levelRegistry) ? window.levelRegistry : null;
+    }
+
+    /**
+     * Campaign entries whose level is actually registered.
+     */
+    getLevels() {
+        const registry = this.getRegistry();
+        if (!registry) return this.levels.slice();
+        return this.levels.filter(entry => registry.get(entry.id));
+    }
+
+    getEntry(levelId) {
+        return this.levels.find(entry => entry.id === levelId) || null;
+    }
+
+    getLevelName(levelId) {
+        return this.getEntry(levelId)?.name || levelId;
+    }
+
+    getFirstLevelId() {
+        return this.getLevels()[0]?.id || 'testRoom';
+    }
+
+    /**
+     * Next registered level after `levelId` in campaign order (null at the end
+     * or when the level is not part of the campaign).
+     */
+    getNextLevelId(levelId) {
+        const levels = this.getLevels();
+        const index = levels.findIndex(entry => entry.id === levelId);
+        if (index === -1) return null;
+        return levels[index + 1]?.id || null;
+    }
+
+    isCompleted(levelId) {
+        return !!this.progress?.getLevelRecord?.(levelId)?.completed;
+    }
+
+    /**
+     * @returns {{unlocked:boolean, reasons:string[]}} reasons list the unmet rules
+     */
+    checkUnlock(levelId) {
+        const entry = this.getEntry(levelId);
+        const rule = entry?.unlock;
+        if (!entry) return { unlocked: false, reasons: ['Level is not part of the campaign.'] };
+        if (!rule) return { unlocked: true, reasons: [] };
+
+        const records = this.progress?.getLevelProgress?.() || {};
+        const reasons = [];
+        (rule.after || []).forEach((requiredId) => {
+            if (!records[requiredId]?.completed) {
+                reasons.push(`Finish ${this.getLevelName(requiredId)}`);
+            }
+        });
+        const totals = this.getTotals(records);
+        if (typeof rule.minTotalCoins === 'number' && totals.coins < rule.minTotalCoins) {
+            reasons.push(`Collect ${rule.minTotalCoins} coins across levels (${totals.coins} so far)`);
+        }
+        if (typeof rule.minTotalScore === 'number' && totals.score < rule.minTotalScore) {
+            reasons.push(`Score ${rule.minTotalScore} points across levels (${totals.score} so far)`);
+        }
+        return { unlocked: reasons.length === 0, reasons };
+    }
+
+    isUnlocked(levelId) {
+        return this.checkUnlock(levelId).unlocked;
+    }
+
+    /**
+     * Sum of best coins/score over every recorded level.
+     */
+    getTotals(records = this.progress?.getLevelProgress?.() || {}) {
+        return Object.values(records).reduce((totals, record) => ({
+            coins: totals.coins + (record?.bestCoins || 0),
+            score: totals.score + (record?.bestScore || 0)
+        }), { coins: 0, score: 0 });
+    }
+
+    /**
+     * Record a finished level and work out what comes next.
+     * @param {string} levelId
+     * @param {{time:number, coins:number, score:number}} result
+     */
+    completeLevel(levelId, result = {}) {
+        const recorded = this.progress?.recordLevelCompletion?.(levelId, result) || null;
+        const nextLevelId = this.getNextLevelId(levelId);
+        const unlock = nextLevelId ? this.checkUnlock(nextLevelId) : { unlocked: false, reasons: [] };
+        this.lastResult = {
+            levelId,
+            result: { ...result },
+            record: recorded?.record || null,
+            newBest: recorded?.newBest || null,
+            nextLevelId,
+            nextUnlocked: unlock.unlocked,
+            lockedReasons: unlock.reasons
+        };
+        this.game.services?.eventBus?.emit?.('campaign:levelComplete', this.lastResult);
+        return this.lastResult;
+    }
+
+    /**
+     * Queue the next level (if unlocked) so the next world rebuild creates it.
+     * @returns {string|null} the queued level id
+     */
+    queueNextLevel() {
+        const nextId = this.lastResult?.nextLevelId;
+        if (!nextId || !this.isUnlocked(nextId)) return null;
+        this.queueLevel(nextId);
+        return nextId;
+    }
+
+    /**
+     * Start a level from a parsed password ({ levelId, carry }), bypassing unlock rules.
+     */
+    startFromPassword({ levelId, carry = null } = {}) {
+        if (!levelId || !this.getRegistry()?.get?.(levelId)) return false;
+        this.queueLevel(levelId);
+        this.progress?.setPendingCarry?.(carry);
+        this.game.stateManager?.restartGame?.();
+        return true;
+    }
+
+    /**
+     * Queue a level for the next rebuild (Game.resetGame -> WorldBuilder.createLevel).
+     */
+    queueLevel(levelId) {
+        if (!levelId) return;
+        this.game.currentLevelId = levelId;
+        this.progress?.setPendingLevelId?.(levelId);
+    }
+}
@@ -1,38 +1,211 @@
 /**
  * CollisionSystem - handles collision checks and simple physics helpers.
+ *
+ * Broadphase: platforms (including town colliders) live in a static spatial
+ * hash that is rebuilt whenever `game.platforms` is replaced or resized;
+ * NPCs, enemies, hazards and small palms live in an entity hash re-synced each
+ * tick. Every pass queries the hash around the moving body instead of looping
+ * over the whole level.
  */
 class CollisionSystem {
     constructor(game) {
         this.game = game;
         this.config = game.config || GameConfig || {};
+        const broadphase = this.config.collision || {};
+        this.cellSize = broadphase.cellSize ?? 256;
+        // Extra reach around query bounds (soft landing tolerance, push-out)
+        this.queryMargin = broadphase.queryMargin ?? 32;
+        this.staticGrid = new SpatialHash(this.cellSize);
+        this.entityGrid = new SpatialHash(this.cellSize);
+        this.trackedPlatforms = null;
+        this.trackedPlatformCount = 0;
+        this.staticDirty = true;
+        this.entityTags = ['npcs', 'enemies', 'hazards', 'smallPalms'];
     }
 
+    // Broadphase ---------------------------------------------------------
+
+    /**
+     * Rebuild the static grid if the platform list changed since last sync.
+     */
+    syncStatic() {
+        const platforms = this.game.platforms;
+        if (!Array.isArray(platforms)) return;
+        if (!this.staticDirty &&
+            platforms === this.trackedPlatforms &&
+            platforms.length === this.trackedPlatformCount) {
+            return;
+        }
+        this.staticGrid.clear();
+        platforms.forEach(platform => {
+            if (platform) this.staticGrid.insert(platform, this.getPlatformBounds(platform));
+        });
+        this.trackedPlatforms = platforms;
+        this.trackedPlatformCount = platforms.length;
+        this.staticDirty = false;
+    }
+
+    /**
+     * Add a platform that was just pushed onto `game.platforms` without a
+     * full rebuild (falls back to one if the list changed in other ways).
+     */
+    registerStatic(platform) {
+        const platforms = this.game.platforms;
+        const inSync = !this.staticDirty &&
+            platforms === this.trackedPlatforms &&
+            platforms.length === this.trackedPlatformCount + 1;
+        if (!inSync) {
+            this.staticDirty = true;
+            return;
+        }
+        this.staticGrid.insert(platform, this.getPlatformBounds(platform));
+        this.trackedPlatformCount = platforms.length;
+    }
+
+    /**
+     * Drop a platform that was just spliced out of `game.platforms`.
+     */
+    unregisterStatic(platform) {
+        const platforms = this.game.platforms;
+        const inSync = !this.staticDirty &&
+            platforms === this.trackedPlatforms &&
+            platforms.length === this.trackedPlatformCount - 1;
+        this.staticGrid.remove(platform);
+        if (!inSync) {
+            this.staticDirty = true;
+            return;
+        }
+        this.trackedPlatformCount = platforms.length;
+    }
+
+    markStaticDirty() {
+        this.staticDirty = true;
+    }
+
+    /**
+     * Re-bucket live entities (moved, spawned or removed since last sync).
+     * @param {string[]} [tags] - entity lists to sync (defaults to all)
+     */
+    syncEntities(tags = this.entityTags) {
+        const g = this.game;
+        const seen = new Set();
+        tags.forEach(tag => {
+            const list = g[tag];
+            if (!Array.isArray(list)) return;
+            list.forEach(entity => {
+                if (!entity) return;
+                seen.add(entity);
+                this.entityGrid.update(entity, this.getEntityBounds(entity), tag);
+            });
+        });
+        Array.from(this.entityGrid.entries.keys()).forEach(entity => {
+            const entry = this.entityGrid.entries.get(entity);
+            if (tags.includes(entry.tag) && !seen.has(entity)) {
+                this.entityGrid.remove(entity);
+            }
+        });
+    }
+
+    trackEntity(entity, tag) {
+        if (entity) this.entityGrid.update(entity, this.getEntityBounds(entity), tag);
+    }
+
+    /**
+     * Platforms near the given bounds, in `game.platforms` order.
+     */
+    queryPlatforms(bounds, margin = this.queryMargin) {
+        this.syncStatic();
+        return this.staticGrid.query(this.expandBounds(bounds, margin));
+    }
+
+    /**
+     * Active entities of one kind (npcs | enemies | hazards | smallPalms) near the bounds.
+     */
+    queryEntities(bounds, tag, margin = this.queryMargin) {
+        return this.entityGrid.query(this.expandBounds(bounds, margin), tag)
+            .filter(entity => entity.active !== false);
+    }
+
+    getPlatformBounds(platform) {
+        // Union of the raw rect and the hitbox so either test finds the platform
+        const hit = CollisionDetection.getCollisionBounds(platform);
+        const x = Math.min(platform.x, hit.x);
+        const y = Math.min(platform.y, hit.y);
+        return {
+            x,
+            y,
+            width: Math.max(platform.x + (platform.width || 0), hit.x + (hit.width || 0)) - x,
+            height: Math.max(platform.y + (platform.height || 0), hit.y + (hit.height || 0)) - y
+        };
+    }
+
+    getEntityBounds(entity) {
+        return entity.bounds || CollisionDetection.getCollisionBounds(entity);
+    }
+
+    expandBounds(bounds, margin = 0) {
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: (bounds.width || 0) + margin * 2,
+            height: (bounds.height || 0) + margin * 2
+        };
+    }
+
+    /**
+     * Per-cell occupancy for the debug overlay, limited to the given view.
+     * @returns {Array<{x: number, y: number, size: number, platforms: number, entities: number}>}
+     */
+    getDebugCells(view = null) {
+        this.syncStatic();
+        const cells = new Map();
+        const add = (cell, field) => {
+            const key = `${cell.x},${cell.y}`;
+            const entry = cells.get(key) || { x: cell.x, y: cell.y, size: cell.size, platforms: 0, entities: 0 };
+            entry[field] += cell.count;
+            cells.set(key, entry);
+        };
+        this.staticGrid.getOccupiedCells(view).forEach(cell => add(cell, 'platforms'));
+        this.entityGrid.getOccupiedCells(view).forEach(cell => add(cell, 'entities'));
+        return Array.from(cells.values());
+    }
+
+    // Passes -------------------------------------------------------------
+
     checkPlayerCollisions() {
         const g = this.game;
         const player = g.player;
         if (!player) return;
 
+        this.syncStatic();
+        this.syncEntities();
+        const nearPlayer = CollisionDetection.getCollisionBounds(player);
+
         player.onGround = false;
         if (Array.isArray(g.smallPalms)) {
             g.smallPalms.forEach(p => p.playerOnTopCurrent = false);
         }
 
-        g.platforms.forEach(platform => {
+        this.queryPlatforms(nearPlayer).forEach(platform => {
             // If platform is marked as one-way/top-only, use soft landing logic only
             if (platform.oneWay || platform.topOnly) {
                 const platformBounds = CollisionDetection.getCollisionBounds(platform);
                 const landed = g.topOnlyLanding(platformBounds);
-                // Don't need to do anything with the result - topOnlyLanding sets player state
+                // topOnlyLanding sets player state; only the landing itself is reported
+                if (landed.landed) player.onLand?.(platform);
             } else if (CollisionDetection.rectangleCollision(
                 CollisionDetection.getCollisionBounds(player),
                 platform
             )) {
-                this.resolvePlayerPlatformCollision(platform);
+                const result = this.resolvePlayerPlatformCollision(platform);
+                if (result.landed) player.onLand?.(platform);
             }
         });
 
+        this.detectPlayerWall(player);
+
         if (Array.isArray(g.smallPalms)) {
-            g.smallPalms.forEach(palm => {
+            this.queryEntities(nearPlayer, 'smallPalms').forEach(palm => {
                 const palmBounds = CollisionDetection.getCollisionBounds(palm);
                 const playerBounds = CollisionDetection.getCollisionBounds(player);
                 const landed = g.topOnlyLanding(palmBounds);
@@ -46,13 +219,17 @@ class CollisionSystem {
         this.handleNpcCollisions();
 
         if (!g.testMode) {
-            g.enemies.forEach(enemy => {
-                if (CollisionDetection.entityCollision(player, enemy)) {
+            this.queryEntities(nearPlayer, 'enemies').forEach(enemy => {
+                if (!CollisionDetection.entityCollision(player, enemy)) return;
+                // A ground pound onto an enemy's head hurts it instead of the player
+                if (player.bounceOffEnemy?.(enemy)) return;
+                // Dash i-frames pass straight through slimes
+                if (!player.isDashInvulnerable?.()) {
                     player.takeDamage(enemy.attackDamage * 0.5, enemy);
                 }
             });
 
-            g.hazards.forEach(hazard => {
+            this.queryEntities(nearPlayer, 'hazards').forEach(hazard => {
                 if (hazard.checkPlayerCollision) {
                     hazard.checkPlayerCollision();
                 }
@@ -62,6 +239,8 @@ class CollisionSystem {
         const fallBuffer = this.config.testRoom?.fallDeathBuffer ?? 200;
         const teleportBuffer = this.config.testRoom?.teleportBuffer ?? 500;
         if (!g.testMode && player.y > g.level.height + fallBuffer) {
+            // Falling out of the world costs a life even during i-frames
+            player.invulnerable = false;
             player.takeDamage(player.health, null);
         } else if (g.testMode && player.y > g.level.height + teleportBuffer) {
             player.x = g.level.spawnX;
@@ -101,18 +280,77 @@ class CollisionSystem {
                 result.onTop = true;
                 result.landed = wasFalling;
             } else {
+                const wasRising = this.game.player.velocity.y < 0;
                 this.game.player.y = platform.y + platform.height;
                 this.game.player.velocity.y = Math.max(0, this.game.player.velocity.y);
+                if (wasRising) {
+                    platform.onBumpFromBelow?.(this.game.player);
+                }
             }
         }
 
         return result;
     }
 
+    /**
+     * Record which side an airborne player is touching a wall on
+     * (`player.wallContact`: -1 left, 1 right, 0 none) for wall slides and jumps.
+     */
+    detectPlayerWall(player) {
+        const cfg = this.config.player?.wall || {};
+        player.wallContact = 0;
+        if (player.onGround) return 0;
+
+        const bounds = CollisionDetection.getCollisionBounds(player);
+        const reach = cfg.probe ?? 2;
+        const minOverlap = cfg.minOverlap ?? 24;
+        const probe = { x: bounds.x - reach, y: bounds.y, width: bounds.width + reach * 2, height: bounds.height };
+        this.queryPlatforms(probe).forEach(platform => {
+            if (player.wallContact || !this.isWallSurface(platform)) return;
+            const overlapY = Math.min(bounds.y + bounds.height, platform.y + platform.height) - Math.max(bounds.y, platform.y);
+            if (overlapY < minOverlap) return;
+            const gapRight = platform.x - (bounds.x + bounds.width);
+            const gapLeft = bounds.x - (platform.x + platform.width);
+            if (Math.abs(gapRight) <= reach) {
+                player.wallContact = 1;
+            } else if (Math.abs(gapLeft) <= reach) {
+                player.wallContact = -1;
+            }
+        });
+        return player.wallContact;
+    }
+
+    /**
+     * Solid platforms are walls unless their type is switched off in
+     * `player.wall.platformTypes` or the platform sets `wallSlide`.
+     */
+    isWallSurface(platform) {
+        if (!platform || platform.oneWay || platform.topOnly || platform.solid === false) return false;
+        if (typeof platform.wallSlide === 'boolean') return platform.wallSlide;
+        const types = this.config.player?.wall?.platformTypes || {};
+        return types[platform.type] !== false;
+    }
+
+    /**
+     * Remove a breakable platform (ground pound) and drop it from the grid.
+     */
+    breakPlatform(platform) {
+        const g = this.game;
+        const index = g.platforms?.indexOf(platform) ?? -1;
+        if (index === -1) return false;
+        g.platforms.splice(index, 1);
+        this.unregisterStatic(platform);
+        platform.broken = true;
+        const audio = g.services?.audio || g.audioManager;
+        audio?.playSound?.('platform_break', 0.8);
+        return true;
+    }
+
     handleNpcCollisions() {
         const g = this.game;
         if (!g.player || !Array.isArray(g.npcs)) return;
-        g.npcs.forEach(npc => {
+        const nearPlayer = CollisionDetection.getCollisionBounds(g.player);
+        this.queryEntities(nearPlayer, 'npcs').forEach(npc => {
             if (!npc || npc.solid === false) return;
             const npcBounds = CollisionDetection.getCollisionBounds(npc);
             const landed = g.topOnlyLanding(npcBounds);
@@ -158,9 +396,8 @@ class CollisionSystem {
     }
 
     updateEnemyPhysics(enemy) {
-        const g = this.game;
         enemy.onGround = false;
-        g.platforms.forEach(platform => {
+        this.queryPlatforms(CollisionDetection.getCollisionBounds(enemy)).forEach(platform => {
             // Skip one-way platforms - only players can use them
             if (platform.oneWay || platform.topOnly) return;
             
@@ -171,6 +408,7 @@ class CollisionSystem {
                 this.resolveEnemyPlatformCollision(enemy, platform);
             }
         });
+        this.trackEntity(enemy, 'enemies');
     }
 
     resolveEnemyPlatformCollision(enemy, platform) {
@@ -187,7 +425,6 @@ class CollisionSystem {
     }
 
     updateItemPhysics(item, deltaTime) {
-        const g = this.game;
         const dt = deltaTime / 1000;
 
         if (!item.onGround) {
@@ -197,7 +434,7 @@ class CollisionSystem {
         item.x += item.velocity.x * dt;
         item.y += item.velocity.y * dt;
 
-        g.platforms.forEach(platform => {
+        this.queryPlatforms(CollisionDetection.getCollisionBounds(item)).forEach(platform => {
             if (CollisionDetection.rectangleCollision(
                 CollisionDetection.getCollisionBounds(item),
                 platform
@@ -238,17 +475,21 @@ class CollisionSystem {
 
     updateProjectilePhysics(projectile) {
         const g = this.game;
-        g.platforms.forEach(platform => {
-            if (CollisionDetection.rectangleCollision(
-                CollisionDetection.getCollisionBounds(projectile),
-                platform
-            )) {
-                projectile.hitObstacle(platform);
+        const nearProjectile = projectile.getSweptBounds();
+
+        // Earliest platform along this step's path that checkCollisions did not already resolve
+        let first = null;
+        this.queryPlatforms(nearProjectile).forEach(platform => {
+            if (projectile.obstaclesHitThisStep?.has(platform)) return;
+            const impact = projectile.sweepAgainst(platform);
+            if (impact && (!first || impact.time < first.impact.time)) {
+                first = { platform, impact };
             }
         });
+        if (first && projectile.active) projectile.hitObstacle(first.platform, first.impact);
 
         // Hazards vs projectiles (if hazards expose hit/hurt)
-        g.hazards.forEach(hazard => {
+        this.queryEntities(nearProjectile, 'hazards').forEach(hazard => {
             if (typeof hazard.checkProjectileCollision === 'function') {
                 hazard.checkProjectileCollision(projectile);
             }
@@ -256,10 +497,10 @@ class CollisionSystem {
 
         // NPC collisions for player-owned projectiles
         if (projectile.ownerType === 'player' && Array.isArray(g.npcs)) {
-            g.npcs.forEach(npc => {
+            this.queryEntities(nearProjectile, 'npcs').forEach(npc => {
                 if (!npc || npc.active === false) return;
-                if (!CollisionDetection.entityCollision(projectile, npc)) return;
                 if (!projectile.canHit(npc)) return;
+                if (!projectile.sweepAgainst(CollisionDetection.getCollisionBounds(npc))) return;
 
                 this.handleNpcProjectileHit(npc, projectile);
                 // Mark NPC as hit by this projectile to prevent multiple hits
@@ -269,6 +510,7 @@ class CollisionSystem {
     }
 
     handleNpcProjectileHit(npc, projectile) {
+        const rng = RandomService.for(this.game, 'loot');
         const audio = this.game?.services?.audio?.managerRef || this.game?.audioManager;
         audio?.playSound?.('ow', 0.95);
 
@@ -280,8 +522,8 @@ class CollisionSystem {
         // Check for Bully Badge coin drops (25% chance for 1-5 coins)
         const player = this.game?.player;
         if (player && player.combatModifiers?.bullyBadge) {
-            if (Math.random() < 0.25) { // 25% chance
-                const coinAmount = Math.floor(Math.random() * 5) + 1; // 1-5 coins
+            if (rng.next() < 0.25) { // 25% chance
+                const coinAmount = Math.floor(rng.next() * 5) + 1; // 1-5 coins
                 player.collectCoin(coinAmount);
             }
         }
@@ -313,11 +555,26 @@ class CollisionSystem {
         }
     }
 
+    /**
+     * Touching a checkpoint makes it the respawn point for lost lives.
+     */
+    checkCheckpointCollisions() {
+        const g = this.game;
+        if (!g.player || !Array.isArray(g.checkpoints)) return;
+        g.checkpoints.forEach(checkpoint => {
+            if (checkpoint.checkCollision(g.player)) {
+                checkpoint.activate(g.player);
+            }
+        });
+    }
+
     updateHazardCollisions() {
         const g = this.game;
         if (g.testMode) return;
         if (!g.player) return;
-        g.hazards.forEach(hazard => {
+        // Hazards updated (and poison puddles spawned) since the last sync
+        this.syncEntities(['hazards']);
+        this.queryEntities(CollisionDetection.getCollisionBounds(g.player), 'hazards').forEach(hazard => {
             if (hazard.checkPlayerCollision) {
                 hazard.checkPlayerCollision(g.player);
                 return;
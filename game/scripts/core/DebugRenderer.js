@@ -22,6 +22,8 @@ class DebugRenderer {
             ctx.restore();
         };
 
+        this.renderBroadphaseGrid(ctx, cam);
+
         const rectForEntity = (e) => ({
             x: (e.x + (e.collisionOffset?.x || 0)) - cam.x,
             y: (e.y + (e.collisionOffset?.y || 0)) - cam.y,
@@ -79,4 +81,33 @@ class DebugRenderer {
             });
         }
     }
+
+    /**
+     * Shade spatial hash cells in view by occupancy ("platforms/entities").
+     */
+    renderBroadphaseGrid(ctx, cam) {
+        const g = this.game;
+        const collision = g.collisionSystem;
+        if (!collision?.getDebugCells || g.config?.collision?.debugGrid === false) return;
+        const canvas = ctx.canvas;
+        const view = { x: cam.x, y: cam.y, width: canvas?.width || 0, height: canvas?.height || 0 };
+        const cells = collision.getDebugCells(view);
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'top';
+        cells.forEach(cell => {
+            const x = cell.x - cam.x;
+            const y = cell.y - cam.y;
+            const total = cell.platforms + cell.entities;
+            ctx.fillStyle = `rgba(255, 140, 0, ${Math.min(0.35, 0.05 + total * 0.03)})`;
+            ctx.fillRect(x, y, cell.size, cell.size);
+            ctx.strokeStyle = 'rgba(255, 140, 0, 0.6)';
+            ctx.strokeRect(x, y, cell.size, cell.size);
+            ctx.fillStyle = '#ffb347';
+            ctx.fillText(`${cell.platforms}/${cell.entities}`, x + 4, y + 4);
+        });
+        ctx.restore();
+    }
 }
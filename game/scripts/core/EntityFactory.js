@@ -5,6 +5,7 @@ class EntityFactory {
     constructor(game, config = {}) {
         this.game = game;
         this.registry = {};
+        this.enemyTypes = config.enemies || {};
         this.bootstrapDefaults();
         this.registerTypesFromConfig(config.entities);
     }
@@ -15,9 +16,47 @@ class EntityFactory {
     }
 
     slime(x, y) {
-        const slime = new Slime(x, y);
-        slime.game = this.game;
-        return slime;
+        return this.enemy('slime', { x, y });
+    }
+
+    /**
+     * Build an enemy from its EnemiesConfig entry.
+     * Stats in `def` override the config ones; `def.patrol` ({ left, right, speed, groundY })
+     * switches on a simple left/right patrol where the enemy supports it.
+     * @param {string} type - EnemiesConfig key (slime, ground_slime, ...)
+     * @param {Object} def - Placement: { x, y, ...stat overrides }
+     */
+    enemy(type, def = {}) {
+        const spec = this.enemyTypes[type];
+        const EnemyCtor = spec ? this.resolveEnemyClass(spec.className) : null;
+        if (!EnemyCtor) {
+            console.warn(`EntityFactory: unknown enemy type "${type}"`);
+            return null;
+        }
+        const enemy = new EnemyCtor(def.x ?? 0, def.y ?? 0);
+        enemy.game = this.game;
+        enemy.applyStats?.({ ...spec, ...def });
+        // Kept so the test room reset can rebuild the enemy with the same overrides
+        enemy.spawnDef = { ...def, type };
+        const patrol = def.patrol;
+        if (patrol && typeof enemy.setSimplePatrol === 'function') {
+            enemy.setSimplePatrol(patrol.left, patrol.right, patrol.speed, patrol.groundY ?? null);
+        }
+        return enemy;
+    }
+
+    /**
+     * Class declarations are not window properties, so built-in enemies are listed
+     * here; classes added later can be exposed as window[className].
+     */
+    resolveEnemyClass(name) {
+        const builtIn = {
+            Slime: (typeof Slime !== 'undefined') ? Slime : null,
+            GroundSlime: (typeof GroundSlime !== 'undefined') ? GroundSlime : null,
+            PoisonSlime: (typeof PoisonSlime !== 'undefined') ? PoisonSlime : null,
+            MagicArrowSlime: (typeof MagicArrowSlime !== 'undefined') ? MagicArrowSlime : null
+        };
+        return builtIn[name] || (typeof window !== 'undefined' ? window[name] : null) || null;
     }
 
     healthPotion(x, y, healAmount) {
@@ -26,12 +65,30 @@ class EntityFactory {
         return potion;
     }
 
+    coin(x, y, value = 1) {
+        const coin = new Coin(x, y, value);
+        coin.game = this.game;
+        return coin;
+    }
+
+    rocks(x, y, amount = 5) {
+        const rocks = new RockItem(x, y, amount);
+        rocks.game = this.game;
+        return rocks;
+    }
+
     coffee(x, y) {
         const coffee = new CoffeeItem(x, y);
         coffee.game = this.game;
         return coffee;
     }
 
+    abilityPickup(x, y, abilityId) {
+        const pickup = new AbilityPickup(x, y, abilityId);
+        pickup.game = this.game;
+        return pickup;
+    }
+
     chest(x, y, displayName = null, contents = null) {
         const chest = new Chest(x, y);
         chest.game = this.game;
@@ -123,6 +180,24 @@ class EntityFactory {
         return flag;
     }
 
+    /**
+     * Save block: bump from below or interact to save, heal (`heal`) and set the respawn point.
+     */
+    savePoint(x, y, config = {}) {
+        const point = new SavePoint(x, y, config);
+        point.game = this.game;
+        return point;
+    }
+
+    /**
+     * Checkpoint pole: touching it sets where the player respawns after losing a life.
+     */
+    checkpoint(x, y, config = {}) {
+        const checkpoint = new Checkpoint(x, y, config);
+        checkpoint.game = this.game;
+        return checkpoint;
+    }
+
     townNpc(def = {}) {
         const NPCtor = (typeof TownPatrolNPC !== 'undefined')
             ? TownPatrolNPC
@@ -145,10 +220,22 @@ class EntityFactory {
      * Seed built-in entity builders.
      */
     bootstrapDefaults() {
-        this.registerType('platform', (def) => this.platform(def.x, def.y, def.width, def.height, def.subtype || def.kind));
-        this.registerType('slime', (def) => this.slime(def.x, def.y));
+        this.registerType('platform', (def) => {
+            const plat = this.platform(def.x, def.y, def.width, def.height, def.subtype || def.kind);
+            // Breakable platforms give way under a ground pound
+            if (def.breakable) plat.breakable = true;
+            // Opt a single platform in or out of wall sliding regardless of its type
+            if (typeof def.wallSlide === 'boolean') plat.wallSlide = def.wallSlide;
+            return plat;
+        });
+        Object.keys(this.enemyTypes).forEach((type) => {
+            this.registerType(type, (def) => this.enemy(type, def));
+        });
         this.registerType('health_potion', (def) => this.healthPotion(def.x, def.y, def.healAmount));
+        this.registerType('coin', (def) => this.coin(def.x, def.y, def.value));
+        this.registerType('rocks', (def) => this.rocks(def.x, def.y, def.amount));
         this.registerType('coffee', (def) => this.coffee(def.x, def.y));
+        this.registerType('ability_pickup', (def) => this.abilityPickup(def.x, def.y, def.ability));
         this.registerType('chest', (def) => this.chest(def.x, def.y, def.displayName, def.contents));
         this.registerType('decor_platform', (def) => {
             const ctor = (typeof DecorPlatform !== 'undefined')
@@ -166,6 +253,8 @@ class EntityFactory {
         this.registerType('sign', (def) => this.sign(def.x, def.y, def.spriteSrc, def.dialogueLines || null));
         this.registerType('flag', (def) => this.flag(def.x, def.y));
         this.registerType('townNpc', (def) => this.townNpc(def));
+        this.registerType('savePoint', (def) => this.savePoint(def.x, def.y, def));
+        this.registerType('checkpoint', (def) => this.checkpoint(def.x, def.y, def));
     }
 
     /**
@@ -10,11 +10,21 @@ const GameConfig = {
         width: 3000,
         height: 600,
         spawn: { x: 100, y: 400 },
-        scrollSpeed: 2
+        scrollSpeed: 2,
+        lives: 3,
+        respawnInvulnerabilityMs: 2000
     },
     timing: {
         timeScale: 0.6,
-        fps: 60
+        fps: 60, // fixed simulation steps per real second
+        maxStepsPerFrame: 5,
+        interpolate: true,
+        interpolationMaxJump: 200
+    },
+    collision: {
+        cellSize: 256, // spatial hash cell size (px)
+        queryMargin: 32, // broadphase reach beyond a body's bounds
+        debugGrid: true // draw cell occupancy in the debug overlay
     },
     audio: (typeof AudioConfig !== 'undefined') ? AudioConfig : {
         master: 1.0,
@@ -23,16 +33,83 @@ const GameConfig = {
         muted: false
     },
     controls: (typeof ControlsConfig !== 'undefined') ? ControlsConfig : {
-        toggleDebug: ['F1'],
-        toggleTest: ['F2'],
-        toggleMute: ['m', 'M'],
-        toggleInventory: ['i', 'I'],
-        pause: ['Escape', 'p', 'P']
+        bindings: {
+            moveLeft: ['a', 'arrowleft'],
+            moveRight: ['d', 'arrowright'],
+            moveDown: ['s', 'arrowdown'],
+            jump: ['w', 'space', 'arrowup'],
+            airJump: ['space'],
+            action: ['z'],
+            interact: ['e', 'enter'],
+            advanceDialogue: ['enter'],
+            inventory: ['i'],
+            pause: ['escape', 'p'],
+            cancel: ['escape'],
+            toggleMute: ['m'],
+            toggleDebug: ['f1'],
+            toggleTest: ['f2'],
+            toggleReplayRecord: ['f8'],
+            playReplay: ['f9']
+        },
+        sharedBindings: [['jump', 'airJump'], ['interact', 'advanceDialogue'], ['pause', 'cancel']],
+        rebindable: []
     },
     themes: (typeof ThemesConfig !== 'undefined') ? ThemesConfig : {
         defaultTheme: 'beach'
     },
     towns: (typeof TownsConfig !== 'undefined') ? TownsConfig : { towns: [] },
+    campaign: (typeof CampaignConfig !== 'undefined') ? CampaignConfig : {
+        levels: [{ id: 'testRoom', name: 'Test Room' }]
+    },
+    enemies: (typeof EnemiesConfig !== 'undefined') ? EnemiesConfig : {
+        slime: { className: 'Slime' }
+    },
+    player: (typeof PlayerPhysicsConfig !== 'undefined') ? PlayerPhysicsConfig : {
+        movement: {
+            moveSpeed: 600,
+            acceleration: 2000,
+            deceleration: 8000,
+            airDeceleration: 100,
+            jumpStrength: -700,
+            gravity: 1000,
+            maxFallSpeed: 900,
+            coyoteMs: 100,
+            jumpBufferMs: 120,
+            jumpCutMultiplier: 0.45,
+            apexHangSpeed: 120,
+            apexGravityScale: 0.5
+        },
+        dash: {
+            speed: 1500,
+            durationMs: 150,
+            cooldownMs: 700,
+            invulnerableMs: 220,
+            airDashes: 1,
+            afterimageIntervalMs: 30,
+            afterimageLifeMs: 180
+        },
+        wall: {
+            slideSpeed: 160,
+            jumpX: 520,
+            jumpY: -680,
+            controlLockMs: 180,
+            probe: 2,
+            minOverlap: 24,
+            platformTypes: { decor_platform: false }
+        }
+    },
+    // Shared leaderboard served by server.js; falls back to the local board when unreachable
+    leaderboard: {
+        enabled: true,
+        baseUrl: '/api',
+        timeoutMs: 4000
+    },
+    // Save slot sync with server.js (per profile id); saves stay local when unreachable
+    saveSync: {
+        enabled: true,
+        baseUrl: '/api',
+        timeoutMs: 5000
+    },
     testRoom: {
         groundHeight: 50,
         spawnAnchorX: 140,
@@ -1,23 +1,45 @@
 /**
- * GameLoop - Handles frame scheduling and delta time calculation.
+ * GameLoop - Handles frame scheduling and fixed-timestep simulation.
  * Keeps time concerns decoupled from the Game so it can be reused elsewhere.
+ *
+ * Real frame time is fed into an accumulator and drained in fixed `stepMs`
+ * increments, so gameplay always advances by the same (time-scaled) delta no
+ * matter the display refresh rate. Leftover time is exposed to the render
+ * callback as an interpolation alpha (0..1) between the previous and current step.
  */
 class GameLoop {
     /**
      * @param {Object} options
-     * @param {function(number, Object):void} options.onUpdate - Called every frame with (deltaMs, info)
-     * @param {number} options.timeScale - Multiplier applied to delta
+     * @param {function(number, Object):void} options.onUpdate - Called once per fixed step with (scaledStepMs, info)
+     * @param {function(number, Object):void} [options.onRender] - Called once per frame with (alpha, info)
+     * @param {number} options.timeScale - Multiplier applied to each step's delta
+     * @param {number} options.stepMs - Fixed step length in real ms
+     * @param {number} options.maxStepsPerFrame - Cap on steps run in one frame (spiral-of-death guard)
      * @param {number} options.maxDeltaMs - Upper clamp for raw delta to avoid huge jumps
      */
-    constructor({ onUpdate, timeScale = 1, maxDeltaMs = 1000 / 15 } = {}) {
+    constructor({
+        onUpdate,
+        onRender = null,
+        timeScale = 1,
+        stepMs = 1000 / 60,
+        maxStepsPerFrame = 5,
+        maxDeltaMs = 1000 / 15
+    } = {}) {
         this.onUpdate = onUpdate;
+        this.onRender = onRender;
         this.timeScale = timeScale;
+        this.stepMs = stepMs;
+        this.maxStepsPerFrame = maxStepsPerFrame;
         this.maxDeltaMs = maxDeltaMs;
 
         this.running = false;
         this.lastTime = 0;
+        this.accumulator = 0;
+        this.alpha = 0;
         this.gameTime = 0;
         this.frameCount = 0;
+        this.tickCount = 0;
+        this.frameHandle = null;
 
         this._tick = this._tick.bind(this);
     }
@@ -30,34 +52,93 @@ class GameLoop {
         if (this.running) return;
         this.running = true;
         this.lastTime = performance.now();
-        requestAnimationFrame(this._tick);
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.scheduleFrame();
     }
 
     stop() {
         this.running = false;
+        if (this.frameHandle !== null && typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+    }
+
+    /**
+     * Request the next frame unless one is already pending (a stop/start from
+     * inside a step must not spawn a second rAF chain). Without rAF (headless
+     * runs under Node) nothing is scheduled; the caller drives step() itself.
+     */
+    scheduleFrame() {
+        if (this.frameHandle !== null || typeof requestAnimationFrame !== 'function') return;
+        this.frameHandle = requestAnimationFrame(this._tick);
+    }
+
+    /**
+     * Delta handed to onUpdate for every step (fixed for a given timeScale).
+     */
+    getStepDelta() {
+        return this.stepMs * this.timeScale;
+    }
+
+    /**
+     * Run a single fixed step immediately (used by replays/headless runs).
+     */
+    step() {
+        const delta = this.getStepDelta();
+        this.gameTime += delta;
+        this.tickCount += 1;
+        if (typeof this.onUpdate === 'function') {
+            this.onUpdate(delta, this.buildInfo());
+        }
+    }
+
+    buildInfo(extra = {}) {
+        return {
+            stepMs: this.stepMs,
+            gameTime: this.gameTime,
+            frame: this.frameCount,
+            tick: this.tickCount,
+            timeScale: this.timeScale,
+            alpha: this.alpha,
+            ...extra
+        };
     }
 
     _tick(currentTime) {
+        this.frameHandle = null;
         if (!this.running) return;
 
         const rawDelta = currentTime - this.lastTime;
         this.lastTime = currentTime;
 
-        const clampedDelta = Math.min(rawDelta, this.maxDeltaMs);
-        const delta = clampedDelta * this.timeScale;
-
-        this.gameTime += delta;
+        const clampedDelta = Math.min(Math.max(0, rawDelta), this.maxDeltaMs);
+        this.accumulator += clampedDelta;
         this.frameCount += 1;
 
-        if (typeof this.onUpdate === 'function') {
-            this.onUpdate(delta, {
-                rawDelta: clampedDelta,
-                gameTime: this.gameTime,
-                frame: this.frameCount,
-                timeScale: this.timeScale
-            });
+        let steps = 0;
+        while (this.accumulator >= this.stepMs && steps < this.maxStepsPerFrame) {
+            this.accumulator -= this.stepMs;
+            steps += 1;
+            this.step();
+            // onUpdate may stop the loop (pause, game over); drop the backlog
+            if (!this.running) {
+                this.accumulator = 0;
+                return;
+            }
+        }
+        if (steps >= this.maxStepsPerFrame) {
+            // Too far behind; discard the remainder instead of trying to catch up
+            this.accumulator = Math.min(this.accumulator, this.stepMs);
+        }
+
+        this.alpha = this.stepMs > 0 ? Math.min(1, this.accumulator / this.stepMs) : 1;
+
+        if (typeof this.onRender === 'function') {
+            this.onRender(this.alpha, this.buildInfo({ rawDelta: clampedDelta, steps }));
         }
 
-        requestAnimationFrame(this._tick);
+        this.scheduleFrame();
     }
 }
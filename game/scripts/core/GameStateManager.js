@@ -19,7 +19,10 @@ class GameStateManager {
             VICTORY: 'victory'
         };
 
-        this.lastRunStats = { score: 0, coins: 0 };
+        this.lastRunStats = { score: 0, coins: 0, time: 0, enemies: 0 };
+        this.lastLevelResult = null;
+        this.lastHighScore = null;
+        this.pendingOnlineRun = null;
         
         // GameStateManager initialized
     }
@@ -30,9 +33,21 @@ class GameStateManager {
     captureRunStats() {
         this.lastRunStats = {
             score: this.game?.player?.score || 0,
-            coins: this.game?.player?.coins || 0
+            coins: this.game?.player?.coins || 0,
+            time: this.game?.stats?.timeElapsed || 0,
+            enemies: this.game?.stats?.enemiesDefeated || 0
         };
     }
+
+    /**
+     * Put the captured run on the level's high score board.
+     * @returns {{levelId:string, rank:number, entry:Object}|null} null when it doesn't place
+     */
+    recordHighScore() {
+        const levelId = this.game.currentLevelId || 'testRoom';
+        const placed = this.game.highScores?.submit?.(levelId, this.lastRunStats) || null;
+        return placed ? { levelId, ...placed } : null;
+    }
     
     /**
      * Change game state with validation
@@ -126,9 +141,9 @@ class GameStateManager {
         }
         const audio = this.getAudio();
         if (audio) {
-            this.game.currentLevelMusicId = 'level1';
+            this.game.currentLevelMusicId = this.game.currentLevelMusicId || 'level1';
             this.game.currentLevelMusicVolume = 0.8;
-            audio.playMusic?.('level1', 0.8);
+            audio.playMusic?.(this.game.currentLevelMusicId, 0.8);
         }
         // Auto-save on start (so we always have at least one slot)
         this.game.saveProgress?.('slot1', 'Auto Save');
@@ -185,11 +200,27 @@ class GameStateManager {
         }
     }
     
+    /**
+     * Wrap up per-run services when a run ends (game over, victory, menu).
+     * The next run picks a fresh RNG seed unless one is requested.
+     */
+    endRun() {
+        this.game.services?.replay?.handleRunEnded?.();
+        this.game.runSeed = null;
+    }
+
     /**
      * Handle game over
      */
     gameOver() {
+        // Lose a life and go back to the last checkpoint or save point while
+        // lives remain; the run ends once they are gone
+        if (this.game.lives?.loseLife?.()) {
+            return;
+        }
         this.captureRunStats();
+        this.lastHighScore = this.recordHighScore();
+        this.endRun();
         this.setState(this.states.GAME_OVER);
         this.game.running = false;
         if (typeof this.game.stopLoop === 'function') {
@@ -197,14 +228,16 @@ class GameStateManager {
         }
         
         // Update game over screen
-        const gameOverMenu = document.getElementById('gameOverMenu');
-        const title = gameOverMenu.querySelector('h2');
+        const gameOverMenu = this.getElement('gameOverMenu');
+        const title = gameOverMenu?.querySelector('h2');
         if (title) {
             title.textContent = 'Game Over';
         }
         
         // Update final scores
         this.updateFinalScores();
+        this.updateLevelComplete(null);
+        this.updateHighScoreEntry(this.lastHighScore);
         if (this.game && typeof this.game.resetGame === 'function') {
             this.game.resetGame();
         }
@@ -215,6 +248,9 @@ class GameStateManager {
         if (audio) {
             audio.stopAllMusic?.();
             audio.playSound?.('game_over', 0.8);
+            if (this.lastHighScore) {
+                audio.playSound?.('high_score', 0.9);
+            }
         }
         
         // Game Over
@@ -224,27 +260,33 @@ class GameStateManager {
      * Handle victory
      */
     victory() {
+        // Bonus points for victory (added first so the recorded score includes it)
+        if (this.game.player) {
+            this.game.player.score += 1000;
+            this.game.player.updateUI();
+        }
+
         this.captureRunStats();
+        this.lastLevelResult = this.recordLevelCompletion();
+        this.lastHighScore = this.recordHighScore();
+        this.queueOnlineScore();
+        this.endRun();
         this.setState(this.states.VICTORY);
         this.game.running = false;
         if (typeof this.game.stopLoop === 'function') {
             this.game.stopLoop();
         }
         
-        // Bonus points for victory
-        if (this.game.player) {
-            this.game.player.score += 1000;
-            this.game.player.updateUI();
-        }
-        
         // Update victory screen
-        const gameOverMenu = document.getElementById('gameOverMenu');
-        const title = gameOverMenu.querySelector('h2');
+        const gameOverMenu = this.getElement('gameOverMenu');
+        const title = gameOverMenu?.querySelector('h2');
         if (title) {
             title.textContent = 'Level Complete!';
         }
         
         this.updateFinalScores();
+        this.updateLevelComplete(this.lastLevelResult);
+        this.updateHighScoreEntry(this.lastHighScore);
         if (this.game && typeof this.game.resetGame === 'function') {
             this.game.resetGame();
         }
@@ -255,15 +297,48 @@ class GameStateManager {
         if (audio) {
             audio.stopAllMusic?.();
             audio.playSound?.('level', 0.8);
+            if (this.lastHighScore) {
+                audio.playSound?.('high_score', 0.9);
+            }
         }
         
         // Victory!
     }
     
+    /**
+     * Record the finished level with the campaign (best time/coins/score).
+     */
+    recordLevelCompletion() {
+        const g = this.game;
+        if (!g?.campaign) return null;
+        return g.campaign.completeLevel(g.currentLevelId || 'testRoom', {
+            time: g.stats?.timeElapsed || 0,
+            coins: g.stats?.coinsCollected || 0,
+            score: this.lastRunStats.score || 0,
+            // What a carry-over password for the next level hands back
+            carry: g.player ? { coins: g.player.coins || 0, health: g.player.health } : null
+        });
+    }
+
+    /**
+     * Build the next campaign level and start playing it.
+     * @returns {boolean} false when there is no unlocked next level
+     */
+    advanceToNextLevel() {
+        const nextId = this.game?.campaign?.queueNextLevel?.();
+        if (!nextId) return false;
+        this.lastLevelResult = null;
+        this.restartGame();
+        return true;
+    }
+
     /**
      * Restart the game
+     * @param {Object} [options]
+     * @param {boolean} [options.submit=true] - Send the pending run to the online leaderboard first (replays skip this)
      */
-    restartGame() {
+    restartGame({ submit = true } = {}) {
+        if (submit) this.submitOnlineScore();
         this.setState(this.states.PLAYING);
         this.hideAllMenus();
 
@@ -282,7 +357,9 @@ class GameStateManager {
      * Return to main menu
      */
     returnToMenu() {
+        this.submitOnlineScore();
         this.captureRunStats();
+        this.endRun();
         this.setState(this.states.MENU);
         this.game.running = false;
 
@@ -311,7 +388,7 @@ class GameStateManager {
      */
     showMenu(menuId) {
         this.hideAllMenus();
-        const menu = document.getElementById(menuId);
+        const menu = this.getElement(menuId);
         if (menu) {
             menu.classList.remove('hidden');
             if (this.game && this.game.playMenuEnterSound) {
@@ -326,6 +403,7 @@ class GameStateManager {
      * Hide all menus
      */
     hideAllMenus() {
+        if (typeof document === 'undefined') return;
         const menus = document.querySelectorAll('.menu');
         const anyVisible = Array.from(menus).some(menu => !menu.classList.contains('hidden'));
         menus.forEach(menu => {
@@ -340,8 +418,8 @@ class GameStateManager {
      * Update final scores in UI
      */
     updateFinalScores() {
-        const finalScoreElement = document.getElementById('finalScore');
-        const finalCoinsElement = document.getElementById('finalCoins');
+        const finalScoreElement = this.getElement('finalScore');
+        const finalCoinsElement = this.getElement('finalCoins');
         
         if (finalScoreElement) {
             finalScoreElement.textContent = this.lastRunStats.score || 0;
@@ -351,9 +429,113 @@ class GameStateManager {
         }
     }
 
+    /**
+     * Hold the finished run for the shared leaderboard. Runs that placed locally
+     * wait for the initials entry; the rest go out right away.
+     */
+    queueOnlineScore() {
+        this.pendingOnlineRun = {
+            levelId: this.game.currentLevelId || 'testRoom',
+            run: { ...this.lastRunStats }
+        };
+        if (!this.lastHighScore) {
+            this.submitOnlineScore();
+        }
+    }
+
+    /**
+     * Send the queued run to the shared leaderboard (no-op when nothing is queued).
+     * @returns {Promise|null}
+     */
+    submitOnlineScore(initials = null) {
+        const pending = this.pendingOnlineRun;
+        this.pendingOnlineRun = null;
+        if (!pending || !(pending.run.score > 0) || !this.game.leaderboard?.isAvailable?.()) return null;
+        const run = {
+            ...pending.run,
+            initials: initials || this.game.highScores?.getLastInitials?.() || 'AAA'
+        };
+        return this.game.leaderboard.submitRun(pending.levelId, run);
+    }
+
+    /**
+     * Show the initials entry when the run placed on the high score board.
+     */
+    updateHighScoreEntry(placed) {
+        this.game.uiManager?.inputController?.highScoreMenu?.showEntry?.(placed);
+    }
+
+    /**
+     * Fill the level-complete details on the game over menu (hidden for game over).
+     */
+    updateLevelComplete(result) {
+        const details = this.getElement('levelCompleteDetails');
+        const nextButton = this.getElement('nextLevelButton');
+        this.updateLevelPassword(result);
+        if (!details || !nextButton) return;
+
+        if (!result) {
+            details.classList.add('hidden');
+            nextButton.classList.add('hidden');
+            return;
+        }
+
+        const campaign = this.game.campaign;
+        const format = (ms) => this.game.uiManager?.formatPlaytime?.(ms) ?? `${Math.round(ms / 1000)}s`;
+        const record = result.record || {};
+        const best = result.newBest || {};
+        const lines = [
+            `${campaign?.getLevelName?.(result.levelId) || result.levelId} - Time ${format(result.result.time || 0)}`
+                + (best.time ? ' (new best!)' : ` (best ${format(record.bestTime || 0)})`),
+            `Best score ${record.bestScore ?? 0}${best.score ? ' (new!)' : ''} - Best coins ${record.bestCoins ?? 0}${best.coins ? ' (new!)' : ''}`
+        ];
+        if (result.nextLevelId && !result.nextUnlocked) {
+            lines.push(`${campaign?.getLevelName?.(result.nextLevelId) || result.nextLevelId} is locked: ${result.lockedReasons.join(', ')}`);
+        } else if (!result.nextLevelId) {
+            lines.push('Campaign complete!');
+        }
+        details.innerHTML = lines.map(line => `<span>${line}</span>`).join('<br>');
+        details.classList.remove('hidden');
+
+        if (result.nextLevelId && result.nextUnlocked) {
+            nextButton.textContent = `Next: ${campaign?.getLevelName?.(result.nextLevelId) || result.nextLevelId}`;
+            nextButton.classList.remove('hidden');
+        } else {
+            nextButton.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the password for the level the player can go to next (or the one just
+     * finished when the next is locked), plus a carry-over variant.
+     */
+    updateLevelPassword(result) {
+        const el = this.getElement('levelPassword');
+        if (!el) return;
+        const passwords = this.game.passwords;
+        const levelId = result && (result.nextLevelId && result.nextUnlocked ? result.nextLevelId : result.levelId);
+        const password = levelId ? passwords?.generate?.(levelId) : null;
+        if (!password) {
+            el.classList.add('hidden');
+            return;
+        }
+        const name = this.game.campaign?.getLevelName?.(levelId) || levelId;
+        const carryPassword = result.carry ? passwords.generate(levelId, result.carry) : null;
+        el.innerHTML = `Password for ${name}: <strong>${password}</strong>`
+            + (carryPassword ? `<br>Keep your coins and health: <strong>${carryPassword}</strong>` : '');
+        el.classList.remove('hidden');
+    }
+
     getAudio() {
         return this.game?.services?.audio || this.game?.audioManager || null;
     }
+
+    /**
+     * DOM lookup that tolerates headless runs (no document).
+     */
+    getElement(id) {
+        return (typeof document !== 'undefined') ? document.getElementById(id) : null;
+    }
     
     /**
      * Handle keyboard shortcuts for state changes
@@ -376,6 +558,13 @@ class GameStateManager {
                     this.restartGame();
                 }
                 break;
+
+            case 'n':
+            case 'N':
+                if (this.isState(this.states.VICTORY)) {
+                    this.advanceToNextLevel();
+                }
+                break;
         }
     }
 }
@@ -9,15 +9,37 @@ class GameSystems {
     }
 
     /**
-     * Main per-frame update pipeline.
+     * Remember pre-step positions so the renderer can interpolate between steps.
+     */
+    captureRenderState(entities = {}) {
+        const g = this.game;
+        const track = (obj) => {
+            if (!obj) return;
+            obj.renderPrevX = obj.x;
+            obj.renderPrevY = obj.y;
+        };
+        track(g.player);
+        track(g.camera);
+        ['npcs', 'enemies', 'items', 'projectiles'].forEach((key) => {
+            (entities[key] || []).forEach(track);
+        });
+    }
+
+    /**
+     * Main fixed-step update pipeline.
      */
     update(deltaTime) {
         const g = this.game;
-        const entities = g.getActiveEntities();
 
-        // Input and UI gate
+        // Input (replay may restart the run here, so fetch entities afterwards)
         const input = g.services?.input || g.input;
         input?.update?.();
+        g.services?.replay?.step?.();
+
+        const entities = g.getActiveEntities();
+        this.captureRenderState(entities);
+
+        // UI gate
         g.uiManager?.handleFrameInput();
         if (g.uiManager?.isOverlayBlocking()) return;
 
@@ -31,7 +53,7 @@ class GameSystems {
         // Player
         if (g.player) {
             g.player.update(deltaTime);
-            this.updateCamera();
+            this.updateCamera(deltaTime);
             g.collisionSystem?.checkPlayerCollisions();
             if (g.activeWorld?.kind !== 'room') {
                 g.townManager?.update?.(deltaTime);
@@ -107,6 +129,15 @@ class GameSystems {
             g.collisionSystem?.checkFlagCollision(g.flag);
         }
 
+        // Checkpoints
+        (g.checkpoints || []).forEach(checkpoint => checkpoint.update(deltaTime));
+        g.collisionSystem?.checkCheckpointCollisions();
+
+        // Save points (flash/cooldown timers)
+        (g.platforms || []).forEach(platform => {
+            if (platform?.type === 'save_point') platform.update(deltaTime);
+        });
+
         // Door renderer (for room exits)
         if (g.doorRenderer) {
             g.doorRenderer.update(deltaTime);
@@ -145,7 +176,7 @@ class GameSystems {
         }
     }
 
-    updateCamera() {
+    updateCamera(deltaTime = 0) {
         const g = this.game;
         if (!g.player || !g.camera) return;
         const render = g.getRenderService();
@@ -153,6 +184,7 @@ class GameSystems {
         g.camera.setViewport(render.width(), render.height());
         g.camera.setBounds(g.level?.width, g.level?.height);
         g.camera.followPlayer(g.player, { testMode: g.testMode });
+        g.camera.updateShake?.(deltaTime);
     }
 
     updateGameStats(deltaTime) {
@@ -0,0 +1,118 @@
+/**
+ * HighScoreBoard - local top-N leaderboard per level, persisted via SaveService.
+ * Entries: { id, initials, score, coins, time, enemies, date }.
+ */
+class HighScoreBoard {
+    constructor(saveService, config = {}) {
+        this.saveService = saveService;
+        this.maxEntries = config.maxEntries || HighScoreBoard.MAX_ENTRIES;
+    }
+
+    static get MAX_ENTRIES() {
+        return 10;
+    }
+
+    static get DEFAULT_INITIALS() {
+        return 'AAA';
+    }
+
+    load() {
+        const data = this.saveService?.loadHighScores?.({}) || {};
+        return {
+            lastInitials: data.lastInitials || HighScoreBoard.DEFAULT_INITIALS,
+            levels: { ...(data.levels || {}) }
+        };
+    }
+
+    persist(data) {
+        this.saveService?.saveHighScores?.(data);
+    }
+
+    /**
+     * Entries for a level, best first.
+     */
+    getScores(levelId) {
+        const list = this.load().levels[levelId];
+        return Array.isArray(list) ? list.slice() : [];
+    }
+
+    getLastInitials() {
+        return this.load().lastInitials;
+    }
+
+    /**
+     * Higher score first; ties go to the faster run, then more coins.
+     */
+    compare(a, b) {
+        return (b.score - a.score)
+            || ((a.time || 0) - (b.time || 0))
+            || ((b.coins || 0) - (a.coins || 0));
+    }
+
+    /**
+     * Rank (0-based) a run would take on the board, or -1 if it doesn't place.
+     */
+    getRank(levelId, run = {}) {
+        if (!levelId || !(run.score > 0)) return -1;
+        const scores = this.getScores(levelId);
+        const index = scores.findIndex(entry => this.compare(run, entry) < 0);
+        const rank = index === -1 ? scores.length : index;
+        return rank < this.maxEntries ? rank : -1;
+    }
+
+    /**
+     * Add a finished run if it places.
+     * @param {string} levelId
+     * @param {{score:number, coins:number, time:number, enemies:number}} run
+     * @param {string} [initials] defaults to the last initials entered
+     * @returns {{rank:number, entry:Object}|null}
+     */
+    submit(levelId, run = {}, initials = null) {
+        if (this.getRank(levelId, run) === -1) return null;
+        const data = this.load();
+        const existing = data.levels[levelId] || [];
+        const entry = {
+            id: `${Date.now().toString(36)}-${existing.length}`,
+            initials: this.normalizeInitials(initials || data.lastInitials),
+            score: Math.max(0, Math.floor(run.score || 0)),
+            coins: Math.max(0, Math.floor(run.coins || 0)),
+            time: Math.max(0, Math.round(run.time || 0)),
+            enemies: Math.max(0, Math.floor(run.enemies || 0)),
+            date: Date.now()
+        };
+        const scores = [...existing, entry]
+            .sort((a, b) => this.compare(a, b))
+            .slice(0, this.maxEntries);
+        data.levels[levelId] = scores;
+        this.persist(data);
+        return { rank: scores.indexOf(entry), entry };
+    }
+
+    /**
+     * Change the initials on an entry (name entry after the run was recorded).
+     */
+    setInitials(levelId, entryId, initials) {
+        const data = this.load();
+        const entry = (data.levels[levelId] || []).find(e => e.id === entryId);
+        if (!entry) return null;
+        entry.initials = this.normalizeInitials(initials);
+        data.lastInitials = entry.initials;
+        this.persist(data);
+        return entry;
+    }
+
+    clear(levelId = null) {
+        const data = this.load();
+        if (levelId) {
+            delete data.levels[levelId];
+        } else {
+            data.levels = {};
+        }
+        this.persist(data);
+    }
+
+    normalizeInitials(text) {
+        const clean = String(text ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        return clean || HighScoreBoard.DEFAULT_INITIALS;
+    }
+}
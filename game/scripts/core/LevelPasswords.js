@@ -0,0 +1,114 @@
+/**
+ * LevelPasswords - Chip's Challenge style level passwords.
+ *
+ * Every LevelRegistry level gets a fixed 4-character code derived from its id
+ * and the password seed. A password can carry coins/health into the level by
+ * appending a 6-character part (coins, health and a check value tied to the
+ * level code): `ABCD` or `ABCD-EFGHJK`.
+ */
+class LevelPasswords {
+    constructor(registry = null, config = {}) {
+        this.registry = registry;
+        this.seed = (config.seed ?? 0x4C55434B) >>> 0;
+        this.maxCoins = 1023; // 10 bits
+        this.maxHealth = 127; // 7 bits
+    }
+
+    static get ALPHABET() {
+        // No I/O/0/1 so passwords are easy to read back
+        return 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    }
+
+    getRegistry() {
+        if (this.registry) return this.registry;
+        return (typeof window !== 'undefined' && window.levelRegistry) ? window.levelRegistry : null;
+    }
+
+    getLevelIds() {
+        return this.getRegistry()?.list?.() || [];
+    }
+
+    /**
+     * Fixed 4-character code for a level id.
+     */
+    levelCode(levelId) {
+        return this.encode(RandomService.deriveSeed(this.seed, `level:${levelId}`), 4);
+    }
+
+    /**
+     * Build the password for a level, optionally carrying coins/health in.
+     * @param {string} levelId
+     * @param {{coins?:number, health?:number}|null} carry
+     * @returns {string|null} null when the level is not registered
+     */
+    generate(levelId, carry = null) {
+        if (!levelId || !this.getRegistry()?.get?.(levelId)) return null;
+        const code = this.levelCode(levelId);
+        if (!carry) return code;
+
+        const coins = Math.max(0, Math.min(this.maxCoins, Math.floor(carry.coins || 0)));
+        const health = Math.max(1, Math.min(this.maxHealth, Math.round(carry.health ?? this.maxHealth)));
+        const check = this.carryCheck(code, coins, health);
+        // 10 bits coins + 7 bits health + 13 bits check = 30 bits = 6 characters
+        const bits = ((coins * 128 + health) * 8192) + check;
+        return `${code}-${this.encode(bits, 6)}`;
+    }
+
+    /**
+     * Parse a typed password.
+     * @returns {{ok:true, levelId:string, carry:Object|null}|{ok:false, error:string}}
+     */
+    parse(input) {
+        const raw = String(input ?? '').toUpperCase().replace(/[\s-]/g, '');
+        if (!raw) {
+            return { ok: false, error: 'Type a password first.' };
+        }
+        const bad = Array.from(raw).find(ch => !LevelPasswords.ALPHABET.includes(ch));
+        if (bad) {
+            const hint = /[IO01]/.test(bad)
+                ? 'Passwords never use I, O, 0 or 1.'
+                : 'Passwords only use letters and the digits 2-9.';
+            return { ok: false, error: `"${bad}" can't be part of a password. ${hint}` };
+        }
+        if (raw.length !== 4 && raw.length !== 10) {
+            return { ok: false, error: `That password has ${raw.length} characters. Level passwords have 4 (like ABCD), or 10 when they carry coins and health (like ABCD-EFGHJK).` };
+        }
+
+        const code = raw.slice(0, 4);
+        const levelId = this.getLevelIds().find(id => this.levelCode(id) === code);
+        if (!levelId) {
+            return { ok: false, error: `No level uses the code ${code}. Check for typos and try again.` };
+        }
+        if (raw.length === 4) {
+            return { ok: true, levelId, carry: null };
+        }
+
+        const bits = this.decode(raw.slice(4));
+        const check = bits % 8192;
+        const health = Math.floor(bits / 8192) % 128;
+        const coins = Math.floor(bits / (8192 * 128));
+        if (health < 1 || check !== this.carryCheck(code, coins, health)) {
+            return { ok: false, error: `The level code ${code} is right, but the carry-over part doesn't check out. Double-check the last 6 characters.` };
+        }
+        return { ok: true, levelId, carry: { coins, health } };
+    }
+
+    carryCheck(code, coins, health) {
+        return RandomService.deriveSeed(this.seed, `${code}:${coins}:${health}`) % 8192;
+    }
+
+    encode(value, length) {
+        const alphabet = LevelPasswords.ALPHABET;
+        let out = '';
+        let rest = value >>> 0;
+        for (let i = 0; i < length; i++) {
+            out = alphabet[rest % 32] + out;
+            rest = Math.floor(rest / 32);
+        }
+        return out;
+    }
+
+    decode(text) {
+        return Array.from(text).reduce((value, ch) => value * 32 + LevelPasswords.ALPHABET.indexOf(ch), 0);
+    }
+}
@@ -44,6 +44,15 @@ class LevelRegistry {
         if (def.npcs && !Array.isArray(def.npcs)) {
             errors.push('npcs must be an array.');
         }
+        if (def.savePoints && !Array.isArray(def.savePoints)) {
+            errors.push('savePoints must be an array.');
+        }
+        if (def.checkpoints && !Array.isArray(def.checkpoints)) {
+            errors.push('checkpoints must be an array.');
+        }
+        if (def.lives !== undefined && !(Number.isInteger(def.lives) && def.lives > 0)) {
+            errors.push('lives must be a positive whole number.');
+        }
         if (def.theme && typeof def.theme !== 'string') {
             errors.push('theme must be a string id when provided.');
         }
@@ -67,6 +76,14 @@ class LevelRegistry {
         validateEntities(def.enemies, 'enemies', ['x', 'y']);
         validateEntities(def.items, 'items', ['x', 'y']);
         validateEntities(def.npcs, 'npcs', ['x', 'y']);
+        validateEntities(def.savePoints, 'savePoints', ['x', 'y']);
+        validateEntities(def.checkpoints, 'checkpoints', ['x', 'y']);
+        const abilities = (typeof AbilitiesConfig !== 'undefined') ? AbilitiesConfig : null;
+        [...(def.items || []).filter(it => it?.type === 'ability_pickup'), ...(def.abilityPickups || [])].forEach(entry => {
+            if (abilities && !abilities[entry.ability]) {
+                errors.push(`Unknown ability '${entry.ability}' on an ability pickup.`);
+            }
+        });
         return { valid: errors.length === 0, errors };
     }
 
@@ -0,0 +1,138 @@
+/**
+ * LivesManager - lives counter and the checkpoint the player respawns at.
+ * A death costs a life and puts the player back at the last checkpoint (or
+ * the spawn of the level/room they are in) with a short invulnerability;
+ * GameStateManager only runs the real game over once lives run out.
+ *
+ * Levels set `lives` and `respawnInvulnerabilityMs` in their LevelRegistry
+ * definition; missing values come from LevelDefaultsConfig.
+ */
+class LivesManager {
+    constructor(game, defaults = {}) {
+        this.game = game;
+        this.defaults = {
+            lives: defaults.lives ?? 3,
+            respawnInvulnerabilityMs: defaults.respawnInvulnerabilityMs ?? 2000
+        };
+        this.maxLives = this.defaults.lives;
+        this.respawnInvulnerabilityMs = this.defaults.respawnInvulnerabilityMs;
+        this.lives = this.maxLives;
+        this.checkpoint = null; // { id, x, y, roomId, levelId }
+    }
+
+    /**
+     * Fresh lives and no checkpoint for a (re)built level.
+     * @param {Object|null} levelDef - LevelRegistry definition
+     */
+    configure(levelDef = null) {
+        const lives = Number.isInteger(levelDef?.lives) && levelDef.lives > 0 ? levelDef.lives : this.defaults.lives;
+        const invulnerableMs = Number.isFinite(levelDef?.respawnInvulnerabilityMs)
+            ? levelDef.respawnInvulnerabilityMs
+            : this.defaults.respawnInvulnerabilityMs;
+        this.maxLives = lives;
+        this.respawnInvulnerabilityMs = invulnerableMs;
+        this.lives = lives;
+        this.checkpoint = null;
+        this.updateHUD();
+    }
+
+    /**
+     * Room id while inside a room, else null; paired with the level id so a
+     * checkpoint only counts in the world it was set in.
+     */
+    getWorld() {
+        const g = this.game;
+        const inRoom = g.roomManager?.isActive?.();
+        return {
+            roomId: inRoom ? g.roomManager.room?.id || null : null,
+            levelId: (inRoom ? g.roomManager.returnInfo?.levelId : g.currentLevelId) || null
+        };
+    }
+
+    setCheckpoint(checkpoint) {
+        if (!checkpoint) return;
+        const pos = checkpoint.getRespawnPosition?.(this.game.player) || { x: checkpoint.x, y: checkpoint.y };
+        this.checkpoint = { id: checkpoint.id, x: pos.x, y: pos.y, ...this.getWorld() };
+    }
+
+    isCurrentCheckpoint(checkpoint) {
+        return !!checkpoint && this.checkpoint?.id === checkpoint.id;
+    }
+
+    /**
+     * Spend a life and respawn.
+     * @returns {boolean} false when that was the last life
+     */
+    loseLife() {
+        const player = this.game.player;
+        if (!player) return false;
+        this.lives = Math.max(0, this.lives - 1);
+        this.updateHUD();
+        if (this.lives <= 0) return false;
+        this.respawnPlayer();
+        return true;
+    }
+
+    /**
+     * The checkpoint when it is in the current world, else the spawn of the
+     * room or level the player is in.
+     */
+    getRespawnPosition() {
+        const g = this.game;
+        const world = this.getWorld();
+        const cp = this.checkpoint;
+        if (cp && cp.roomId === world.roomId && cp.levelId === world.levelId) {
+            return { x: cp.x, y: cp.y };
+        }
+        if (world.roomId && g.roomManager?.room?.spawn) {
+            return { ...g.roomManager.room.spawn };
+        }
+        return { x: g.level?.spawnX ?? 100, y: g.level?.spawnY ?? 100 };
+    }
+
+    respawnPlayer() {
+        const g = this.game;
+        const player = g.player;
+        const pos = this.getRespawnPosition();
+        player.x = pos.x;
+        player.y = pos.y;
+        player.velocity.x = 0;
+        player.velocity.y = 0;
+        player.onGround = false;
+        player.health = player.maxHealth;
+        player.makeInvulnerable(this.respawnInvulnerabilityMs);
+        player.updateHealthUI?.();
+        g.camera?.reset?.({
+            x: Math.max(0, pos.x - (g.camera.viewportWidth || 0) / 2),
+            y: Math.max(0, pos.y - (g.camera.viewportHeight || 0) / 2)
+        });
+        const audio = g.services?.audio || g.audioManager;
+        audio?.playSound?.('respawn', 0.8);
+    }
+
+    getSaveData() {
+        return {
+            lives: this.lives,
+            maxLives: this.maxLives,
+            checkpoint: this.checkpoint ? { ...this.checkpoint } : null
+        };
+    }
+
+    loadSaveData(data = {}) {
+        if (Number.isInteger(data.maxLives) && data.maxLives > 0) this.maxLives = data.maxLives;
+        if (Number.isInteger(data.lives)) this.lives = Math.max(1, Math.min(this.maxLives, data.lives));
+        this.checkpoint = data.checkpoint ? { ...data.checkpoint } : null;
+        if (this.checkpoint) {
+            (this.game.checkpoints || []).forEach(cp => {
+                if (cp.id === this.checkpoint.id) cp.activated = true;
+            });
+        }
+        this.updateHUD();
+    }
+
+    updateHUD() {
+        if (this.game.headless || typeof document === 'undefined') return;
+        const el = document.getElementById('hudLives');
+        if (el) el.textContent = this.lives;
+    }
+}
@@ -1,12 +1,24 @@
 /**
- * ProgressManager - handles save/load snapshots and pending application.
+ * ProgressManager - handles save/load snapshots, pending application and
+ * per-level completion records (best time/coins/score). Snapshot contents
+ * come from the providers in `this.snapshots` (one section per subsystem).
  */
 class ProgressManager {
+    /** Save points write here, apart from the `slot1` autosave. */
+    static get SAVE_POINT_SLOT_ID() {
+        return 'savepoint';
+    }
+
     constructor(game, saveService) {
         this.game = game;
         this.saveService = saveService;
         this.pendingSnapshot = null;
         this.pendingLevelId = null;
+        this.pendingCarry = null;
+        this.respawnPoint = null; // { savePointId, x, y, health, roomId, levelId }
+        this.thumbnailWidth = 160;
+        this.snapshots = new SnapshotRegistry();
+        this.registerDefaultProviders();
     }
 
     save(slotId = 'slot1', name = 'Auto Save') {
@@ -15,14 +27,100 @@ class ProgressManager {
     }
 
     load(slotId) {
-        const snap = this.saveService?.getSlot?.(slotId);
-        if (!snap) return false;
+        const slot = this.saveService?.getSlot?.(slotId);
+        if (!slot) return false;
+        const check = this.saveService.inspectSlot?.(slot) || { ok: true, slot };
+        if (!check.ok) {
+            console.warn(`[ProgressManager] Can't load "${slotId}": ${check.error}`);
+            return false;
+        }
+        const snap = check.slot;
         this.pendingSnapshot = snap;
         this.pendingLevelId = snap.levelId || 'testRoom';
-        this.game.stateManager.startGame();
+        this.game.currentLevelId = this.pendingLevelId;
+        // Rebuild the saved level; initializeGameSystems applies the snapshot to the fresh world
+        this.game.stateManager.restartGame();
         return true;
     }
 
+    /**
+     * Save from a save point into its own slot.
+     */
+    saveAtPoint(savePoint) {
+        return this.save(ProgressManager.SAVE_POINT_SLOT_ID, 'Save Point');
+    }
+
+    /**
+     * Remember the last used save point (saved so it shows as active after a load).
+     */
+    setRespawnPoint(savePoint) {
+        const g = this.game;
+        if (!savePoint) return;
+        const pos = savePoint.getRespawnPosition?.(g.player) || { x: savePoint.x, y: savePoint.y };
+        this.respawnPoint = {
+            savePointId: savePoint.id,
+            x: pos.x,
+            y: pos.y,
+            health: g.player?.health ?? null,
+            roomId: g.roomManager?.isActive?.() ? g.roomManager.room?.id || null : null,
+            levelId: this.getSnapshotLevelId(g)
+        };
+    }
+
+    clearRespawnPoint() {
+        this.respawnPoint = null;
+    }
+
+    /**
+     * Record a finished level, keeping the best time (lowest), coins and score.
+     * @param {string} levelId
+     * @param {{time:number, coins:number, score:number}} result
+     * @returns {{record:Object, newBest:{time:boolean, coins:boolean, score:boolean}}}
+     */
+    recordLevelCompletion(levelId, result = {}) {
+        if (!levelId) return null;
+        const progress = this.getLevelProgress();
+        const prev = progress[levelId] || null;
+        const time = Math.max(0, Math.round(result.time || 0));
+        const coins = Math.max(0, result.coins || 0);
+        const score = Math.max(0, result.score || 0);
+        const newBest = {
+            time: !prev || typeof prev.bestTime !== 'number' || time < prev.bestTime,
+            coins: !prev || coins > (prev.bestCoins || 0),
+            score: !prev || score > (prev.bestScore || 0)
+        };
+        const record = {
+            completed: true,
+            completions: (prev?.completions || 0) + 1,
+            bestTime: newBest.time ? time : prev.bestTime,
+            bestCoins: newBest.coins ? coins : prev.bestCoins,
+            bestScore: newBest.score ? score : prev.bestScore,
+            lastCompletedAt: Date.now()
+        };
+        progress[levelId] = record;
+        this.saveService?.saveLevelProgress?.(progress);
+        return { record, newBest };
+    }
+
+    getLevelRecord(levelId) {
+        return this.getLevelProgress()[levelId] || null;
+    }
+
+    /**
+     * All level records keyed by level id.
+     */
+    getLevelProgress() {
+        return { ...(this.saveService?.loadLevelProgress?.({}) || {}) };
+    }
+
+    clearLevelProgress() {
+        this.saveService?.saveLevelProgress?.({});
+    }
+
+    setPendingLevelId(levelId) {
+        this.pendingLevelId = levelId || null;
+    }
+
     consumePendingLevelId(fallback = 'testRoom') {
         if (this.pendingLevelId) {
             const id = this.pendingLevelId;
@@ -32,21 +130,187 @@ class ProgressManager {
         return fallback;
     }
 
+    /**
+     * Coins/health to hand the next player (e.g. from a level password).
+     * @param {{coins?:number, health?:number}|null} carry
+     */
+    setPendingCarry(carry) {
+        this.pendingCarry = carry ? { ...carry } : null;
+    }
+
+    applyPendingCarry() {
+        const carry = this.pendingCarry;
+        const player = this.game.player;
+        if (!carry || !player) return;
+        this.pendingCarry = null;
+        if (typeof carry.coins === 'number') {
+            player.coins = carry.coins;
+        }
+        if (typeof carry.health === 'number') {
+            player.health = Math.max(1, Math.min(player.maxHealth || carry.health, carry.health));
+        }
+        player.updateHealthUI?.();
+        player.updateUI?.();
+    }
+
     applyPendingSnapshot() {
         if (!this.pendingSnapshot) return;
         this.applySnapshot(this.pendingSnapshot);
         this.pendingSnapshot = null;
     }
 
+    /**
+     * Add (or replace) a snapshot section. See SnapshotRegistry.
+     * @param {string} key
+     * @param {{save:Function, restore:Function, order?:number}} provider
+     */
+    registerSnapshotProvider(key, provider) {
+        this.snapshots.register(key, provider);
+    }
+
+    /**
+     * Built-in sections. Restore order matters: the world is patched before
+     * the town/room are re-entered (which parks level entities in the room's
+     * return state), and the player is placed last so room entry doesn't
+     * move them back to the spawn.
+     */
+    registerDefaultProviders() {
+        this.registerSnapshotProvider('run', {
+            order: 0,
+            save: g => ({
+                stats: { ...(g.stats || {}) },
+                rng: g.services?.rng?.getState?.() || null
+            }),
+            restore: (g, data) => {
+                if (data.stats) {
+                    g.stats = { ...g.stats, ...data.stats };
+                }
+                if (data.rng) {
+                    // Continue drop/AI sequences where the save left off
+                    g.services?.rng?.setState?.(data.rng);
+                    g.runSeed = data.rng.seed;
+                }
+            }
+        });
+        this.registerSnapshotProvider('world', {
+            order: 10,
+            save: g => this.captureWorld(g),
+            restore: (g, data) => this.restoreWorld(g, data)
+        });
+        this.registerSnapshotProvider('town', {
+            order: 20,
+            save: g => g.townManager?.getSaveData?.() || null,
+            restore: (g, data) => g.townManager?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('room', {
+            order: 30,
+            save: g => g.roomManager?.getSaveData?.() || null,
+            restore: (g, data) => g.roomManager?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('exitDoor', {
+            order: 35,
+            save: g => (g.roomManager?.isActive?.() ? g.doorRenderer?.getSaveData?.() || null : null),
+            restore: (g, data) => g.doorRenderer?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('lives', {
+            order: 45,
+            save: g => g.lives?.getSaveData?.() || null,
+            restore: (g, data) => g.lives?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('player', {
+            order: 40,
+            save: g => g.player?.getSaveData?.() || null,
+            restore: (g, data) => g.player?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('badges', {
+            order: 50,
+            save: g => g.badgeUI?.getSaveData?.() || null,
+            restore: (g, data) => g.badgeUI?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('journals', {
+            order: 50,
+            save: g => g.journalUI?.getSaveData?.() || null,
+            restore: (g, data) => g.journalUI?.loadSaveData?.(data)
+        });
+        this.registerSnapshotProvider('respawn', {
+            order: 60,
+            save: () => (this.respawnPoint ? { ...this.respawnPoint } : null),
+            restore: (g, data) => {
+                this.respawnPoint = { ...data };
+                const savePoint = (g.platforms || []).find(p => p?.type === 'save_point' && p.id === data.savePointId);
+                if (savePoint) savePoint.activated = true;
+            }
+        });
+    }
+
+    /**
+     * Level entities live in the room's return state while the player is in a room.
+     */
+    getLevelWorld(g = this.game) {
+        const parked = g.roomManager?.isActive?.() ? g.roomManager.returnInfo : null;
+        return parked || g;
+    }
+
+    getSnapshotLevelId(g = this.game) {
+        const parked = g.roomManager?.isActive?.() ? g.roomManager.returnInfo : null;
+        return parked?.levelId || g.currentLevelId || 'testRoom';
+    }
+
     buildSnapshot(name = 'Auto Save') {
         const g = this.game;
-        const player = g.player || {};
         const badgeCount = Array.isArray(g.badgeUI?.getEarnedBadges?.())
             ? g.badgeUI.getEarnedBadges().length
             : 0;
 
-        const levelState = {
-            enemies: (g.enemies || []).map(e => ({
+        // No `id` here: the slot id passed to save() names the slot
+        return {
+            name,
+            levelId: this.getSnapshotLevelId(g),
+            updatedAt: Date.now(),
+            timeElapsed: g.stats?.timeElapsed || 0,
+            collectibles: {
+                coins: g.stats?.coinsCollected || 0,
+                badges: badgeCount
+            },
+            thumbnail: this.captureThumbnail(),
+            sections: this.snapshots.collect(g)
+        };
+    }
+
+    /**
+     * Small JPEG data URL of the current frame for the load menu (null when
+     * the canvas can't be read, e.g. headless or tainted by file:// images).
+     */
+    captureThumbnail() {
+        const source = this.game.services?.render?.canvas || this.game.canvas;
+        if (!source?.width || !source?.height || typeof RenderContext === 'undefined') return null;
+        const width = this.thumbnailWidth;
+        const height = Math.round(width * source.height / source.width);
+        try {
+            const thumb = RenderContext.createCanvas(width, height);
+            const ctx = thumb.getContext?.('2d');
+            if (!ctx || typeof thumb.toDataURL !== 'function') return null;
+            ctx.drawImage(source, 0, 0, width, height);
+            return thumb.toDataURL('image/jpeg', 0.7);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Apply a saved snapshot to the current world/player.
+     * Requires that the level/player are already built and a current-format
+     * snapshot (older slots are upgraded by SaveService/SaveSchema).
+     */
+    applySnapshot(snap) {
+        if (!snap) return;
+        this.snapshots.restore(this.game, snap.sections || {}, snap);
+    }
+
+    captureWorld(g = this.game) {
+        const world = this.getLevelWorld(g);
+        return {
+            enemies: (world.enemies || []).map(e => ({
                 type: e.type || 'enemy',
                 x: e.x,
                 y: e.y,
@@ -54,113 +318,71 @@ class ProgressManager {
                 active: e.active !== false,
                 spawnIndex: e.spawnIndex ?? null
             })),
-            items: (g.items || []).map(it => ({
+            items: (world.items || []).map(it => ({
                 type: it.type || 'item',
                 x: it.x,
                 y: it.y,
                 active: it.active !== false,
-                spawnIndex: it.spawnIndex ?? null
+                spawnIndex: it.spawnIndex ?? null,
+                // Ability pickups are not interchangeable like coins
+                ...(it.abilityId ? { ability: it.abilityId } : {})
+            })),
+            chests: (world.chests || []).map(chest => ({
+                x: chest.x,
+                y: chest.y,
+                ...(chest.getSaveData?.() || {})
             }))
         };
+    }
 
-        return {
-            id: Date.now().toString(),
-            name,
-            levelId: g.currentLevelId || 'testRoom',
-            updatedAt: Date.now(),
-            timeElapsed: g.stats?.timeElapsed || 0,
-            player: {
-                x: player.x || 0,
-                y: player.y || 0,
-                health: player.health || player.maxHealth || 100,
-                coins: player.coins || 0,
-                score: player.score || 0
-            },
-            stats: { ...(g.stats || {}) },
-            collectibles: {
-                coins: g.stats?.coinsCollected || 0,
-                badges: badgeCount
-            },
-            levelState
-        };
+    restoreWorld(g, data = {}) {
+        this.applyEntities(data.enemies, g.enemies);
+        this.applyEntities(data.items, g.items);
+        // Chests are placed by the level definition, so the list order is stable
+        (data.chests || []).forEach((saved, i) => {
+            g.chests?.[i]?.loadSaveData?.(saved);
+        });
     }
 
     /**
-     * Apply a saved snapshot to the current world/player.
-     * Requires that the level/player are already built.
+     * Apply saved enemies/items with loose matching to avoid resets.
      */
-    applySnapshot(snap) {
-        const g = this.game;
-        if (!snap) return;
-        if (snap.levelId && snap.levelId !== g.currentLevelId) {
-            g.currentLevelId = snap.levelId;
-        }
-        if (snap.stats) {
-            g.stats = { ...snap.stats };
-        }
-        if (typeof snap.timeElapsed === 'number') {
-            g.stats.timeElapsed = snap.timeElapsed;
-        }
-        if (snap.player && g.player) {
-            g.player.x = snap.player.x ?? g.player.x;
-            g.player.y = snap.player.y ?? g.player.y;
-            if (typeof snap.player.health === 'number') {
-                g.player.health = snap.player.health;
-            }
-            if (typeof snap.player.coins === 'number') {
-                g.player.coins = snap.player.coins;
+    applyEntities(savedArr, liveArr) {
+        if (!Array.isArray(savedArr) || !Array.isArray(liveArr)) return;
+        const used = new Set();
+        const sameKind = (saved, live) => (!saved.type || live.type === saved.type) &&
+            (saved.ability === undefined || live.abilityId === saved.ability);
+        const findMatch = (saved) => {
+            const idx = typeof saved.spawnIndex === 'number' ? saved.spawnIndex : null;
+            if (idx !== null && liveArr[idx] && !used.has(idx) && sameKind(saved, liveArr[idx])) {
+                return idx;
             }
-            if (typeof snap.player.score === 'number') {
-                g.player.score = snap.player.score;
+            for (let i = 0; i < liveArr.length; i++) {
+                if (used.has(i)) continue;
+                if (sameKind(saved, liveArr[i])) {
+                    return i;
+                }
             }
-            g.player.updateHealthUI?.();
-            g.player.updateUI?.();
-        }
-        if (g.badgeUI?.reset) {
-            g.badgeUI.reset(false);
-        }
+            return null;
+        };
 
-        // Apply level state (enemies/items) with loose matching to avoid resets
-        if (snap.levelState) {
-            const applyEntities = (savedArr, liveArr) => {
-                if (!Array.isArray(savedArr) || !Array.isArray(liveArr)) return;
-                const used = new Set();
-                const findMatch = (saved) => {
-                    const idx = typeof saved.spawnIndex === 'number' ? saved.spawnIndex : null;
-                    if (idx !== null && liveArr[idx] && !used.has(idx) && (!saved.type || liveArr[idx].type === saved.type)) {
-                        return idx;
-                    }
-                    for (let i = 0; i < liveArr.length; i++) {
-                        if (used.has(i)) continue;
-                        if (!saved.type || liveArr[i].type === saved.type) {
-                            return i;
-                        }
-                    }
-                    return null;
-                };
-
-                savedArr.forEach(saved => {
-                    const matchIdx = findMatch(saved);
-                    if (matchIdx === null) return;
-                    const entity = liveArr[matchIdx];
-                    used.add(matchIdx);
-                    if (typeof saved.x === 'number') entity.x = saved.x;
-                    if (typeof saved.y === 'number') entity.y = saved.y;
-                    if (typeof saved.health === 'number' && entity.health !== undefined) {
-                        entity.health = saved.health;
-                    }
-                    entity.active = saved.active !== false;
-                });
-
-                for (let i = 0; i < liveArr.length; i++) {
-                    if (!used.has(i)) {
-                        liveArr[i].active = false;
-                    }
-                }
-            };
+        savedArr.forEach(saved => {
+            const matchIdx = findMatch(saved);
+            if (matchIdx === null) return;
+            const entity = liveArr[matchIdx];
+            used.add(matchIdx);
+            if (typeof saved.x === 'number') entity.x = saved.x;
+            if (typeof saved.y === 'number') entity.y = saved.y;
+            if (typeof saved.health === 'number' && entity.health !== undefined) {
+                entity.health = saved.health;
+            }
+            entity.active = saved.active !== false;
+        });
 
-            applyEntities(snap.levelState.enemies, g.enemies);
-            applyEntities(snap.levelState.items, g.items);
+        for (let i = 0; i < liveArr.length; i++) {
+            if (!used.has(i)) {
+                liveArr[i].active = false;
+            }
         }
     }
 }
@@ -51,9 +51,10 @@ class Projectile extends Entity {
     onUpdate(deltaTime) {
         const dt = deltaTime / 1000;
         
-        // Track last position for impact resolution
+        // Track last position for impact resolution (swept collision path)
         this.prevX = this.x;
         this.prevY = this.y;
+        this.obstaclesHitThisStep = new Set();
         
         // Update age and check lifetime
         this.age += deltaTime;
@@ -84,35 +85,101 @@ class Projectile extends Entity {
     }
 
     /**
-     * Check collisions with targets
+     * Check collisions with targets along the path moved this step, so fast
+     * projectiles cannot tunnel through thin platforms or small enemies.
+     * Hits are resolved in path order; a solid platform blocks targets behind it.
      */
     checkCollisions() {
         if (!this.game) return;
 
-        // Check collision with enemies if fired by player
+        const collision = this.game.collisionSystem;
+        const swept = this.getSweptBounds();
+
+        let targets = [];
         if (this.ownerType === 'player') {
-            this.game.enemies.forEach(enemy => {
-                if (this.canHit(enemy) && CollisionDetection.entityCollision(this, enemy)) {
-                    this.hitTarget(enemy);
-                }
-            });
-        }
-        
-        // Check collision with player if fired by enemy
-        else if (this.ownerType === 'enemy') {
-            if (this.canHit(this.game.player) && CollisionDetection.entityCollision(this, this.game.player)) {
-                this.hitTarget(this.game.player);
-            }
+            // Check collision with enemies if fired by player
+            targets = collision ? collision.queryEntities(swept, 'enemies') : (this.game.enemies || []);
+        } else if (this.ownerType === 'enemy' && this.game.player) {
+            // Check collision with player if fired by enemy
+            targets = [this.game.player];
         }
 
-        // Check collision with solid environment
+        // Earliest solid platform along the path
+        let obstacle = null;
         if (this.game.platforms) {
-            this.game.platforms.forEach(platform => {
-                if (platform.solid && CollisionDetection.rectangleCollision(this, platform)) {
-                    this.hitObstacle(platform);
+            const platforms = collision ? collision.queryPlatforms(swept) : this.game.platforms;
+            platforms.forEach(platform => {
+                if (!platform.solid) return;
+                const impact = this.sweepAgainst(platform);
+                if (impact && (!obstacle || impact.time < obstacle.impact.time)) {
+                    obstacle = { platform, impact };
                 }
             });
         }
+
+        const hits = [];
+        targets.forEach(target => {
+            if (!target || !this.canHit(target)) return;
+            const impact = this.sweepAgainst(CollisionDetection.getCollisionBounds(target));
+            if (impact && (!obstacle || impact.time <= obstacle.impact.time)) {
+                hits.push({ target, impact });
+            }
+        });
+        hits.sort((a, b) => a.impact.time - b.impact.time);
+        hits.forEach(({ target, impact }) => {
+            if (this.active && this.canHit(target)) this.hitTarget(target, impact);
+        });
+
+        if (obstacle && this.active) {
+            this.hitObstacle(obstacle.platform, obstacle.impact);
+        }
+    }
+
+    /**
+     * Bounds covering the whole path moved this step (broadphase queries).
+     */
+    getSweptBounds() {
+        const bounds = CollisionDetection.getCollisionBounds(this);
+        const dx = this.x - (this.prevX ?? this.x);
+        const dy = this.y - (this.prevY ?? this.y);
+        return {
+            x: Math.min(bounds.x, bounds.x - dx),
+            y: Math.min(bounds.y, bounds.y - dy),
+            width: bounds.width + Math.abs(dx),
+            height: bounds.height + Math.abs(dy)
+        };
+    }
+
+    /**
+     * Swept test of this step's movement (prevX/prevY -> x/y) against a rect.
+     * @param {Object} rect - {x, y, width, height} (platforms use their raw rect)
+     * @returns {{time: number, normal: {x: number, y: number}, x: number, y: number,
+     *   point: {x: number, y: number}}|null} time along the path (0-1), surface
+     *   normal, projectile position at contact, and world-space contact point
+     */
+    sweepAgainst(rect) {
+        if (!rect) return null;
+        const bounds = CollisionDetection.getCollisionBounds(this);
+        const startX = this.prevX ?? this.x;
+        const startY = this.prevY ?? this.y;
+        const dx = this.x - startX;
+        const dy = this.y - startY;
+        const start = { x: bounds.x - dx, y: bounds.y - dy, width: bounds.width, height: bounds.height };
+        const hit = CollisionDetection.sweptAABB(start, dx, dy, rect);
+        if (!hit) return null;
+
+        const centerX = start.x + dx * hit.time + bounds.width / 2;
+        const centerY = start.y + dy * hit.time + bounds.height / 2;
+        return {
+            time: hit.time,
+            normal: hit.normal,
+            x: startX + dx * hit.time,
+            y: startY + dy * hit.time,
+            point: {
+                x: centerX - hit.normal.x * bounds.width / 2,
+                y: centerY - hit.normal.y * bounds.height / 2
+            }
+        };
     }
 
     /**
@@ -136,8 +203,10 @@ class Projectile extends Entity {
     /**
      * Handle hitting a target
      * @param {Entity} target - Target that was hit
+     * @param {Object} [impact] - Contact info from sweepAgainst (time, normal, point)
      */
-    hitTarget(target) {
+    hitTarget(target, impact = null) {
+        this.lastImpact = impact;
         // Add to hit targets
         this.hitTargets.add(target);
 
@@ -152,7 +221,7 @@ class Projectile extends Entity {
         }
         
         // Play hit effect
-        this.createHitEffect(target);
+        this.createHitEffect(target, impact);
         
         // Auto fade on impact if enabled
         if (this.autoFadeOnImpact && !this.piercing) {
@@ -160,16 +229,25 @@ class Projectile extends Entity {
         }
         
         // Trigger hit callback (projectile decides what to do next)
-        this.onHitTarget(target);
+        this.onHitTarget(target, impact);
     }
 
     /**
      * Handle hitting an obstacle
      * @param {Entity} obstacle - Obstacle that was hit
+     * @param {Object} [impact] - Contact info from sweepAgainst; the projectile
+     *   is moved back to the contact position before callbacks run
      */
-    hitObstacle(obstacle) {
+    hitObstacle(obstacle, impact = null) {
+        this.lastImpact = impact;
+        this.obstaclesHitThisStep?.add(obstacle);
+        if (impact) {
+            this.x = impact.x;
+            this.y = impact.y;
+        }
+
         // Create impact effect
-        this.createHitEffect(obstacle);
+        this.createHitEffect(obstacle, impact);
         
         // Auto fade on impact if enabled
         if (this.autoFadeOnImpact && !this.piercing) {
@@ -177,7 +255,7 @@ class Projectile extends Entity {
         }
         
         // Trigger hit callback (projectile decides what to do next)
-        this.onHitObstacle(obstacle);
+        this.onHitObstacle(obstacle, impact);
     }
 
     /**
@@ -193,8 +271,9 @@ class Projectile extends Entity {
     /**
      * Create visual effect when hitting something
      * @param {Entity} target - What was hit
+     * @param {Object} [impact] - Contact info (impact.point is where it landed)
      */
-    createHitEffect(target) {
+    createHitEffect(target, impact = null) {
         if (this.playedHitSound) return;
         const audio = this.game?.services?.audio || this.game?.audioManager;
         if (!audio) return;
@@ -250,8 +329,8 @@ class Projectile extends Entity {
     }
 
     // Virtual methods (override in subclasses)
-    onHitTarget(target) {}
-    onHitObstacle(obstacle) {}
+    onHitTarget(target, impact) {}
+    onHitObstacle(obstacle, impact) {}
 }
 
 /**
@@ -309,7 +388,7 @@ class Rock extends Projectile {
         }
     }
 
-    onHitObstacle(obstacle) {
+    onHitObstacle(obstacle, impact = null) {
         // Bounce off solid platforms/ground; disintegrate when energy is gone
         if (!obstacle || !obstacle.solid) {
             this.disintegrate(obstacle);
@@ -319,6 +398,26 @@ class Rock extends Projectile {
         const rockBounds = CollisionDetection.getCollisionBounds(this);
         const obstacleBounds = CollisionDetection.getCollisionBounds(obstacle);
 
+        if (impact?.normal) {
+            // Swept contact: the normal tells us which face was hit
+            const { normal } = impact;
+            if (normal.y !== 0) {
+                this.y = normal.y < 0
+                    ? obstacleBounds.y - this.height - 0.1
+                    : obstacleBounds.y + obstacleBounds.height + 0.1;
+                this.velocity.y = normal.y * Math.abs(this.velocity.y) * this.bounceDamping;
+                this.velocity.x *= this.bounceFriction;
+            } else {
+                this.x = normal.x < 0
+                    ? obstacleBounds.x - this.width - 0.1
+                    : obstacleBounds.x + obstacleBounds.width + 0.1;
+                this.velocity.x = normal.x * Math.abs(this.velocity.x) * this.bounceDamping;
+                this.velocity.y *= this.bounceFriction;
+            }
+            this.afterBounce(obstacle);
+            return;
+        }
+
         const overlapX = Math.min(
             rockBounds.x + rockBounds.width - obstacleBounds.x,
             obstacleBounds.x + obstacleBounds.width - rockBounds.x
@@ -360,21 +459,25 @@ class Rock extends Projectile {
         }
 
         if (bounced) {
-            this.bounceCount++;
-            this.onGround = false; // allow gravity to re-apply for the next arc
-
-            const speed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.y * this.velocity.y);
-            const outOfEnergy = speed < this.minBounceSpeed || this.bounceCount > this.maxBounces;
-
-            if (outOfEnergy) {
-                this.disintegrate(obstacle, false);
-            }
+            this.afterBounce(obstacle);
         } else {
             // Unknown collision direction; just disintegrate to avoid sticking
             this.disintegrate(obstacle, false);
         }
     }
 
+    afterBounce(obstacle) {
+        this.bounceCount++;
+        this.onGround = false; // allow gravity to re-apply for the next arc
+
+        const speed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.y * this.velocity.y);
+        const outOfEnergy = speed < this.minBounceSpeed || this.bounceCount > this.maxBounces;
+
+        if (outOfEnergy) {
+            this.disintegrate(obstacle, false);
+        }
+    }
+
     /**
      * Override update to handle gravity and fade
      */
@@ -435,10 +538,11 @@ class MagicArrow extends Projectile {
     }
 
     onUpdate(deltaTime) {
+        const rng = RandomService.for(this.game, 'cosmetic');
         super.onUpdate(deltaTime);
         
         // Add magical particle effects
-        if (Math.random() < 0.3) {
+        if (rng.next() < 0.3) {
             this.createMagicParticle();
         }
     }
@@ -566,7 +670,7 @@ class Coconut extends Projectile {
         }
     }
 
-    onHitObstacle(obstacle) {
+    onHitObstacle(obstacle, impact = null) {
         if (!obstacle || !obstacle.solid) {
             this.disintegrate(obstacle);
             return;
@@ -583,15 +687,17 @@ class Coconut extends Projectile {
             bounds.y + bounds.height - ob.y,
             ob.y + ob.height - bounds.y
         );
+        // Prefer the swept contact normal; fall back to the shallowest overlap
+        const horizontal = impact?.normal ? impact.normal.x !== 0 : overlapX < overlapY;
 
-        if (overlapX < overlapY) {
+        if (horizontal) {
             // Horizontal bounce with heavy damping
-            const hitFromLeft = bounds.x < ob.x;
+            const hitFromLeft = impact?.normal ? impact.normal.x < 0 : bounds.x < ob.x;
             this.x = hitFromLeft ? ob.x - bounds.width - 0.1 : ob.x + ob.width + 0.1;
             this.velocity.x = -this.velocity.x * 0.1;
         } else {
             // Vertical contact: small hop, more damping
-            const hitFromAbove = bounds.y < ob.y;
+            const hitFromAbove = impact?.normal ? impact.normal.y < 0 : bounds.y < ob.y;
             this.y = hitFromAbove ? ob.y - bounds.height - 0.1 : ob.y + ob.height + 0.1;
             this.velocity.y = -Math.abs(this.velocity.y) * 0.1;
             this.velocity.x *= 0.95;
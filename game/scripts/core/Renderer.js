@@ -45,30 +45,96 @@ class Renderer {
 
     /**
      * Main render entry point.
+     * @param {number} [alpha=1] - Blend between previous (0) and current (1) step positions
      */
-    renderFrame() {
+    renderFrame(alpha = 1) {
         const { ctx, canvas, clear } = this.getContext();
         if (!ctx || !canvas) {
             console.error('Renderer: unable to render frame due to missing context.');
             throw new Error('Renderer: missing render context.');
         }
 
+        const restore = this.applyInterpolation(alpha);
+        const restoreShake = this.applyCameraShake();
+        try {
+            this.drawFrame(ctx, canvas, clear);
+        } finally {
+            restoreShake();
+            restore();
+        }
+    }
+
+    drawFrame(ctx, canvas, clear) {
         clear();
 
         this.sceneRenderer.render(ctx, canvas);
         this.uiRenderer.render(ctx, canvas);
 
-        // Keep UI elements anchored
-        if (this.game.dialogueManager?.isActive()) {
-            this.game.uiManager?.updateDialoguePosition?.();
+        // Keep UI elements anchored (DOM overlays; none when headless)
+        if (!this.game.headless) {
+            if (this.game.dialogueManager?.isActive()) {
+                this.game.uiManager?.updateDialoguePosition?.();
+            }
+            this.game.uiManager?.updateNpcCallouts?.();
         }
-        this.game.uiManager?.updateNpcCallouts?.();
 
         if (this.game.debug) {
             this.debugRenderer.render(ctx);
         }
     }
 
+    /**
+     * Temporarily move tracked objects to their interpolated positions.
+     * Returns a function that puts the simulation positions back.
+     */
+    applyInterpolation(alpha = 1) {
+        const timing = (typeof GameConfig !== 'undefined') ? GameConfig.timing : null;
+        if (timing?.interpolate === false || alpha >= 1) return () => {};
+
+        const g = this.game;
+        const maxJump = timing?.interpolationMaxJump ?? 200;
+        const moved = [];
+        const blend = (obj) => {
+            if (!obj || typeof obj.renderPrevX !== 'number' || typeof obj.renderPrevY !== 'number') return;
+            const dx = obj.x - obj.renderPrevX;
+            const dy = obj.y - obj.renderPrevY;
+            // Teleports/respawns should snap rather than smear across the screen
+            if (Math.abs(dx) > maxJump || Math.abs(dy) > maxJump) return;
+            moved.push([obj, obj.x, obj.y]);
+            obj.x = obj.renderPrevX + dx * alpha;
+            obj.y = obj.renderPrevY + dy * alpha;
+        };
+
+        blend(g.player);
+        blend(g.camera);
+        [g.npcs, g.enemies, g.items, g.projectiles].forEach((list) => {
+            (list || []).forEach(blend);
+        });
+
+        return () => {
+            moved.forEach(([obj, x, y]) => {
+                obj.x = x;
+                obj.y = y;
+            });
+        };
+    }
+
+    /**
+     * Temporarily offset the camera by its shake. Returns a function that
+     * undoes it so the shake never leaks into the simulation.
+     */
+    applyCameraShake() {
+        const camera = this.game.camera;
+        const offset = camera?.getShakeOffset?.();
+        if (!offset || (!offset.x && !offset.y)) return () => {};
+        camera.x += offset.x;
+        camera.y += offset.y;
+        return () => {
+            camera.x -= offset.x;
+            camera.y -= offset.y;
+        };
+    }
+
     /**
      * Test-room specific background grid.
      */
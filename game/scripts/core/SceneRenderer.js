@@ -83,6 +83,9 @@ class SceneRenderer {
         // Hazards
         g.hazards.forEach(hazard => hazard?.render?.(ctx, g.camera));
 
+        // Checkpoints
+        (g.checkpoints || []).forEach(checkpoint => checkpoint?.render?.(ctx, g.camera));
+
         // Items
         g.items.forEach(item => item?.render?.(ctx, g.camera));
 
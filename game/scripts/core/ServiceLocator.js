@@ -30,6 +30,14 @@ class ServiceLocator {
         return this.services.save || null;
     }
 
+    replay() {
+        return this.services.replay || null;
+    }
+
+    rng() {
+        return this.services.rng || null;
+    }
+
     eventBus() {
         return this.services.eventBus || null;
     }
@@ -0,0 +1,70 @@
+/**
+ * SnapshotRegistry - save snapshot providers. Each subsystem registers a
+ * section key with `save(game)` (plain JSON, or null to skip) and
+ * `restore(game, data, snap)`. Sections restore in ascending `order`.
+ *
+ *   registry.register('journals', {
+ *       save: g => g.journalUI?.getSaveData?.() || null,
+ *       restore: (g, data) => g.journalUI?.loadSaveData?.(data)
+ *   });
+ */
+class SnapshotRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(key, { save, restore, order = 0 } = {}) {
+        if (!key || typeof save !== 'function' || typeof restore !== 'function') return;
+        this.providers.set(key, { key, save, restore, order });
+    }
+
+    unregister(key) {
+        this.providers.delete(key);
+    }
+
+    has(key) {
+        return this.providers.has(key);
+    }
+
+    getOrdered() {
+        return Array.from(this.providers.values()).sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Build the `sections` object for a snapshot.
+     */
+    collect(game) {
+        const sections = {};
+        this.getOrdered().forEach(provider => {
+            try {
+                const data = provider.save(game);
+                if (data !== null && data !== undefined) {
+                    sections[provider.key] = data;
+                }
+            } catch (err) {
+                // One broken subsystem shouldn't cost the whole save
+                console.warn(`[SnapshotRegistry] Could not save "${provider.key}":`, err);
+            }
+        });
+        return sections;
+    }
+
+    /**
+     * Restore every section present in `sections`; missing ones are left as built.
+     */
+    restore(game, sections = {}, snap = null) {
+        this.getOrdered().forEach(provider => {
+            const data = sections?.[provider.key];
+            if (data === null || data === undefined) return;
+            try {
+                provider.restore(game, data, snap);
+            } catch (err) {
+                console.warn(`[SnapshotRegistry] Could not restore "${provider.key}":`, err);
+            }
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotRegistry;
+}
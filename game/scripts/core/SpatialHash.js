@@ -0,0 +1,155 @@
+/**
+ * SpatialHash - uniform grid broadphase for axis-aligned bounds.
+ *
+ * Objects are bucketed into every cell their bounds touch. Queries return the
+ * unique objects from the cells a rectangle touches, in insertion order, so
+ * callers that resolve collisions sequentially behave exactly as they did when
+ * looping over the full array.
+ */
+class SpatialHash {
+    constructor(cellSize = 256) {
+        this.cellSize = Math.max(1, cellSize);
+        this.cells = new Map();   // "cx,cy" -> Set of objects
+        this.entries = new Map(); // object -> { range, tag, order }
+        this.nextOrder = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.nextOrder = 0;
+    }
+
+    has(obj) {
+        return this.entries.has(obj);
+    }
+
+    /**
+     * @param {Object} obj
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     * @param {string} [tag] - optional category for filtered queries
+     */
+    insert(obj, bounds, tag = null) {
+        if (!obj || !bounds) return;
+        if (this.entries.has(obj)) {
+            this.update(obj, bounds);
+            return;
+        }
+        const range = this.getRange(bounds);
+        this.entries.set(obj, { range, tag, order: this.nextOrder++ });
+        this.addToCells(obj, range);
+    }
+
+    /**
+     * Re-bucket an object after it moved (no-op when its cells are unchanged).
+     */
+    update(obj, bounds, tag = undefined) {
+        const entry = this.entries.get(obj);
+        if (!entry) {
+            this.insert(obj, bounds, tag ?? null);
+            return;
+        }
+        if (tag !== undefined) entry.tag = tag;
+        const range = this.getRange(bounds);
+        const prev = entry.range;
+        if (range.minX === prev.minX && range.maxX === prev.maxX &&
+            range.minY === prev.minY && range.maxY === prev.maxY) {
+            return;
+        }
+        this.removeFromCells(obj, prev);
+        entry.range = range;
+        this.addToCells(obj, range);
+    }
+
+    remove(obj) {
+        const entry = this.entries.get(obj);
+        if (!entry) return;
+        this.removeFromCells(obj, entry.range);
+        this.entries.delete(obj);
+    }
+
+    /**
+     * Objects whose cells overlap the given bounds (a broadphase superset;
+     * callers still run their exact overlap test).
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     * @param {string|null} [tag] - only return objects inserted with this tag
+     * @returns {Object[]}
+     */
+    query(bounds, tag = null) {
+        if (!bounds) return [];
+        const range = this.getRange(bounds);
+        const found = new Set();
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (!cell) continue;
+                cell.forEach(obj => found.add(obj));
+            }
+        }
+        let results = Array.from(found);
+        if (tag !== null) {
+            results = results.filter(obj => this.entries.get(obj)?.tag === tag);
+        }
+        if (results.length > 1) {
+            results.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+        }
+        return results;
+    }
+
+    /**
+     * Occupied cells as { x, y, size, count } in world units (debug overlay).
+     * @param {Object} [view] - limit to cells overlapping these bounds
+     */
+    getOccupiedCells(view = null) {
+        const range = view ? this.getRange(view) : null;
+        const cells = [];
+        this.cells.forEach((set, key) => {
+            const [cx, cy] = key.split(',').map(Number);
+            if (range && (cx < range.minX || cx > range.maxX || cy < range.minY || cy > range.maxY)) return;
+            cells.push({ x: cx * this.cellSize, y: cy * this.cellSize, size: this.cellSize, count: set.size });
+        });
+        return cells;
+    }
+
+    getRange(bounds) {
+        const size = this.cellSize;
+        const width = Math.max(0, bounds.width || 0);
+        const height = Math.max(0, bounds.height || 0);
+        return {
+            minX: Math.floor(bounds.x / size),
+            minY: Math.floor(bounds.y / size),
+            maxX: Math.floor((bounds.x + width) / size),
+            maxY: Math.floor((bounds.y + height) / size)
+        };
+    }
+
+    addToCells(obj, range) {
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+                cell.add(obj);
+            }
+        }
+    }
+
+    removeFromCells(obj, range) {
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const key = `${cx},${cy}`;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+                cell.delete(obj);
+                if (!cell.size) this.cells.delete(key);
+            }
+        }
+    }
+}
@@ -23,11 +23,17 @@ class WorldBuilder {
             console.warn('Level validation failed:', validated.errors);
         }
         g.currentTheme = levelDef?.theme || this.config?.theme || 'beach';
+        // Registered (non test-room) levels always use their own layout
+        if (levelDef && levelId !== 'testRoom' && !levelDef.testRoom) {
+            g.testMode = false;
+        }
+        g.currentLevelMusicId = levelDef?.music || 'level1';
 
         g.platforms = [];
         g.enemies = [];
         g.items = [];
         g.hazards = [];
+        g.checkpoints = [];
         g.projectiles = [];
         g.townDecor = [];
         g.chests = [];
@@ -67,7 +73,9 @@ class WorldBuilder {
             // Fallback: if levelDef has platforms/enemies/items, build them
             if (levelDef?.platforms) {
                 levelDef.platforms.forEach(p => {
-                    const plat = this.factory.create({ type: 'platform', ...p });
+                    // Same descriptor shape as rooms: the platform's own type becomes the subtype
+                    const subtype = p.subtype || p.kind || p.type || 'ground';
+                    const plat = this.factory.create({ ...p, type: 'platform', subtype });
                     if (plat) g.platforms.push(plat);
                 });
             } else {
@@ -90,6 +98,15 @@ class WorldBuilder {
             } else {
                 this.spawnItems();
             }
+            // Save points are solid, so they live with the platforms
+            (levelDef?.savePoints || []).forEach(def => {
+                const point = this.factory.create({ ...def, type: 'savePoint' });
+                if (point) g.platforms.push(point);
+            });
+            (levelDef?.checkpoints || []).forEach(def => {
+                const checkpoint = this.factory.create({ ...def, type: 'checkpoint' });
+                if (checkpoint) g.checkpoints.push(checkpoint);
+            });
         }
 
         const spawn = (levelId === 'testRoom' || g.testMode) ? getTestSpawn() : { x: defaultSpawn.x, y: defaultSpawn.y };
@@ -175,7 +192,7 @@ class WorldBuilder {
         }
 
         const enemyBlueprints = (g.enemies || []).map(enemy => {
-            if (enemy instanceof Slime) {
+            if (enemy && this.factory.registry[enemy.type]) {
                 const patrol = enemy.simplePatrol
                     ? {
                         left: enemy.simplePatrol.left,
@@ -184,7 +201,7 @@ class WorldBuilder {
                         groundY: enemy.simplePatrol.groundY
                     }
                     : null;
-                return { type: 'slime', x: enemy.x, y: enemy.y, patrol };
+                return { ...(enemy.spawnDef || {}), type: enemy.type, x: enemy.x, y: enemy.y, patrol };
             }
             return null;
         }).filter(Boolean);
@@ -196,6 +213,9 @@ class WorldBuilder {
             if (item instanceof CoffeeItem) {
                 return { type: 'coffee', x: item.x, y: item.y };
             }
+            if (item instanceof AbilityPickup) {
+                return { type: 'ability_pickup', x: item.x, y: item.originalY, ability: item.abilityId };
+            }
             return null;
         }).filter(Boolean);
 
@@ -248,17 +268,7 @@ class WorldBuilder {
             .filter(p => p.type !== 'palm')
             .map(p => this.factory.platform(p.x, p.y, p.width, p.height, p.type));
 
-        g.enemies = (blueprint.enemies || []).map(def => {
-            if (def.type === 'slime') {
-                const slime = this.factory.slime(def.x, def.y);
-                slime.y = def.y;
-                if (def.patrol) {
-                    slime.setSimplePatrol(def.patrol.left, def.patrol.right, def.patrol.speed, def.patrol.groundY);
-                }
-                return slime;
-            }
-            return null;
-        }).filter(Boolean);
+        g.enemies = (blueprint.enemies || []).map(def => this.factory.create(def)).filter(Boolean);
 
         g.items = (blueprint.items || []).map(def => {
             if (def.type === 'health_potion') {
@@ -267,6 +277,9 @@ class WorldBuilder {
             if (def.type === 'coffee') {
                 return this.factory.coffee(def.x, def.y);
             }
+            if (def.type === 'ability_pickup') {
+                return this.factory.abilityPickup(def.x, def.y, def.ability);
+            }
             return null;
         }).filter(Boolean);
 
@@ -382,26 +395,17 @@ class WorldBuilder {
     spawnEnemies() {
         const g = this.game;
         const enemySpawns = [
-            { x: 250, y: 450, type: 'Slime' },
-            { x: 600, y: 450, type: 'Slime' },
-            { x: 1000, y: 450, type: 'Slime' },
-            { x: 1400, y: 450, type: 'Slime' },
-            { x: 1800, y: 450, type: 'Slime' },
-            { x: 2200, y: 450, type: 'Slime' }
+            { x: 250, y: 450, type: 'slime' },
+            { x: 600, y: 450, type: 'slime' },
+            { x: 1000, y: 450, type: 'slime' },
+            { x: 1400, y: 450, type: 'slime' },
+            { x: 1800, y: 450, type: 'slime' },
+            { x: 2200, y: 450, type: 'slime' }
         ];
 
         enemySpawns.forEach(spawn => {
-            let enemy;
-
             try {
-                switch (spawn.type) {
-                    case 'Slime':
-                        enemy = this.factory.slime(spawn.x, spawn.y);
-                        break;
-                    default:
-                        return;
-                }
-
+                const enemy = this.factory.create(spawn);
                 if (enemy) {
                     g.enemies.push(enemy);
                 }
@@ -546,6 +550,10 @@ class WorldBuilder {
         const coffee = this.factory.coffee(860, groundY - 70);
         g.items.push(coffee);
 
+        (levelDef.abilityPickups || []).forEach(def => {
+            g.items.push(this.factory.abilityPickup(def.x, groundY - (def.yOffset ?? 60), def.ability));
+        });
+
         const ghostX = 680;
         const ghostY = groundY - 64;
         g.shopGhost = this.factory.shopGhost(ghostX, ghostY, 'npc.shop_ghost');
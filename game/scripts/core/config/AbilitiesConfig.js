@@ -0,0 +1,45 @@
+const AbilitiesConfig = {
+    // Moves Luckie learns from ability pickups placed in level/room data:
+    // { type: 'ability_pickup', ability: 'dash', x, y }. Player.abilities
+    // gets one entry per key; Player.onUpdate only runs a move while
+    // hasAbility(id) is true.
+    //
+    // `input` is the ControlsConfig action the move listens to, `unlocked`
+    // whether a new player starts with it, and `icon` is shown on the
+    // pickup and in the unlock callout.
+    double_jump: {
+        name: 'Double Jump',
+        description: 'Press Space in mid-air to jump again.',
+        input: 'airJump',
+        unlocked: false,
+        icon: 'art/items/shoe.png'
+    },
+    dash: {
+        name: 'Dash',
+        description: 'Press Shift for a quick burst of speed.',
+        input: 'dash',
+        unlocked: false,
+        icon: 'art/items/coffee.png'
+    },
+    ground_pound: {
+        name: 'Ground Pound',
+        description: 'Press Down in mid-air to slam the ground.',
+        input: 'moveDown',
+        unlocked: false,
+        icon: 'art/items/rock-item.png'
+    },
+    glide: {
+        name: 'Glide',
+        description: 'Hold Jump while falling to float down slowly.',
+        input: 'jump',
+        unlocked: false,
+        icon: 'art/ui/scroll.png'
+    },
+    wall_jump: {
+        name: 'Wall Jump',
+        description: 'Jump while sliding down a wall to kick off it.',
+        input: 'jump',
+        unlocked: false,
+        icon: 'art/items/flag.png'
+    }
+};
@@ -0,0 +1,20 @@
+const CampaignConfig = {
+    // Ordered campaign levels. Each id must be registered in LevelRegistry
+    // (window.LevelDefinitions). Finishing a level (touching the Flag) offers the
+    // next entry once its unlock rule is met.
+    //
+    // unlock rules (all optional, every listed rule must pass):
+    //   after: ['levelId', ...]  - levels that must have been completed
+    //   minTotalCoins: n         - sum of best coin counts across completed levels
+    //   minTotalScore: n         - sum of best scores across completed levels
+    // A level with no unlock rule is always available.
+    id: 'main',
+    name: 'Beachside Run',
+    // Level passwords (LevelPasswords): changing the seed changes every password
+    passwords: { seed: 0x4C55434B },
+    levels: [
+        { id: 'testRoom', name: 'Beachside Warm-up' },
+        { id: 'tidepools', name: 'Tidepool Trail', unlock: { after: ['testRoom'] } },
+        { id: 'cliffside', name: 'Cliffside Climb', unlock: { after: ['tidepools'], minTotalCoins: 10 } }
+    ]
+};
@@ -1,7 +1,87 @@
 const ControlsConfig = {
-    toggleDebug: ['/'],
-    toggleTest: ['F2'],
-    toggleMute: ['m', 'M'],
-    toggleInventory: ['i', 'I'],
-    pause: ['Escape', 'p', 'P']
+    // Default key bindings per action. Keys are lowercased KeyboardEvent
+    // `key`/`code` values ('space' for the spacebar) or `pad:<button>` for
+    // gamepad buttons (see gamepad.buttons) or `touch:<control>` for the
+    // on-screen touch controls. Players can rebind these from the
+    // pause menu; only their changes are saved (settings.controls.bindings).
+    bindings: {
+        moveLeft: ['a', 'arrowleft', 'pad:left', 'touch:left'],
+        moveRight: ['d', 'arrowright', 'pad:right', 'touch:right'],
+        moveDown: ['s', 'arrowdown', 'pad:down', 'touch:down'],
+        jump: ['w', 'space', 'arrowup', 'pad:jump', 'touch:jump'],
+        airJump: ['space', 'pad:jump', 'touch:jump'],
+        dash: ['shift'],
+        action: ['z', 'pad:action', 'touch:action'],
+        interact: ['e', 'enter', 'pad:interact', 'touch:interact'],
+        advanceDialogue: ['enter', 'touch:interact'],
+        throw: ['pad:throw', 'touch:throw'],
+        inventory: ['i', 'pad:inventory', 'touch:inventory'],
+        pause: ['escape', 'p', 'pad:pause', 'touch:pause'],
+        cancel: ['escape'],
+        toggleMute: ['m'],
+        toggleDebug: ['/'],
+        toggleTest: ['f2'],
+        toggleReplayRecord: ['f8'],
+        playReplay: ['f9'],
+        menuUp: ['pad:up'],
+        menuDown: ['pad:down'],
+        menuLeft: ['pad:left'],
+        menuRight: ['pad:right'],
+        menuConfirm: ['pad:confirm'],
+        menuBack: ['pad:back']
+    },
+    // Actions that may share a key without counting as a conflict
+    sharedBindings: [
+        ['jump', 'airJump'],
+        ['interact', 'advanceDialogue'],
+        ['pause', 'cancel']
+    ],
+    // Actions listed in the Controls menu, in display order
+    rebindable: [
+        { action: 'moveLeft', label: 'Move Left' },
+        { action: 'moveRight', label: 'Move Right' },
+        { action: 'moveDown', label: 'Move Down' },
+        { action: 'jump', label: 'Jump' },
+        { action: 'airJump', label: 'Air Jump' },
+        { action: 'action', label: 'Action' },
+        { action: 'interact', label: 'Interact' },
+        { action: 'advanceDialogue', label: 'Advance Dialogue' },
+        { action: 'inventory', label: 'Inventory' },
+        { action: 'pause', label: 'Pause' },
+        { action: 'toggleMute', label: 'Mute' }
+    ],
+    // On-screen controls, shown automatically on touch (enabled: auto | always | never)
+    touch: {
+        enabled: 'auto',
+        joystickRadius: 48,
+        deadzone: 0.35,
+        buttons: [
+            { id: 'jump', label: 'Jump' },
+            { id: 'throw', label: 'Throw' },
+            { id: 'interact', label: 'E' },
+            { id: 'action', label: 'Z' },
+            { id: 'inventory', label: 'Bag' }
+        ]
+    },
+    // Standard-mapping button indices per pad action (A=0, B=1, X=2, Y=3,
+    // LB=4, RB=5, LT=6, RT=7, Back=8, Start=9, D-pad 12-15)
+    gamepad: {
+        deadzone: 0.3,
+        aimDeadzone: 0.35,
+        aimDistance: 320,
+        buttons: {
+            jump: [0],
+            interact: [1],
+            action: [2],
+            inventory: [3, 8],
+            throw: [5, 7],
+            pause: [9],
+            confirm: [0],
+            back: [1],
+            up: [12],
+            down: [13],
+            left: [14],
+            right: [15]
+        }
+    }
 };
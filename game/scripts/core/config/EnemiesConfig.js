@@ -0,0 +1,76 @@
+const EnemiesConfig = {
+    // Factory type -> enemy class and stats. Level definitions and room
+    // descriptors place enemies by type ({ type: 'poison_slime', x, y }) and may
+    // override any stat per placement ({ type: 'slime', x, y, health: 60 }).
+    //
+    // Stats use the Enemy field names: health (also sets maxHealth),
+    // patrolDistance (px either side of the spawn point), patrolSpeed,
+    // chaseSpeed, detectionRange, attackRange, attackDamage and
+    // attackCooldownTime (ms between attacks).
+    //
+    // Drops: dropChance is the chance to drop anything; dropTable entries are
+    // { item, chance, amount } with item one of coin | health_potion | rocks |
+    // rock_bag and amount a number or a [min, max] range. The first entry that
+    // rolls is dropped.
+    slime: {
+        className: 'Slime',
+        health: 30,
+        patrolDistance: 100,
+        patrolSpeed: 0.8,
+        chaseSpeed: 1.4,
+        detectionRange: 260,
+        attackRange: 64,
+        attackDamage: 15,
+        attackCooldownTime: 1000
+        // No dropTable: slimes use their built-in coin shower (Slime.handleDrops)
+    },
+    ground_slime: {
+        className: 'GroundSlime',
+        health: 25,
+        patrolDistance: 100,
+        patrolSpeed: 0.5,
+        chaseSpeed: 1.5,
+        detectionRange: 120,
+        attackRange: 30,
+        attackDamage: 15,
+        attackCooldownTime: 1000,
+        dropChance: 1,
+        dropTable: [
+            { item: 'health_potion', chance: 0.25, amount: 1 },
+            { item: 'coin', chance: 0.6, amount: [1, 3] },
+            { item: 'rocks', chance: 0.3, amount: [1, 2] }
+        ]
+    },
+    poison_slime: {
+        className: 'PoisonSlime',
+        health: 30,
+        patrolDistance: 100,
+        patrolSpeed: 0.4,
+        chaseSpeed: 1.2,
+        detectionRange: 140,
+        attackRange: 35,
+        attackDamage: 12,
+        attackCooldownTime: 1000,
+        dropChance: 1,
+        dropTable: [
+            { item: 'health_potion', chance: 0.25, amount: 1 },
+            { item: 'coin', chance: 0.6, amount: 2 }
+        ]
+    },
+    magic_arrow_slime: {
+        className: 'MagicArrowSlime',
+        health: 30,
+        patrolDistance: 100,
+        patrolSpeed: 0.6,
+        chaseSpeed: 1.0,
+        detectionRange: 180,
+        attackRange: 200,
+        attackDamage: 18,
+        attackCooldownTime: 1000,
+        dropChance: 1,
+        dropTable: [
+            { item: 'health_potion', chance: 0.25, amount: 1 },
+            { item: 'coin', chance: 0.7, amount: 3 }
+        ]
+    }
+};
@@ -2,5 +2,7 @@ const LevelDefaultsConfig = {
     width: 3000,
     height: 600,
     spawn: { x: 100, y: 400 },
-    scrollSpeed: 2
+    scrollSpeed: 2,
+    lives: 3, // per level; override with `lives` in a level definition
+    respawnInvulnerabilityMs: 2000
 };
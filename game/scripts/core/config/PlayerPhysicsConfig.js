@@ -0,0 +1,39 @@
+const PlayerPhysicsConfig = {
+    // Movement tuning read by Player (speeds in px/s, times in ms).
+    // The debug overlay can live-edit `movement` (Player.applyPhysicsProfile).
+    movement: {
+        moveSpeed: 600, // max run speed
+        acceleration: 2000, // px/s² ramp up to moveSpeed
+        deceleration: 8000, // px/s² ground stopping
+        airDeceleration: 100, // px/s² air resistance (very low)
+        jumpStrength: -700, // negative = up
+        gravity: 1000, // px/s²
+        maxFallSpeed: 900, // terminal fall speed (the ground pound slam sets its own)
+        coyoteMs: 100, // a ground jump still works this long after running off a ledge
+        jumpBufferMs: 120, // a jump pressed this long before landing fires on touchdown
+        jumpCutMultiplier: 0.45, // upward speed kept when jump is released early (short hop)
+        apexHangSpeed: 120, // |vy| below this counts as the top of the jump...
+        apexGravityScale: 0.5 // ...where gravity is scaled while jump is held
+    },
+    dash: {
+        speed: 1500, // burst speed along the dash direction
+        durationMs: 150,
+        cooldownMs: 700, // from the start of one dash to the next (HUD meter)
+        invulnerableMs: 220, // slime contact damage is ignored this long after starting
+        airDashes: 1, // dashes allowed before landing again
+        afterimageIntervalMs: 30, // how often the trail drops a ghost
+        afterimageLifeMs: 180
+    },
+    wall: {
+        slideSpeed: 160, // max fall speed while clinging to a wall
+        jumpX: 520, // kick-off speed away from the wall
+        jumpY: -680, // upward speed of the wall jump
+        controlLockMs: 180, // input toward the wall is ignored this long after a kick
+        probe: 2, // how far beside the player a wall still counts as touching
+        minOverlap: 24, // shorter edges (16px floating platforms) can't be clung to
+        // Platform types that are never walls (a platform's own `wallSlide` flag wins)
+        platformTypes: {
+            decor_platform: false
+        }
+    }
+};
@@ -25,6 +25,6 @@ class BattleScene {
     }
 
     render() {
-        // Rendering happens via BattleManager.render within Game.onTick.
+        // Rendering happens via BattleManager.render within Game.onRender.
     }
 }
@@ -38,6 +38,6 @@ class CutsceneScene {
     }
 
     render() {
-        // Rendering happens via CutscenePlayer.render inside Game.onTick.
+        // Rendering happens via CutscenePlayer.render inside Game.onRender.
     }
 }
@@ -22,9 +22,10 @@ class PlayScene {
         this.ctx.stateManager?.setState?.('playing');
         this.ctx.startLoop?.();
         if (audio) {
-            this.ctx.currentLevelMusicId = 'level1';
-            this.ctx.currentLevelMusicVolume = 0.8;
-            audio.playMusic?.('level1', 0.8);
+            const game = this.ctx.game || this.ctx;
+            game.currentLevelMusicId = game.currentLevelMusicId || 'level1';
+            game.currentLevelMusicVolume = 0.8;
+            audio.playMusic?.(game.currentLevelMusicId, 0.8);
         }
     }
 
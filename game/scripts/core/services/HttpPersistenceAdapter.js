@@ -0,0 +1,80 @@
+/**
+ * HttpPersistenceAdapter - remote backend for PersistenceService that keeps
+ * save slots on the local server (`/api/saves/:profileId`, see server/savesApi.js)
+ * so a profile's saves follow the player across browsers.
+ *
+ * Calls are async and never throw for network problems: they resolve with
+ * `{ ok: false, offline: true }` and the local copy stays authoritative.
+ */
+class HttpPersistenceAdapter {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.baseUrl = (config.baseUrl || '/api').replace(/\/$/, '');
+        this.timeoutMs = config.timeoutMs || 5000;
+        this.profileId = config.profileId || null;
+        this.lastError = null;
+    }
+
+    isAvailable() {
+        if (!this.enabled || !this.profileId || typeof fetch !== 'function') return false;
+        return !(typeof window !== 'undefined' && window.location?.protocol === 'file:');
+    }
+
+    setProfileId(profileId) {
+        this.profileId = profileId || null;
+    }
+
+    slotPath(slotId = null) {
+        const base = `/saves/${encodeURIComponent(this.profileId)}`;
+        return slotId ? `${base}/${encodeURIComponent(slotId)}` : base;
+    }
+
+    /**
+     * @returns {Promise<{ok:true, slots:Object[]}|{ok:false, offline?:boolean}>}
+     */
+    async listSlots() {
+        const res = await this.request(this.slotPath());
+        return res.ok ? { ok: true, slots: res.data?.slots || [] } : res;
+    }
+
+    /**
+     * Upload a slot. `baseUpdatedAt` is the server `updatedAt` this copy was
+     * last synced from (null if never synced).
+     * @returns {Promise<{ok:true, slot:Object}|{ok:false, conflict:true, server:Object}|{ok:false, offline?:boolean}>}
+     */
+    async putSlot(slot, { baseUpdatedAt = null, force = false } = {}) {
+        const res = await this.request(this.slotPath(slot.id), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ slot, baseUpdatedAt, force })
+        });
+        if (res.status === 409) {
+            return { ok: false, conflict: true, server: res.data?.server || null };
+        }
+        return res.ok ? { ok: true, slot: res.data?.slot || slot } : res;
+    }
+
+    deleteSlot(slotId) {
+        return this.request(this.slotPath(slotId), { method: 'DELETE' });
+    }
+
+    /**
+     * @returns {Promise<{ok:boolean, status?:number, data?:Object, offline?:boolean}>}
+     */
+    async request(path, options = {}) {
+        if (!this.isAvailable()) return { ok: false, offline: true };
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+        try {
+            const res = await fetch(`${this.baseUrl}${path}`, { ...options, signal: controller?.signal });
+            const data = res.status === 204 ? null : await res.json().catch(() => null);
+            this.lastError = res.ok || res.status === 409 ? null : new Error(data?.error || `Save sync failed (${res.status})`);
+            return { ok: res.ok, status: res.status, data };
+        } catch (err) {
+            this.lastError = err;
+            return { ok: false, offline: true };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+}
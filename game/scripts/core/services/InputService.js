@@ -10,8 +10,27 @@ class InputService {
         this.manager?.update();
     }
 
-    consumeAction() {
-        return this.manager?.consumeActionPress?.() || false;
+    /**
+     * Consume a press of a named action (defaults to the Z action button).
+     */
+    consumeAction(action = 'action') {
+        return this.manager?.consumeAction?.(action) || false;
+    }
+
+    isActionDown(action) {
+        return this.manager?.isActionDown?.(action) || false;
+    }
+
+    hasActionPress(action) {
+        return this.manager?.hasActionPress?.(action) || false;
+    }
+
+    getBindings(action) {
+        return this.manager?.getBindings?.(action) || [];
+    }
+
+    getActionMap() {
+        return this.manager?.actionMap || null;
     }
 
     consumeInteract() {
@@ -35,6 +54,14 @@ class InputService {
         return this.manager?.isMovingRight?.() || false;
     }
 
+    isMovingDown() {
+        return this.manager?.isMovingDown?.() || false;
+    }
+
+    isDashing() {
+        return this.manager?.isDashing?.() || false;
+    }
+
     isJumping() {
         return this.manager?.isJumping?.() || false;
     }
@@ -43,6 +70,30 @@ class InputService {
         return this.manager?.isSpaceJumping?.() || false;
     }
 
+    getMoveAxis() {
+        return this.manager?.getMoveAxis?.() || 0;
+    }
+
+    consumeAimThrow() {
+        return this.manager?.consumeAimThrow?.() || null;
+    }
+
+    isGamepadConnected() {
+        return this.manager?.isGamepadConnected?.() || false;
+    }
+
+    setVirtualKey(key, down) {
+        this.manager?.setVirtualKey?.(key, down);
+    }
+
+    releaseVirtualKeys(prefix) {
+        this.manager?.releaseVirtualKeys?.(prefix);
+    }
+
+    aimAt(x, y) {
+        this.manager?.aimAt?.(x, y);
+    }
+
     isMouseClicked() {
         return this.manager?.isMouseClicked?.() || false;
     }
@@ -50,4 +101,21 @@ class InputService {
     getMousePosition() {
         return this.manager?.getMousePosition?.() || { x: 0, y: 0 };
     }
+
+    // Raw state access (replay recording/playback)
+    captureState() {
+        return this.manager?.captureState?.() || null;
+    }
+
+    applyState(state) {
+        this.manager?.applyState?.(state);
+    }
+
+    clearState() {
+        this.manager?.clearState?.();
+    }
+
+    hasLivePress(key) {
+        return this.manager?.keyPresses?.has?.(String(key).toLowerCase()) || false;
+    }
 }
@@ -0,0 +1,76 @@
+/**
+ * LeaderboardService - client for the shared leaderboard API in server.js
+ * (`GET/POST /api/scores/:levelId`). Every call fails soft: when the server is
+ * unreachable (file://, offline, no server running) callers get null/throw and
+ * fall back to the local HighScoreBoard.
+ */
+class LeaderboardService {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.baseUrl = (config.baseUrl || '/api').replace(/\/$/, '');
+        this.timeoutMs = config.timeoutMs || 4000;
+        this.lastError = null;
+    }
+
+    isAvailable() {
+        if (!this.enabled || typeof fetch !== 'function') return false;
+        // Opened straight from disk there is no server to talk to
+        return !(typeof window !== 'undefined' && window.location?.protocol === 'file:');
+    }
+
+    /**
+     * One page of a level's shared board.
+     * @returns {Promise<{levelId:string, total:number, page:number, pageSize:number, pages:number, scores:Object[]}>}
+     */
+    fetchScores(levelId, { page = 1, pageSize = 10 } = {}) {
+        const query = `page=${encodeURIComponent(page)}&pageSize=${encodeURIComponent(pageSize)}`;
+        return this.request(`/scores/${encodeURIComponent(levelId)}?${query}`);
+    }
+
+    /**
+     * Submit a finished run.
+     * @param {string} levelId
+     * @param {{initials:string, score:number, coins:number, time:number, enemies:number}} run
+     * @returns {Promise<{rank:number, total:number, entry:Object}|null>} null when it couldn't be sent
+     */
+    async submitRun(levelId, run = {}) {
+        const body = {
+            initials: run.initials,
+            score: Math.max(0, Math.round(run.score || 0)),
+            coins: Math.max(0, Math.round(run.coins || 0)),
+            time: Math.max(0, Math.round(run.time || 0)),
+            enemies: Math.max(0, Math.round(run.enemies || 0))
+        };
+        try {
+            return await this.request(`/scores/${encodeURIComponent(levelId)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async request(path, options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('Leaderboard server unavailable');
+        }
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+        try {
+            const res = await fetch(`${this.baseUrl}${path}`, { ...options, signal: controller?.signal });
+            const data = await res.json().catch(() => null);
+            if (!res.ok) {
+                throw new Error(data?.error || `Leaderboard request failed (${res.status})`);
+            }
+            this.lastError = null;
+            return data;
+        } catch (err) {
+            this.lastError = err;
+            throw err;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+}
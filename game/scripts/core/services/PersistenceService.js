@@ -1,9 +1,20 @@
 /**
  * PersistenceService - simple localStorage adapter.
+ * An optional async `remote` backend (e.g. HttpPersistenceAdapter) can be
+ * plugged in; SaveService mirrors save slots to it.
  */
 class PersistenceService {
-    constructor(storage = null) {
+    constructor(storage = null, { remote = null } = {}) {
         this.storage = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+        this.remote = remote;
+    }
+
+    setRemote(remote) {
+        this.remote = remote || null;
+    }
+
+    getRemote() {
+        return this.remote?.isAvailable?.() ? this.remote : null;
     }
 
     save(key, value) {
@@ -0,0 +1,140 @@
+/**
+ * RandomStream - small seeded PRNG (mulberry32) with convenience helpers.
+ */
+class RandomStream {
+    constructor(name, seed = 0) {
+        this.name = name;
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * @returns {number} float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max] (inclusive).
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(list) {
+        if (!Array.isArray(list) || !list.length) return undefined;
+        return list[Math.floor(this.next() * list.length)];
+    }
+}
+
+/**
+ * RandomService - seedable RNG with independent named streams.
+ *
+ * Each stream is derived from the run seed and its name, so consuming numbers
+ * in one (e.g. cosmetic particles) never shifts another (e.g. loot drops).
+ * Streams: worldGen (layout/backgrounds), loot (drops/payouts), ai (enemy
+ * decisions), cosmetic (particles/visual jitter).
+ */
+class RandomService {
+    constructor(seed = null) {
+        this.streams = {};
+        this.setSeed(Number.isFinite(seed) ? seed : RandomService.createSeed());
+        RandomService.shared = this;
+    }
+
+    /**
+     * Reseed every stream from a new run seed.
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        Object.keys(this.streams).forEach((name) => {
+            this.streams[name].state = RandomService.deriveSeed(this.seed, name);
+        });
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get (or lazily create) a named stream.
+     * @param {string} name - worldGen | loot | ai | cosmetic (any name is allowed)
+     * @returns {RandomStream}
+     */
+    stream(name = 'cosmetic') {
+        if (!this.streams[name]) {
+            this.streams[name] = new RandomStream(name, RandomService.deriveSeed(this.seed, name));
+        }
+        return this.streams[name];
+    }
+
+    /**
+     * Serializable state for save snapshots.
+     */
+    getState() {
+        const streams = {};
+        Object.entries(this.streams).forEach(([name, s]) => {
+            streams[name] = s.state;
+        });
+        return { seed: this.seed, streams };
+    }
+
+    setState(state = {}) {
+        if (!state || !Number.isFinite(state.seed)) return;
+        this.setSeed(state.seed);
+        Object.entries(state.streams || {}).forEach(([name, value]) => {
+            if (Number.isFinite(value)) {
+                this.stream(name).state = value >>> 0;
+            }
+        });
+    }
+
+    /**
+     * Resolve a stream for callers that may run without a Game (static
+     * background generators, standalone entities). Falls back to Math.random.
+     * @param {Game|null} game
+     * @param {string} name
+     * @returns {RandomStream}
+     */
+    static for(game, name) {
+        const service = game?.services?.rng || RandomService.shared;
+        if (service) return service.stream(name);
+        if (!RandomService.fallbackStream) {
+            RandomService.fallbackStream = new RandomStream('fallback');
+            RandomService.fallbackStream.next = () => Math.random();
+        }
+        return RandomService.fallbackStream;
+    }
+
+    static createSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x7fffffff)) >>> 0;
+    }
+
+    /**
+     * Mix the run seed with a stream name (FNV-1a) so streams are independent.
+     */
+    static deriveSeed(seed, name) {
+        let h = 0x811C9DC5 ^ (seed >>> 0);
+        const label = String(name);
+        for (let i = 0; i < label.length; i++) {
+            h ^= label.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+}
+
+RandomService.shared = null;
+RandomService.fallbackStream = null;
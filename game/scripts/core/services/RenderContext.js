@@ -21,6 +21,17 @@ class RenderContext {
         return this.canvas?.height || 0;
     }
 
+    /**
+     * Offscreen canvas for pre-rendered layers. Headless runs swap this for a
+     * canvas that draws nothing (tools/headless/HeadlessServices.js).
+     */
+    static createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Expose a RenderTarget interface for consumers.
      */
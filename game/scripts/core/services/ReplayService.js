@@ -0,0 +1,240 @@
+/**
+ * ReplayService - records per-tick input and plays it back deterministically.
+ *
+ * A recording restarts the chosen level, then captures the raw InputManager
+ * state (held keys, unconsumed presses such as interact/action, mouse aim and
+ * clicks) once per fixed simulation step. Playback restarts the same level with
+ * the same seed and overwrites live input with the recorded state each step.
+ * Frames are only stored when the state changes, keyed by tick index.
+ * Raw keys are recorded, so the recorder's binding overrides are stored too and
+ * swapped in for the duration of playback.
+ */
+class ReplayService {
+    constructor(game, { input = null, save = null } = {}) {
+        this.game = game;
+        this.input = input;
+        this.save = save;
+        this.version = 1;
+        this.mode = 'idle'; // idle | recording | playing
+        this.tick = 0;
+        this.current = null;
+        this.pending = null;
+        this.frameIndex = 0;
+        this.lastKey = null;
+        this.liveBindings = null;
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    getStatus() {
+        if (this.mode === 'idle') return 'idle';
+        const total = this.isPlaying() ? `/${this.current?.ticks ?? '?'}` : '';
+        return `${this.mode} tick ${this.tick}${total}`;
+    }
+
+    /**
+     * Restart a level and begin recording input from its first tick.
+     * @param {Object} [options]
+     * @param {string} [options.levelId] - Defaults to the current level
+     * @param {number} [options.seed] - Defaults to a fresh random seed
+     */
+    startRecording({ levelId = null, seed = null } = {}) {
+        if (this.mode !== 'idle') this.stop();
+        const g = this.game;
+        const replay = {
+            id: `replay_${Date.now()}`,
+            version: this.version,
+            levelId: levelId || g.currentLevelId || 'testRoom',
+            seed: Number.isFinite(seed) ? seed : RandomService.createSeed(),
+            stepMs: g.loop?.stepMs ?? null,
+            timeScale: g.timeScale,
+            createdAt: Date.now(),
+            ticks: 0,
+            bindings: this.input?.getActionMap?.()?.getOverrides?.() || {},
+            frames: []
+        };
+        this.schedule('recording', replay);
+        return replay;
+    }
+
+    /**
+     * Finish the active recording and persist it.
+     * @returns {Object|null} the saved replay
+     */
+    stopRecording() {
+        if (!this.isRecording() || !this.current) return null;
+        const replay = this.current;
+        replay.ticks = this.tick;
+        this.mode = 'idle';
+        this.current = null;
+        if (!replay.ticks) return null;
+        return this.save?.saveReplay?.(replay) || replay;
+    }
+
+    /**
+     * Play a replay object or saved replay id (latest saved when omitted).
+     */
+    play(replayOrId = null) {
+        const replay = (replayOrId && typeof replayOrId === 'object')
+            ? replayOrId
+            : this.save?.getReplay?.(replayOrId);
+        if (!replay || !Array.isArray(replay.frames) || !replay.frames.length) {
+            console.warn('ReplayService: no replay to play.');
+            return false;
+        }
+        if (replay.version !== this.version) {
+            console.warn(`ReplayService: replay version ${replay.version} is not supported.`);
+            return false;
+        }
+        if (this.mode !== 'idle') this.stop();
+
+        const g = this.game;
+        if (replay.stepMs && g.loop?.stepMs && replay.stepMs !== g.loop.stepMs) {
+            console.warn('ReplayService: replay was recorded with a different step size; playback may diverge.');
+        }
+
+        this.schedule('playing', replay);
+        return true;
+    }
+
+    stopPlayback() {
+        if (!this.isPlaying()) return;
+        this.mode = 'idle';
+        this.current = null;
+        this.input?.clearState?.();
+        this.restoreBindings();
+    }
+
+    stop() {
+        this.pending = null;
+        if (this.isRecording()) return this.stopRecording();
+        this.stopPlayback();
+        return null;
+    }
+
+    /**
+     * Called by the run flow when the level ends (game over, victory, menu).
+     */
+    handleRunEnded() {
+        this.stop();
+    }
+
+    /**
+     * Advance one simulation tick. Called right after input.update() so the
+     * recorded state is exactly what gameplay reads during this step.
+     */
+    step() {
+        if (this.pending) {
+            const { mode, replay } = this.pending;
+            this.pending = null;
+            this.begin(mode, replay);
+        }
+        if (this.isRecording()) {
+            this.recordTick();
+        } else if (this.isPlaying()) {
+            this.playTick();
+        }
+    }
+
+    recordTick() {
+        const state = this.input?.captureState?.();
+        if (!state) return;
+        // Keep the record/play shortcuts themselves out of the recording
+        const controlKeys = this.getControlKeys();
+        state.keys = state.keys.filter(k => !controlKeys.includes(k));
+        state.presses = state.presses.filter(k => !controlKeys.includes(k));
+        const key = JSON.stringify(state);
+        if (key !== this.lastKey) {
+            this.current.frames.push({ t: this.tick, ...state });
+            this.lastKey = key;
+        }
+        this.tick += 1;
+    }
+
+    playTick() {
+        const replay = this.current;
+        if (this.getControlKeys().some(k => this.input?.hasLivePress?.(k))) {
+            this.stopPlayback();
+            return;
+        }
+        if (this.tick >= replay.ticks) {
+            this.stopPlayback();
+            return;
+        }
+
+        const frames = replay.frames;
+        while (this.frameIndex + 1 < frames.length && frames[this.frameIndex + 1].t <= this.tick) {
+            this.frameIndex += 1;
+        }
+        const frame = frames[this.frameIndex];
+        this.input?.applyState?.(frame);
+        this.tick += 1;
+    }
+
+    /**
+     * Begin on the next simulation tick when called mid-run, so the restart
+     * always happens at a tick boundary (identically for record and playback).
+     */
+    schedule(mode, replay) {
+        if (this.game.stateManager?.isPlaying?.()) {
+            this.pending = { mode, replay };
+        } else {
+            this.begin(mode, replay);
+        }
+    }
+
+    begin(mode, replay) {
+        if (mode === 'playing') this.useBindings(replay.bindings);
+        this.restartRun(replay);
+        this.current = replay;
+        this.mode = mode;
+        this.tick = 0;
+        this.frameIndex = 0;
+        this.lastKey = null;
+    }
+
+    getControlKeys() {
+        const keys = [
+            ...(this.input?.getBindings?.('toggleReplayRecord') || []),
+            ...(this.input?.getBindings?.('playReplay') || [])
+        ];
+        return keys.length ? keys : ['f8', 'f9'];
+    }
+
+    /**
+     * Swap in the recorder's binding overrides, remembering the player's own.
+     */
+    useBindings(overrides) {
+        const map = this.input?.getActionMap?.();
+        if (!map || !overrides) return;
+        if (!this.liveBindings) this.liveBindings = map.getOverrides();
+        map.resetDefaults();
+        map.applyOverrides(overrides);
+    }
+
+    restoreBindings() {
+        const map = this.input?.getActionMap?.();
+        if (!map || !this.liveBindings) return;
+        map.resetDefaults();
+        map.applyOverrides(this.liveBindings);
+        this.liveBindings = null;
+    }
+
+    /**
+     * Rebuild the level from scratch so recording/playback share a start state.
+     */
+    restartRun(replay) {
+        const g = this.game;
+        g.runSeed = replay.seed;
+        g.progress?.setPendingLevelId?.(replay.levelId);
+        this.input?.clearState?.();
+        // Recording or playback isn't a finished run, so nothing goes to the leaderboard
+        g.stateManager?.restartGame?.({ submit: false });
+    }
+}
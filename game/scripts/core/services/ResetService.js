@@ -84,6 +84,7 @@ class ResetService {
         g.dialogueManager?.reset?.();
         g.badgeUI?.reset?.(true);
 
+        if (typeof document === 'undefined') return;
         const buffPanel = document.getElementById('buffPanel');
         const coffeeTimer = document.getElementById('coffeeTimer');
         if (buffPanel) buffPanel.classList.add('hidden');
@@ -0,0 +1,104 @@
+/**
+ * SaveSchema - save slot format version, step-by-step migrations and validation.
+ *
+ * Every slot carries `schemaVersion`. Slots without one are version 1. A
+ * migration upgrades a slot from version N to N + 1; `inspect` chains them up
+ * to VERSION and then validates the result, so old saves keep loading after
+ * `ProgressManager.buildSnapshot` changes.
+ *
+ * Versions:
+ *   1 - `player`, `stats`, `levelState`, `rng` at the top level
+ *   2 - per-subsystem `sections` (see SnapshotRegistry)
+ */
+class SaveSchema {
+    static get VERSION() {
+        return 2;
+    }
+
+    constructor() {
+        this.migrations = new Map(); // fromVersion -> (slot) => slot at fromVersion + 1
+        this.registerDefaultMigrations();
+    }
+
+    /**
+     * @param {number} fromVersion
+     * @param {(slot:Object) => Object} migrate - receives a copy; may mutate and return it
+     */
+    registerMigration(fromVersion, migrate) {
+        if (!Number.isInteger(fromVersion) || typeof migrate !== 'function') return;
+        this.migrations.set(fromVersion, migrate);
+    }
+
+    registerDefaultMigrations() {
+        this.registerMigration(1, (slot) => {
+            const { player, stats, levelState, rng, ...rest } = slot;
+            if (rest.sections) return rest;
+            const runStats = stats ? { ...stats } : null;
+            if (runStats && typeof slot.timeElapsed === 'number') {
+                runStats.timeElapsed = slot.timeElapsed;
+            }
+            const sections = { run: { stats: runStats, rng: rng || null } };
+            if (levelState) sections.world = levelState;
+            if (player) sections.player = player;
+            return { ...rest, sections };
+        });
+    }
+
+    getVersion(slot) {
+        return Number.isInteger(slot?.schemaVersion) ? slot.schemaVersion : 1;
+    }
+
+    /**
+     * Upgrade (a copy of) a slot to the current version and validate it.
+     * @returns {{ok:true, slot:Object, fromVersion:number, migrated:boolean}|{ok:false, error:string, fromVersion?:number}}
+     */
+    inspect(slot) {
+        if (!slot || typeof slot !== 'object' || Array.isArray(slot)) {
+            return { ok: false, error: 'The save data is not readable.' };
+        }
+        const fromVersion = this.getVersion(slot);
+        if (fromVersion > SaveSchema.VERSION) {
+            return {
+                ok: false,
+                fromVersion,
+                error: `Made by a newer version of the game (save format ${fromVersion}, this game reads up to ${SaveSchema.VERSION}).`
+            };
+        }
+        let current = slot;
+        for (let version = fromVersion; version < SaveSchema.VERSION; version++) {
+            const migrate = this.migrations.get(version);
+            if (!migrate) {
+                return { ok: false, fromVersion, error: `No upgrade from save format ${version}.` };
+            }
+            try {
+                current = { ...migrate(JSON.parse(JSON.stringify(current))), schemaVersion: version + 1 };
+            } catch (err) {
+                return { ok: false, fromVersion, error: `Could not upgrade from save format ${version}: ${err.message}` };
+            }
+        }
+        const error = this.validate(current);
+        if (error) return { ok: false, fromVersion, error };
+        return { ok: true, slot: current, fromVersion, migrated: fromVersion < SaveSchema.VERSION };
+    }
+
+    /**
+     * Check a current-version slot.
+     * @returns {string|null} a message for the player, or null if the slot is fine
+     */
+    validate(slot) {
+        if (typeof slot.id !== 'string' || !slot.id) return 'The save has no slot id.';
+        if (typeof slot.levelId !== 'string' || !slot.levelId) return 'The save does not say which level it is on.';
+        if (slot.timeElapsed !== undefined && !(Number.isFinite(slot.timeElapsed) && slot.timeElapsed >= 0)) {
+            return 'The play time is damaged.';
+        }
+        const sections = slot.sections;
+        if (!sections || typeof sections !== 'object' || Array.isArray(sections)) return 'The save has no game data.';
+        const damaged = Object.keys(sections).find(key => !sections[key] || typeof sections[key] !== 'object');
+        if (damaged) return `The "${damaged}" data is damaged.`;
+        const player = sections.player;
+        if (!player) return 'The save has no player data.';
+        const badField = ['x', 'y', 'health', 'coins'].find(key => player[key] !== undefined && !Number.isFinite(player[key]));
+        if (badField) return `The player's ${badField} is damaged.`;
+        return null;
+    }
+}
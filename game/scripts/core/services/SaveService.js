@@ -1,14 +1,70 @@
 /**
  * SaveService - higher-level interface for persisting settings and run stats.
+ *
+ * Save slots are always written locally first. When the persistence service
+ * has a remote backend (HttpPersistenceAdapter), slots are mirrored to the
+ * server under the player's profile id. Each local slot remembers the server
+ * `updatedAt` it last synced from (`slot.sync`); if both sides changed since
+ * then, the slot is held in `conflicts` until the player picks a version.
+ * Uploads and deletes of one slot run one after another, and a slot deleted
+ * while offline is remembered (`saveDeletions`) until the server drops it too.
+ *
+ * Slots are stamped with `SaveSchema.VERSION`. Older slots are upgraded when
+ * the service starts and whenever one is stored (e.g. pulled from the server);
+ * the pre-upgrade payload is kept under `saveBackups`.
  */
 class SaveService {
-    constructor(persistence) {
+    static get EXPORT_FORMAT() {
+        return 'luckie-runner-save';
+    }
+
+    constructor(persistence, { schema = null } = {}) {
         this.persistence = persistence || new PersistenceService();
+        this.schema = schema || new SaveSchema();
         this.keys = {
             settings: 'luckie_settings',
             runStats: 'luckie_run_stats',
-            saves: 'luckie_saves'
+            saves: 'luckie_saves',
+            replays: 'luckie_replays',
+            levelProgress: 'luckie_level_progress',
+            highScores: 'luckie_high_scores',
+            profile: 'luckie_profile',
+            saveBackups: 'luckie_save_backups',
+            saveDeletions: 'luckie_save_deletions'
         };
+        this.maxReplays = 5;
+        this.maxBackupsPerSlot = 3;
+        this.conflicts = new Map(); // slotId -> { local, server }
+        this.uploads = new Map(); // slotId -> last queued server request
+        this.uploadSeq = 0;
+        this.lastUploadSeq = new Map(); // slotId -> uploadSeq when its last request was queued
+        this.persistence.remote?.setProfileId?.(this.getProfileId());
+        this.upgradeSlots();
+    }
+
+    /**
+     * Profile id the server keeps this player's slots under (created on first use).
+     */
+    getProfileId() {
+        let profileId = this.persistence.load(this.keys.profile, null);
+        if (!profileId) {
+            profileId = `p-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+            this.persistence.save(this.keys.profile, profileId);
+        }
+        return profileId;
+    }
+
+    /**
+     * Switch profiles (e.g. type the id from another browser to share its saves).
+     * @returns {string|null} the cleaned id, or null if nothing usable was given
+     */
+    setProfileId(profileId) {
+        const clean = String(profileId ?? '').trim().replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+        if (!clean) return null;
+        this.persistence.save(this.keys.profile, clean);
+        this.persistence.remote?.setProfileId?.(clean);
+        this.conflicts.clear();
+        return clean;
     }
 
     saveSettings(settings = {}) {
@@ -27,6 +83,22 @@ class SaveService {
         return this.persistence.load(this.keys.runStats, defaults) || defaults;
     }
 
+    saveLevelProgress(progress = {}) {
+        this.persistence.save(this.keys.levelProgress, progress);
+    }
+
+    loadLevelProgress(defaults = {}) {
+        return this.persistence.load(this.keys.levelProgress, defaults) || defaults;
+    }
+
+    saveHighScores(board = {}) {
+        this.persistence.save(this.keys.highScores, board);
+    }
+
+    loadHighScores(defaults = {}) {
+        return this.persistence.load(this.keys.highScores, defaults) || defaults;
+    }
+
     listSlots() {
         return this.persistence.load(this.keys.saves, []) || [];
     }
@@ -39,24 +111,399 @@ class SaveService {
 
     saveSlot(id, payload = {}) {
         if (!id) return null;
-        const slots = this.listSlots().filter(s => s.id !== id);
         const entry = {
             id,
             updatedAt: Date.now(),
-            ...payload
+            ...payload,
+            schemaVersion: SaveSchema.VERSION,
+            sync: this.getSlot(id)?.sync || null
         };
-        slots.unshift(entry);
-        this.persistence.save(this.keys.saves, slots);
+        this.storeSlot(entry);
+        this.pushSlot(entry);
+        return entry;
+    }
+
+    renameSlot(id, name) {
+        const slot = this.getSlot(id);
+        const clean = String(name ?? '').trim().slice(0, 40);
+        if (!slot || !clean) return null;
+        const entry = this.storeSlot({ ...slot, name: clean, updatedAt: Date.now() });
+        this.pushSlot(entry);
+        return entry;
+    }
+
+    duplicateSlot(id) {
+        const slot = this.getSlot(id);
+        if (!slot) return null;
+        const entry = this.storeSlot({
+            ...slot,
+            id: this.createSlotId(id),
+            name: `${slot.name || 'Save Slot'} (copy)`,
+            updatedAt: Date.now(),
+            sync: null
+        });
+        this.pushSlot(entry);
         return entry;
     }
 
+    /**
+     * Unused slot id derived from `base` (ids stay within the server's 64-char limit).
+     */
+    createSlotId(base = 'slot') {
+        const prefix = String(base).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 40) || 'slot';
+        let id = `${prefix}-${Date.now().toString(36)}`;
+        for (let n = 2; this.getSlot(id); n++) {
+            id = `${prefix}-${Date.now().toString(36)}${n}`;
+        }
+        return id;
+    }
+
+    checksum(text) {
+        return RandomService.deriveSeed(0, text).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * A slot as a shareable JSON file: `{ format, exportedAt, checksum, slot }`.
+     * @returns {string|null}
+     */
+    exportSlot(id) {
+        const stored = this.getSlot(id);
+        if (!stored) return null;
+        const { sync, ...slot } = stored;
+        return JSON.stringify({
+            format: SaveService.EXPORT_FORMAT,
+            exportedAt: Date.now(),
+            checksum: this.checksum(JSON.stringify(slot)),
+            slot
+        }, null, 2);
+    }
+
+    /**
+     * Add a slot from an exported file. Older formats are upgraded; an id
+     * already in use gets a fresh one so nothing is overwritten.
+     * @returns {{ok:true, slot:Object}|{ok:false, error:string}}
+     */
+    importSlot(text) {
+        let file = null;
+        try {
+            file = JSON.parse(text);
+        } catch (err) {
+            return { ok: false, error: 'This file is not a save export (it is not valid JSON).' };
+        }
+        if (file?.format !== SaveService.EXPORT_FORMAT || !file.slot || typeof file.slot !== 'object') {
+            return { ok: false, error: 'This file is not a Luckie Runner save export.' };
+        }
+        if (file.checksum !== this.checksum(JSON.stringify(file.slot))) {
+            return { ok: false, error: "The save file was changed or damaged (its checksum doesn't match)." };
+        }
+        const check = this.schema.inspect(file.slot);
+        if (!check.ok) {
+            return { ok: false, error: `The save in this file can't be loaded. ${check.error}` };
+        }
+        // The sync server only takes ids of 1-64 letters, digits, - or _
+        const fileId = String(file.slot.id ?? '');
+        const id = /^[A-Za-z0-9_-]{1,64}$/.test(fileId) && !this.getSlot(fileId) ? fileId : this.createSlotId(fileId);
+        const entry = this.storeSlot({ ...file.slot, id, updatedAt: Date.now(), sync: null });
+        this.pushSlot(entry);
+        return { ok: true, slot: entry };
+    }
+
+    /**
+     * Write a slot locally only (newest first).
+     */
+    storeSlot(entry) {
+        const stored = this.upgradeSlot(entry);
+        this.clearDeletion(stored.id);
+        const slots = this.listSlots().filter(s => s.id !== stored.id);
+        slots.unshift(stored);
+        this.persistence.save(this.keys.saves, slots);
+        return stored;
+    }
+
+    /**
+     * Upgrade and validate a slot without storing it.
+     * @returns {{ok:boolean, slot?:Object, error?:string}} see SaveSchema.inspect
+     */
+    inspectSlot(slot) {
+        return this.schema.inspect(slot);
+    }
+
+    /**
+     * Upgraded copy of an old-format slot (backing up the original), or the
+     * slot unchanged when it is current or can't be read.
+     */
+    upgradeSlot(slot) {
+        const result = this.schema.inspect(slot);
+        if (!result.ok || !result.migrated) return slot;
+        this.backupSlot(slot, result.fromVersion);
+        return result.slot;
+    }
+
+    /**
+     * Upgrade every stored slot in place (order is kept).
+     * @returns {number} how many slots were upgraded
+     */
+    upgradeSlots() {
+        let upgraded = 0;
+        const slots = this.listSlots().map((slot) => {
+            const next = this.upgradeSlot(slot);
+            if (next !== slot) upgraded += 1;
+            return next;
+        });
+        if (upgraded) {
+            this.persistence.save(this.keys.saves, slots);
+        }
+        return upgraded;
+    }
+
+    backupSlot(slot, fromVersion) {
+        const backups = this.persistence.load(this.keys.saveBackups, {}) || {};
+        const list = Array.isArray(backups[slot.id]) ? backups[slot.id] : [];
+        list.unshift({ fromVersion, backedUpAt: Date.now(), slot });
+        backups[slot.id] = list.slice(0, this.maxBackupsPerSlot);
+        this.persistence.save(this.keys.saveBackups, backups);
+    }
+
+    /**
+     * Pre-upgrade copies of a slot, newest first.
+     * @returns {{fromVersion:number, backedUpAt:number, slot:Object}[]}
+     */
+    getSlotBackups(id) {
+        const backups = this.persistence.load(this.keys.saveBackups, {}) || {};
+        return Array.isArray(backups[id]) ? backups[id] : [];
+    }
+
     deleteSlot(id) {
-        if (!id) return;
+        if (!id) return Promise.resolve({ ok: false });
         const slots = this.listSlots().filter(s => s.id !== id);
         this.persistence.save(this.keys.saves, slots);
+        this.conflicts.delete(id);
+        // Kept until the server confirms, so the next sync doesn't pull the slot back
+        const deletions = this.listDeletions().filter(d => !(d.id === id && d.profileId === this.getProfileId()));
+        deletions.push({ id, profileId: this.getProfileId() });
+        this.persistence.save(this.keys.saveDeletions, deletions);
+        return this.sendDeletion(id);
+    }
+
+    listDeletions() {
+        return this.persistence.load(this.keys.saveDeletions, []) || [];
+    }
+
+    clearDeletion(id) {
+        const profileId = this.getProfileId();
+        const deletions = this.listDeletions();
+        const remaining = deletions.filter(d => !(d.id === id && d.profileId === profileId));
+        if (remaining.length !== deletions.length) {
+            this.persistence.save(this.keys.saveDeletions, remaining);
+        }
+    }
+
+    /**
+     * Delete a slot on the server (after any upload of it still in flight).
+     */
+    sendDeletion(id) {
+        const remote = this.persistence.getRemote?.();
+        if (!remote) return Promise.resolve({ ok: false, offline: true });
+        return this.queueUpload(id, () => remote.deleteSlot(id).then((res) => {
+            // Saved again locally meanwhile: that copy is uploaded next instead
+            if ((res.ok || res.status === 404) && !this.getSlot(id)) this.clearDeletion(id);
+            return res;
+        }));
+    }
+
+    /**
+     * Run a server request for a slot after the ones already queued for it.
+     */
+    queueUpload(id, send) {
+        const previous = this.uploads.get(id) || Promise.resolve();
+        const upload = previous.catch(() => null).then(send);
+        this.uploads.set(id, upload);
+        this.lastUploadSeq.set(id, ++this.uploadSeq);
+        const settle = () => {
+            if (this.uploads.get(id) === upload) this.uploads.delete(id);
+        };
+        upload.then(settle, settle);
+        return upload;
+    }
+
+    /**
+     * Server `updatedAt` this slot was last synced from (null if never, or synced under another profile).
+     */
+    getSyncBase(slot) {
+        const sync = slot?.sync;
+        return sync && sync.profileId === this.getProfileId() ? sync.remoteUpdatedAt : null;
+    }
+
+    withSync(slot) {
+        return { ...slot, sync: { profileId: this.getProfileId(), remoteUpdatedAt: slot.updatedAt } };
+    }
+
+    markSynced(id, remoteUpdatedAt) {
+        const slots = this.listSlots();
+        const slot = slots.find(s => s.id === id);
+        if (!slot) return;
+        slot.sync = { profileId: this.getProfileId(), remoteUpdatedAt };
+        this.persistence.save(this.keys.saves, slots);
+    }
+
+    /**
+     * @returns {'conflict'|'synced'|'pending'|'local'} 'local' when no server is reachable
+     */
+    getSyncStatus(slot) {
+        if (!slot) return 'local';
+        if (this.conflicts.has(slot.id)) return 'conflict';
+        if (!this.persistence.getRemote?.()) return 'local';
+        return this.getSyncBase(slot) === slot.updatedAt ? 'synced' : 'pending';
+    }
+
+    getConflict(id) {
+        return this.conflicts.get(id) || null;
+    }
+
+    /**
+     * Upload one slot; a 409 from the server records a conflict. Uploads of
+     * the same slot are queued, and each reads its sync base when it is sent
+     * so it builds on the one before it.
+     * @returns {Promise<Object>} the adapter result
+     */
+    pushSlot(entry, { force = false } = {}) {
+        const remote = this.persistence.getRemote?.();
+        if (!remote || !entry) return Promise.resolve({ ok: false, offline: true });
+        const { sync, ...slot } = entry;
+        return this.queueUpload(entry.id, () => {
+            const current = this.getSlot(entry.id);
+            if (!current) return { ok: false, deleted: true };
+            return remote.putSlot(slot, { baseUpdatedAt: this.getSyncBase(current), force }).then((res) => {
+                if (res.ok) {
+                    this.markSynced(entry.id, res.slot.updatedAt);
+                    this.conflicts.delete(entry.id);
+                } else if (res.conflict) {
+                    this.conflicts.set(entry.id, { local: this.getSlot(entry.id) || entry, server: res.server });
+                }
+                return res;
+            });
+        });
+    }
+
+    /**
+     * Two-way sync of every slot for the current profile:
+     * - only the local copy changed since the last sync: upload it
+     * - only the server copy changed (or it's new here): take it
+     * - both changed: record a conflict for the player to resolve
+     * - synced before but gone from the server: it was deleted elsewhere, drop it
+     * - deleted here while offline: delete it on the server instead of pulling it back
+     * Slots with a request queued after the listing started are left for the next sync.
+     * @returns {Promise<{ok:boolean, conflicts?:number, offline?:boolean}>}
+     */
+    async syncSlots() {
+        const remote = this.persistence.getRemote?.();
+        if (!remote) return { ok: false, offline: true };
+        await Promise.all(Array.from(this.uploads.values()).map(upload => upload.catch(() => null)));
+        const listedAt = this.uploadSeq;
+        const res = await remote.listSlots();
+        if (!res.ok) return res;
+
+        const serverSlots = new Map(res.slots.map(slot => [slot.id, slot]));
+        const busy = (id) => this.uploads.has(id) || (this.lastUploadSeq.get(id) || 0) > listedAt;
+        const uploads = [];
+        const profileId = this.getProfileId();
+        this.listDeletions().filter(d => d.profileId === profileId).forEach(({ id }) => {
+            if (!busy(id) && !serverSlots.has(id)) {
+                this.clearDeletion(id);
+            } else if (!busy(id)) {
+                uploads.push(this.sendDeletion(id));
+            }
+            serverSlots.delete(id);
+        });
+        this.listSlots().forEach((local) => {
+            const server = serverSlots.get(local.id);
+            serverSlots.delete(local.id);
+            if (busy(local.id)) return;
+            const base = this.getSyncBase(local);
+            const localChanged = local.updatedAt !== base;
+            if (!server) {
+                if (localChanged) {
+                    uploads.push(this.pushSlot(local));
+                } else {
+                    this.persistence.save(this.keys.saves, this.listSlots().filter(s => s.id !== local.id));
+                }
+                return;
+            }
+            if (server.updatedAt === local.updatedAt) {
+                this.markSynced(local.id, server.updatedAt);
+                this.conflicts.delete(local.id);
+                return;
+            }
+            const serverChanged = server.updatedAt !== base;
+            if (localChanged && !serverChanged) {
+                uploads.push(this.pushSlot(local));
+            } else if (!localChanged && serverChanged) {
+                this.storeSlot(this.withSync(server));
+            } else {
+                this.conflicts.set(local.id, { local, server });
+            }
+        });
+        serverSlots.forEach((server) => {
+            if (!busy(server.id)) this.storeSlot(this.withSync(server));
+        });
+        await Promise.all(uploads);
+        return { ok: true, conflicts: this.conflicts.size };
+    }
+
+    /**
+     * Settle a conflict:
+     * - 'local': overwrite the server with this device's copy
+     * - 'server': replace this device's copy with the server's
+     * - 'both': keep the server copy in the slot and this device's copy as a new slot
+     * @returns {Promise<Object|null>}
+     */
+    resolveConflict(id, choice) {
+        const conflict = this.conflicts.get(id);
+        if (!conflict) return Promise.resolve(null);
+        const local = this.getSlot(id) || conflict.local;
+        if (choice === 'local') {
+            return this.pushSlot(local, { force: true });
+        }
+        this.conflicts.delete(id);
+        this.storeSlot(this.withSync(conflict.server));
+        if (choice !== 'both') {
+            return Promise.resolve({ ok: true, slot: conflict.server });
+        }
+        const copy = {
+            ...local,
+            id: this.createSlotId(id),
+            name: `${local.name || 'Save Slot'} (this device)`,
+            sync: null
+        };
+        this.storeSlot(copy);
+        return this.pushSlot(copy).then(res => ({ ...res, copyId: copy.id }));
     }
 
     clearAllSlots() {
         this.persistence.save(this.keys.saves, []);
     }
+
+    listReplays() {
+        return this.persistence.load(this.keys.replays, []) || [];
+    }
+
+    getReplay(id) {
+        const replays = this.listReplays();
+        if (!id) return replays[0] || null;
+        return replays.find(r => r.id === id) || null;
+    }
+
+    saveReplay(replay = {}) {
+        if (!replay.id) return null;
+        const replays = this.listReplays().filter(r => r.id !== replay.id);
+        replays.unshift(replay);
+        this.persistence.save(this.keys.replays, replays.slice(0, this.maxReplays));
+        return replay;
+    }
+
+    deleteReplay(id) {
+        if (!id) return;
+        const replays = this.listReplays().filter(r => r.id !== id);
+        this.persistence.save(this.keys.replays, replays);
+    }
 }
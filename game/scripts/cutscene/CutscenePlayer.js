@@ -55,7 +55,7 @@ class CutscenePlayer {
 
         // Global skip
         const skippable = step.skippable ?? this.current.skippable ?? true;
-        if (skippable && input?.consumeKeyPress?.('escape')) {
+        if (skippable && input?.consumeAction?.('cancel')) {
             this.finish();
             return;
         }
@@ -71,7 +71,7 @@ class CutscenePlayer {
             }
             case 'dialogue': {
                 this.activeLine = this.activeLine || (Array.isArray(step.lines) ? step.lines.join(' ') : (step.lines || ''));
-                if (input?.consumeInteractPress?.() || input?.consumeKeyPress?.('space')) {
+                if (input?.consumeAction?.('interact') || input?.consumeAction?.('airJump')) {
                     this.nextStep();
                 }
                 break;
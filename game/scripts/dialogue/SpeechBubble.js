@@ -2,7 +2,7 @@
  * SpeechBubble - handles main dialogue bubble DOM interactions.
  */
 class SpeechBubble {
-    constructor(doc = document) {
+    constructor(doc = (typeof document !== 'undefined' ? document : null)) {
         this.doc = doc;
         this.container = null;
         this.text = null;
@@ -10,8 +10,8 @@ class SpeechBubble {
     }
 
     init() {
-        this.container = this.doc.getElementById('speechBubble');
-        this.text = this.doc.getElementById('speechText');
+        this.container = this.doc?.getElementById('speechBubble') || null;
+        this.text = this.doc?.getElementById('speechText') || null;
         this.hint = this.container ? this.container.querySelector('.speech-bubble__hint') : null;
         this.hide(true);
     }
@@ -56,9 +56,10 @@ class Enemy extends Entity {
         // Drop properties (what enemy drops when defeated)
         this.dropChance = 0.8; // 80% chance to drop something
         this.dropTable = [
-            { item: 'coin', chance: 0.75, amount: Math.floor(Math.random() * 2) + 1 }, // 1-2 coins, 75% chance
-            { item: 'rocks', chance: 0.17, amount: Math.floor(Math.random() * 3) + 2 } // 2-4 rocks, 17% chance
+            { item: 'coin', chance: 0.75, amount: [1, 2] }, // 1-2 coins, 75% chance
+            { item: 'rocks', chance: 0.17, amount: [2, 4] } // 2-4 rocks, 17% chance
         ];
+        this.customDropTable = false;
 
         // Knockback tilt state
         this.knockbackTiltTime = 0;
@@ -93,6 +94,7 @@ class Enemy extends Entity {
      * @param {Entity|null} source - What hit the enemy
      */
     spawnHitFlash(source, amount = 0) {
+        const rng = RandomService.for(this.game, 'cosmetic');
         this.hitFlashTime = this.hitFlashDuration;
         this.hitFlashDamage = amount;
 
@@ -120,8 +122,8 @@ class Enemy extends Entity {
             const rayAngle = start + (end - start) * t;
             rays.push({
                 angle: rayAngle,
-                length: 30 + Math.random() * 12, // larger, more pronounced rays
-                width: 2 + Math.random() * 1.5
+                length: 30 + rng.next() * 12, // larger, more pronounced rays
+                width: 2 + rng.next() * 1.5
             });
         }
 
@@ -134,7 +136,7 @@ class Enemy extends Entity {
             stroke: '#e2a400',
             isBig: true,
             baseRotation: angle + Math.PI / 2,
-            rotation: (Math.random() - 0.5) * 0.35
+            rotation: (rng.next() - 0.5) * 0.35
         });
 
         // Three small pastel stars with spacing
@@ -143,14 +145,14 @@ class Enemy extends Entity {
         for (let i = 0; i < smallCount; i++) {
             const dist = 46 + i * 8;
             stars.push({
-                size: 6 + Math.random() * 1.5,
+                size: 6 + rng.next() * 1.5,
                 angle: angle + smallOffsets[i],
                 distance: dist,
                 color: pastel[i % pastel.length],
                 stroke: 'rgba(0,0,0,0.08)',
                 isBig: false,
                 baseRotation: angle + smallOffsets[i],
-                rotation: (Math.random() - 0.5) * 0.5
+                rotation: (rng.next() - 0.5) * 0.5
             });
         }
 
@@ -693,17 +695,60 @@ class Enemy extends Entity {
      * Handle item drops when enemy dies
      */
     handleDrops() {
-        if (!this.game || Math.random() > this.dropChance) return;
+        const rng = RandomService.for(this.game, 'loot');
+        if (!this.game || rng.next() > this.dropChance) return;
         
         // Roll for drops based on drop table
         for (let drop of this.dropTable) {
-            if (Math.random() <= drop.chance) {
-                this.createDrop(drop.item, drop.amount);
+            if (rng.next() <= drop.chance) {
+                this.createDrop(drop.item, this.rollDropAmount(drop.amount, rng));
                 break; // Only one drop per enemy
             }
         }
     }
 
+    /**
+     * Numeric stats a data definition may set (see EnemiesConfig)
+     */
+    static get STAT_KEYS() {
+        return [
+            'health', 'patrolDistance', 'patrolSpeed', 'chaseSpeed', 'detectionRange',
+            'attackRange', 'attackDamage', 'attackCooldownTime', 'dropChance'
+        ];
+    }
+
+    /**
+     * Resolve a drop table amount: a fixed number or an inclusive [min, max] range
+     * @param {number|number[]} amount
+     * @param {Object} rng - RandomService stream
+     * @returns {number}
+     */
+    rollDropAmount(amount, rng) {
+        if (!Array.isArray(amount)) return amount;
+        const [min, max = min] = amount;
+        return min + Math.floor(rng.next() * (max - min + 1));
+    }
+
+    /**
+     * Apply stats from an EnemiesConfig entry or a level/room placement.
+     * Only known stat keys are copied; anything else in the definition is ignored.
+     * @param {Object} stats
+     */
+    applyStats(stats = {}) {
+        Enemy.STAT_KEYS.forEach((key) => {
+            if (typeof stats[key] === 'number') this[key] = stats[key];
+        });
+        if (typeof stats.health === 'number') this.maxHealth = stats.health;
+        if (Array.isArray(stats.dropTable)) {
+            this.dropTable = stats.dropTable.map(drop => ({
+                ...drop,
+                amount: Array.isArray(drop.amount) ? [...drop.amount] : drop.amount
+            }));
+            this.customDropTable = true;
+        }
+        return this;
+    }
+
     /**
      * Create a dropped item
      * @param {string} itemType - Type of item to drop
@@ -18,6 +18,14 @@ class GroundSlime extends Enemy {
         this.attackRange = 30;
         this.detectionRange = 120;
         
+        // Ground slimes drop coins often and have a 25% health potion chance
+        this.dropChance = 1;
+        this.dropTable = [
+            { item: 'health_potion', chance: 0.25, amount: 1 }, // 25% chance for health potion
+            { item: 'coin', chance: 0.6, amount: [1, 3] }, // 60% chance coins
+            { item: 'rocks', chance: 0.3, amount: [1, 2] } // rocks as fallback
+        ];
+        
         // Physics - slimes are bouncy
         this.friction = 0.9;
         this.gravity = 0.4;
@@ -153,8 +161,9 @@ class GroundSlime extends Enemy {
      * Add bouncing movement to make slime feel more alive
      */
     addBounciness() {
+        const rng = RandomService.for(this.game, 'ai');
         // Small random bounces when moving
-        if (Math.random() < 0.05) { // 5% chance per frame
+        if (rng.next() < 0.05) { // 5% chance per frame
             this.velocity.y -= 2;
         }
     }
@@ -164,10 +173,11 @@ class GroundSlime extends Enemy {
      * @param {number} deltaTime - Time since last frame
      */
     patrolState(deltaTime) {
+        const rng = RandomService.for(this.game, 'ai');
         super.patrolState(deltaTime);
         
         // Occasionally pause during patrol
-        if (Math.random() < 0.002) { // Rare chance to pause
+        if (rng.next() < 0.002) { // Rare chance to pause
             this.velocity.x = 0;
             this.playAnimation('idle');
         }
@@ -236,19 +246,4 @@ class GroundSlime extends Enemy {
                 break;
         }
     }
-
-    /**
-     * Override drops for ground slime
-     */
-    handleDrops() {
-        // Ground slimes drop coins often and have a 25% health potion chance
-        this.dropChance = 1;
-        this.dropTable = [
-            { item: 'health_potion', chance: 0.25, amount: 1 }, // 25% chance for health potion
-            { item: 'coin', chance: 0.6, amount: Math.floor(Math.random() * 3) + 1 }, // 60% chance coins
-            { item: 'rocks', chance: 0.3, amount: Math.floor(Math.random() * 2) + 1 } // rocks as fallback
-        ];
-        
-        super.handleDrops();
-    }
 }
@@ -17,6 +17,13 @@ class MagicArrowSlime extends Enemy {
         this.detectionRange = 180;
         this.preferredDistance = 120; // Tries to stay this far from player
         
+        // Magic slimes can drop a health potion 25% of the time
+        this.dropChance = 1;
+        this.dropTable = [
+            { item: 'health_potion', chance: 0.25, amount: 1 },
+            { item: 'coin', chance: 0.7, amount: 3 }
+        ];
+        
         // Ranged attack properties
         this.arrowSpeed = 6;
         this.arrowAccuracy = 0.8; // 0-1, how accurate the aim is
@@ -223,6 +230,7 @@ class MagicArrowSlime extends Enemy {
      * @param {number} deltaTime - Time since last frame
      */
     updateKiting(deltaTime) {
+        const rng = RandomService.for(this.game, 'ai');
         if (!this.target) {
             this.isKiting = false;
             return;
@@ -241,7 +249,7 @@ class MagicArrowSlime extends Enemy {
         // Update kite direction periodically
         this.lastKiteTime += deltaTime;
         if (this.lastKiteTime >= this.kiteInterval) {
-            this.kiteDirection = Math.random() < 0.5 ? 1 : -1;
+            this.kiteDirection = rng.next() < 0.5 ? 1 : -1;
             this.lastKiteTime = 0;
         }
     }
@@ -331,6 +339,7 @@ class MagicArrowSlime extends Enemy {
      * Fire a magic arrow at the target
      */
     fireArrow() {
+        const rng = RandomService.for(this.game, 'ai');
         if (!this.target || this.magicPower < this.arrowCost) return;
         
         // Calculate aim with some inaccuracy
@@ -345,8 +354,8 @@ class MagicArrowSlime extends Enemy {
         
         // Add accuracy variation
         const inaccuracy = (1 - this.arrowAccuracy) * 50;
-        const aimX = prediction.x + (Math.random() - 0.5) * inaccuracy;
-        const aimY = prediction.y + (Math.random() - 0.5) * inaccuracy;
+        const aimX = prediction.x + (rng.next() - 0.5) * inaccuracy;
+        const aimY = prediction.y + (rng.next() - 0.5) * inaccuracy;
         
         // Calculate velocity
         const direction = {
@@ -473,18 +482,4 @@ class MagicArrowSlime extends Enemy {
         // Disabled to prevent rectangles
         return;
     }
-
-    /**
-     * Override drops for magic arrow slime
-     */
-    handleDrops() {
-        // Magic slimes can drop a health potion 25% of the time
-        this.dropChance = 1;
-        this.dropTable = [
-            { item: 'health_potion', chance: 0.25, amount: 1 },
-            { item: 'coin', chance: 0.7, amount: 3 }
-        ];
-        
-        super.handleDrops();
-    }
 }
@@ -16,6 +16,13 @@ class PoisonSlime extends Enemy {
         this.attackRange = 35;
         this.detectionRange = 140;
         
+        // Poison slimes can drop a health potion 25% of the time
+        this.dropChance = 1;
+        this.dropTable = [
+            { item: 'health_potion', chance: 0.25, amount: 1 },
+            { item: 'coin', chance: 0.6, amount: 2 }
+        ];
+        
         // Poison specific properties
         this.poisonDamage = 5;
         this.poisonDuration = 3000; // 3 seconds
@@ -342,20 +349,6 @@ class PoisonSlime extends Enemy {
                 break;
         }
     }
-
-    /**
-     * Override drops for poison slime
-     */
-    handleDrops() {
-        // Poison slimes can drop a health potion 25% of the time
-        this.dropChance = 1;
-        this.dropTable = [
-            { item: 'health_potion', chance: 0.25, amount: 1 },
-            { item: 'coin', chance: 0.6, amount: 2 }
-        ];
-        
-        super.handleDrops();
-    }
 }
 
 /**
@@ -493,9 +486,10 @@ class PoisonGlob extends Projectile {
     /**
      * Override hit obstacle to create poison puddle
      * @param {Entity} obstacle - What was hit
+     * @param {Object} [impact] - Swept contact; the glob already sits at the impact point
      */
-    onHitObstacle(obstacle) {
-        super.onHitObstacle(obstacle);
+    onHitObstacle(obstacle, impact = null) {
+        super.onHitObstacle(obstacle, impact);
         
         if (this.createsPuddle && this.game.hazards) {
             const puddle = new PoisonPuddle(
@@ -141,6 +141,13 @@ class Slime extends Enemy {
      * Override drops: always coins, optional potion and rock bag
      */
     handleDrops() {
+        // A dropTable from EnemiesConfig or the level definition replaces the coin shower
+        if (this.customDropTable) {
+            super.handleDrops();
+            return;
+        }
+
+        const rng = RandomService.for(this.game, 'loot');
         if (!this.game || !this.game.items) return;
 
         const dropX = this.x + this.width / 2;
@@ -148,26 +155,26 @@ class Slime extends Enemy {
         const spread = 35;
 
         // Always drop 1-5 coins (value 1 each)
-        const coinCount = Math.floor(Math.random() * 5) + 1;
+        const coinCount = Math.floor(rng.next() * 5) + 1;
         for (let i = 0; i < coinCount; i++) {
-            const offsetX = (Math.random() * spread * 2) - spread;
+            const offsetX = (rng.next() * spread * 2) - spread;
             const coin = new Coin(dropX + offsetX, dropY - 12);
             coin.game = this.game;
             this.game.items.push(coin);
         }
 
         // 1/4 chance health potion
-        if (Math.random() <= 0.25) {
-            const offsetX = (Math.random() * spread * 2) - spread;
+        if (rng.next() <= 0.25) {
+            const offsetX = (rng.next() * spread * 2) - spread;
             const potion = new HealthPotion(dropX + offsetX, dropY - 16, 25);
             potion.game = this.game;
             this.game.items.push(potion);
         }
 
         // 1/2 chance rock bag with 2-5 rocks
-        if (Math.random() <= 0.5) {
-            const rocks = Math.floor(Math.random() * 4) + 2; // 2-5
-            const offsetX = (Math.random() * spread * 2) - spread;
+        if (rng.next() <= 0.5) {
+            const rocks = Math.floor(rng.next() * 4) + 2; // 2-5
+            const offsetX = (rng.next() * spread * 2) - spread;
             const bag = new RockBag(dropX + offsetX, dropY - 16, rocks);
             bag.game = this.game;
             this.game.items.push(bag);
@@ -79,9 +79,7 @@ class ProceduralBackground {
         this.scrollOffset = 0;
         
         // Create a canvas for this background layer
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = width;
-        this.canvas.height = height;
+        this.canvas = RenderContext.createCanvas(width, height);
         this.ctx = this.canvas.getContext('2d');
         
         // Generate the background once
@@ -127,8 +125,9 @@ class BackgroundGenerators {
      * Create a sunset sky gradient background
      */
     static createSunsetSky(ctx, width, height) {
+        const rng = RandomService.for(null, 'worldGen');
         // Vary the gradient colors slightly each time
-        const hueShift = Math.random() * 30 - 15; // ±15 degree hue shift
+        const hueShift = rng.next() * 30 - 15; // ±15 degree hue shift
         
         // Create gradient from orange sunset to pink/purple
         const gradient = ctx.createLinearGradient(0, 0, 0, height);
@@ -143,13 +142,13 @@ class BackgroundGenerators {
         
         // Add some wispy clouds with random positions
         ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        const cloudCount = 6 + Math.floor(Math.random() * 4); // 6-9 clouds
+        const cloudCount = 6 + Math.floor(rng.next() * 4); // 6-9 clouds
         
         for (let i = 0; i < cloudCount; i++) {
-            const x = (i * width / cloudCount) + Math.random() * 100 - 50;
-            const y = height * (0.1 + Math.random() * 0.4); // Random height in upper portion
-            const cloudWidth = 60 + Math.random() * 60;
-            const cloudHeight = 15 + Math.random() * 20;
+            const x = (i * width / cloudCount) + rng.next() * 100 - 50;
+            const y = height * (0.1 + rng.next() * 0.4); // Random height in upper portion
+            const cloudWidth = 60 + rng.next() * 60;
+            const cloudHeight = 15 + rng.next() * 20;
             
             BackgroundGenerators.drawCloud(ctx, x, y, cloudWidth, cloudHeight);
         }
@@ -159,8 +158,9 @@ class BackgroundGenerators {
      * Create an ocean layer with waves
      */
     static createOcean(ctx, width, height) {
+        const rng = RandomService.for(null, 'worldGen');
         // Ocean gradient with slight color variation
-        const blueShift = Math.random() * 20 - 10;
+        const blueShift = rng.next() * 20 - 10;
         const gradient = ctx.createLinearGradient(0, 0, 0, height);
         gradient.addColorStop(0, BackgroundGenerators.adjustHue('#4682B4', blueShift));    // Steel blue
         gradient.addColorStop(0.5, BackgroundGenerators.adjustHue('#5F9EA0', blueShift));  // Cadet blue
@@ -173,14 +173,14 @@ class BackgroundGenerators {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = 2;
         
-        const waveCount = 3 + Math.floor(Math.random() * 2); // 3-4 wave layers
+        const waveCount = 3 + Math.floor(rng.next() * 2); // 3-4 wave layers
         
         for (let wave = 0; wave < waveCount; wave++) {
             ctx.beginPath();
-            const waveY = height * (0.1 + wave * 0.25 + Math.random() * 0.1);
-            const amplitude = 10 + Math.random() * 15 - wave * 2;
-            const frequency = 0.015 + Math.random() * 0.01 + wave * 0.005;
-            const phase = Math.random() * Math.PI * 2; // Random phase offset
+            const waveY = height * (0.1 + wave * 0.25 + rng.next() * 0.1);
+            const amplitude = 10 + rng.next() * 15 - wave * 2;
+            const frequency = 0.015 + rng.next() * 0.01 + wave * 0.005;
+            const phase = rng.next() * Math.PI * 2; // Random phase offset
             
             for (let x = 0; x <= width; x += 5) {
                 const y = waveY + Math.sin(x * frequency + phase) * amplitude;
@@ -195,8 +195,9 @@ class BackgroundGenerators {
      * Create rolling hills silhouette
      */
     static createHills(ctx, width, height) {
+        const rng = RandomService.for(null, 'worldGen');
         // Vary hill colors slightly
-        const greenShift = Math.random() * 30 - 15;
+        const greenShift = rng.next() * 30 - 15;
         const hillColor = BackgroundGenerators.adjustHue('#228B22', greenShift);
         
         ctx.fillStyle = hillColor;
@@ -205,11 +206,11 @@ class BackgroundGenerators {
         ctx.moveTo(0, height);
         
         // Generate rolling hills with random characteristics
-        const hillSeed = Math.random() * 1000;
-        const frequency1 = 0.003 + Math.random() * 0.004;
-        const frequency2 = 0.008 + Math.random() * 0.006;
-        const amplitude1 = height * (0.15 + Math.random() * 0.15);
-        const amplitude2 = height * (0.05 + Math.random() * 0.1);
+        const hillSeed = rng.next() * 1000;
+        const frequency1 = 0.003 + rng.next() * 0.004;
+        const frequency2 = 0.008 + rng.next() * 0.006;
+        const amplitude1 = height * (0.15 + rng.next() * 0.15);
+        const amplitude2 = height * (0.05 + rng.next() * 0.1);
         
         for (let x = 0; x <= width; x += 10) {
             const hillHeight = height * 0.6 + 
@@ -253,6 +254,7 @@ class BackgroundGenerators {
      * Create palm trees layer with procedural variation
      */
     static createPalmTrees(ctx, width, height) {
+        const rng = RandomService.for(null, 'worldGen');
         // Starting palm tree generation
         
         // Fill background with transparent color first
@@ -274,23 +276,23 @@ class BackgroundGenerators {
         
         // Generate tree positions with natural clustering
         while (currentX < width - 50) {
-            const spacing = baseSpacing + (Math.random() - 0.5) * spacingVariation;
+            const spacing = baseSpacing + (rng.next() - 0.5) * spacingVariation;
             currentX += spacing;
             
             // Sometimes create small clusters
-            if (Math.random() < 0.3) { // 30% chance for cluster
-                const clusterSize = 2 + Math.floor(Math.random() * 2); // 2-3 trees
+            if (rng.next() < 0.3) { // 30% chance for cluster
+                const clusterSize = 2 + Math.floor(rng.next() * 2); // 2-3 trees
                 for (let j = 0; j < clusterSize; j++) {
                     trees.push({
-                        x: currentX + j * (20 + Math.random() * 20),
-                        distance: Math.random() // 0=front, 1=back (for layering)
+                        x: currentX + j * (20 + rng.next() * 20),
+                        distance: rng.next() // 0=front, 1=back (for layering)
                     });
                 }
                 currentX += clusterSize * 30;
             } else {
                 trees.push({
-                    x: currentX + Math.random() * 30 - 15,
-                    distance: Math.random()
+                    x: currentX + rng.next() * 30 - 15,
+                    distance: rng.next()
                 });
             }
         }
@@ -303,8 +305,8 @@ class BackgroundGenerators {
         trees.forEach((tree, i) => {
             // Vary tree characteristics based on distance
             const depthFactor = 0.7 + tree.distance * 0.3; // Trees further back are smaller
-            const treeHeight = (180 + Math.random() * 120) * depthFactor;
-            const lean = (Math.random() - 0.5) * 0.2;
+            const treeHeight = (180 + rng.next() * 120) * depthFactor;
+            const lean = (rng.next() - 0.5) * 0.2;
             const alpha = 0.7 + tree.distance * 0.3; // Further trees are more faded
             
             // Position tree base at ground level
@@ -392,15 +394,16 @@ class BackgroundGenerators {
      * Helper function to draw a cloud
      */
     static drawCloud(ctx, x, y, width, height) {
+        const rng = RandomService.for(null, 'worldGen');
         ctx.save();
-        ctx.globalAlpha = 0.4 + Math.random() * 0.3; // Variable opacity
+        ctx.globalAlpha = 0.4 + rng.next() * 0.3; // Variable opacity
         
         // Draw multiple circles to create a cloud shape
-        const circles = 4 + Math.floor(Math.random() * 3);
+        const circles = 4 + Math.floor(rng.next() * 3);
         for (let i = 0; i < circles; i++) {
-            const circleX = x + (i * width / circles) - width / 2 + (Math.random() - 0.5) * 20;
-            const circleY = y + Math.sin(i) * height * 0.3 + (Math.random() - 0.5) * 10;
-            const radius = width / circles + Math.random() * 15;
+            const circleX = x + (i * width / circles) - width / 2 + (rng.next() - 0.5) * 20;
+            const circleY = y + Math.sin(i) * height * 0.3 + (rng.next() - 0.5) * 10;
+            const radius = width / circles + rng.next() * 15;
             
             ctx.beginPath();
             ctx.arc(circleX, circleY, radius, 0, Math.PI * 2);
@@ -414,6 +417,7 @@ class BackgroundGenerators {
      * Helper function to draw a palm tree
      */
     static drawPalmTree(ctx, x, groundY, height, lean = 0, alpha = 1.0) {
+        const rng = RandomService.for(null, 'worldGen');
         // Drawing palm tree
         
         ctx.save();
@@ -421,7 +425,7 @@ class BackgroundGenerators {
         
         // Draw trunk with slight curve based on lean
         ctx.fillStyle = '#8B4513';  // Saddle brown
-        const trunkWidth = 10 + Math.random() * 6; // Varied trunk width
+        const trunkWidth = 10 + rng.next() * 6; // Varied trunk width
         const segments = Math.floor(height / 12); // Smooth trunk segments
         
         for (let i = 0; i < segments; i++) {
@@ -448,7 +452,7 @@ class BackgroundGenerators {
         // Add trunk texture with better detail
         ctx.strokeStyle = '#654321';
         ctx.lineWidth = 2;
-        const textureSpacing = 15 + Math.random() * 8;
+        const textureSpacing = 15 + rng.next() * 8;
         
         for (let i = 0; i < height; i += textureSpacing) {
             const segmentProgress = i / height;
@@ -456,7 +460,7 @@ class BackgroundGenerators {
             const currentWidth = trunkWidth * (1 - segmentProgress * 0.35);
             
             // Vary line opacity for more natural texture
-            ctx.globalAlpha = alpha * (0.6 + Math.random() * 0.4);
+            ctx.globalAlpha = alpha * (0.6 + rng.next() * 0.4);
             
             ctx.beginPath();
             ctx.moveTo(segmentX - currentWidth/2, groundY - i);
@@ -468,9 +472,9 @@ class BackgroundGenerators {
         ctx.globalAlpha = alpha;
         
         // Draw palm fronds with enhanced detail
-        const frondCount = 8 + Math.floor(Math.random() * 4);
+        const frondCount = 8 + Math.floor(rng.next() * 4);
         ctx.strokeStyle = '#228B22';  // Forest green
-        ctx.lineWidth = 4 + Math.random() * 2;
+        ctx.lineWidth = 4 + rng.next() * 2;
         ctx.lineCap = 'round';
         
         const treeTopX = x + lean * 30;
@@ -479,15 +483,15 @@ class BackgroundGenerators {
         // Drawing fronds
         
         for (let i = 0; i < frondCount; i++) {
-            const angle = (i / frondCount) * Math.PI * 2 + Math.random() * 0.3;
-            const frondLength = Math.max(60, height * 0.4 + Math.random() * 50);
-            const droop = 0.05 + Math.random() * 0.2;
+            const angle = (i / frondCount) * Math.PI * 2 + rng.next() * 0.3;
+            const frondLength = Math.max(60, height * 0.4 + rng.next() * 50);
+            const droop = 0.05 + rng.next() * 0.2;
             
             const endX = treeTopX + Math.cos(angle) * frondLength;
             const endY = treeTopY + Math.sin(angle) * frondLength * droop;
             
             // Vary frond alpha slightly for depth
-            ctx.globalAlpha = alpha * (0.8 + Math.random() * 0.2);
+            ctx.globalAlpha = alpha * (0.8 + rng.next() * 0.2);
             
             // Draw main frond stem
             ctx.beginPath();
@@ -509,11 +513,11 @@ class BackgroundGenerators {
                 const leafX = treeTopX + Math.cos(angle) * frondLength * leafProgress * 0.6;
                 const leafY = treeTopY + Math.sin(angle) * frondLength * leafProgress * 0.1;
                 
-                const leafAngle = angle + (Math.random() - 0.5) * 0.6;
-                const leafLength = 8 + Math.random() * 8;
+                const leafAngle = angle + (rng.next() - 0.5) * 0.6;
+                const leafLength = 8 + rng.next() * 8;
                 
                 // Vary leaf alpha for more natural look
-                ctx.globalAlpha = alpha * (0.6 + Math.random() * 0.4);
+                ctx.globalAlpha = alpha * (0.6 + rng.next() * 0.4);
                 
                 ctx.beginPath();
                 ctx.moveTo(leafX, leafY);
@@ -534,7 +538,7 @@ class BackgroundGenerators {
             }
             
             // Reset line width for next frond
-            ctx.lineWidth = 4 + Math.random() * 2;
+            ctx.lineWidth = 4 + rng.next() * 2;
         }
         
         ctx.restore();
@@ -561,6 +565,10 @@ class StylizedPlatform {
         if (platform.invisible || platform.hidden === true || platform.render === false || platform.type === 'decor_platform') {
             return;
         }
+        if (platform.type === 'save_point') {
+            platform.render(ctx, camera);
+            return;
+        }
 
         // Only render if on screen
         if (screenX + platform.width >= 0 && screenX <= ctx.canvas.width &&
@@ -571,7 +579,28 @@ class StylizedPlatform {
             } else {
                 StylizedPlatform.drawFloatingPlatform(ctx, screenX, screenY, platform.width, platform.height);
             }
+            if (platform.breakable) {
+                StylizedPlatform.drawCracks(ctx, screenX, screenY, platform.width, platform.height);
+            }
+        }
+    }
+
+    /**
+     * Crack lines marking a platform a ground pound can break.
+     */
+    static drawCracks(ctx, x, y, width, height) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(40, 25, 10, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let cx = x + 14; cx < x + width - 8; cx += 28) {
+            ctx.moveTo(cx, y);
+            ctx.lineTo(cx + 5, y + height * 0.45);
+            ctx.lineTo(cx - 3, y + height * 0.75);
+            ctx.lineTo(cx + 2, y + height);
         }
+        ctx.stroke();
+        ctx.restore();
     }
 
     static preloadDefaults() {
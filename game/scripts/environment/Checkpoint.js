@@ -0,0 +1,98 @@
+/**
+ * Checkpoint - pole the player runs past to set where they come back after
+ * losing a life (LivesManager). Not solid; touching it is enough.
+ */
+class Checkpoint {
+    static get DEFAULTS() {
+        return {
+            width: 32,
+            height: 96,
+            raiseMs: 500
+        };
+    }
+
+    constructor(x, y, config = {}) {
+        const defaults = Checkpoint.DEFAULTS;
+        this.x = x;
+        this.y = y;
+        this.width = config.width || defaults.width;
+        this.height = config.height || defaults.height;
+        this.type = 'checkpoint';
+        this.active = true;
+        this.solid = false;
+        this.id = config.id || `checkpoint_${Math.round(x)}_${Math.round(y)}`;
+        this.activated = false;
+        this.raiseTime = 0;
+        this.waveTime = 0;
+        this.game = null;
+    }
+
+    update(deltaTime) {
+        this.waveTime += deltaTime;
+        if (this.activated) {
+            this.raiseTime = Math.min(Checkpoint.DEFAULTS.raiseMs, this.raiseTime + deltaTime);
+        }
+    }
+
+    checkCollision(player) {
+        if (!player) return false;
+        return CollisionDetection.rectangleCollision(
+            { x: player.x, y: player.y, width: player.width, height: player.height },
+            { x: this.x, y: this.y, width: this.width, height: this.height }
+        );
+    }
+
+    /**
+     * Make this the current checkpoint. Returns false when it already was.
+     */
+    activate(player) {
+        const lives = this.game?.lives;
+        if (!lives || lives.isCurrentCheckpoint(this)) return false;
+        this.activated = true;
+        lives.setCheckpoint(this);
+        const audio = this.game.services?.audio || this.game.audioManager;
+        audio?.playSound?.('checkpoint', 0.7);
+        return true;
+    }
+
+    /**
+     * Where the player stands when respawning here (feet at the pole's base).
+     */
+    getRespawnPosition(player = null) {
+        const width = player?.width || 45;
+        const height = player?.height || 66;
+        return {
+            x: this.x + (this.width - width) / 2,
+            y: this.y + this.height - height
+        };
+    }
+
+    render(ctx, camera) {
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y;
+        if (screenX + this.width + 40 < 0 || screenX > ctx.canvas.width ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+            return;
+        }
+
+        const poleX = screenX + this.width / 2 - 3;
+        ctx.save();
+        ctx.fillStyle = '#6b4f32';
+        ctx.fillRect(poleX, screenY, 6, this.height);
+        ctx.fillStyle = '#3b2a1a';
+        ctx.fillRect(screenX + 4, screenY + this.height - 8, this.width - 8, 8);
+
+        // Pennant slides up the pole once reached
+        const raised = this.raiseTime / Checkpoint.DEFAULTS.raiseMs;
+        const flagY = screenY + 6 + (1 - raised) * (this.height - 40);
+        const wave = Math.sin(this.waveTime / 180) * (this.activated ? 4 : 1);
+        ctx.fillStyle = this.activated ? '#3cb371' : '#9e9e9e';
+        ctx.beginPath();
+        ctx.moveTo(poleX + 6, flagY);
+        ctx.lineTo(poleX + 34, flagY + 10 + wave);
+        ctx.lineTo(poleX + 6, flagY + 22);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+}
@@ -70,16 +70,10 @@ class DoorRenderer {
         }
         const isNearExit = this.isPlayerNearExit(player, exit);
 
-        // Check if player pressed Enter/E while near exit
-        // Check the keyPresses set to detect fresh presses (not held keys)
+        // Check if player pressed interact (Enter/E) while near exit
+        // Peek at fresh presses (not held keys) without consuming them
         const inputMgr = this.game.inputManager || this.game.input;
-        const keys = inputMgr?.keyPresses;
-        const pressedInteract = keys && (
-            keys.has('enter') || 
-            keys.has('numpadenter') || 
-            keys.has('e') || 
-            keys.has('keye')
-        );
+        const pressedInteract = !!inputMgr?.hasActionPress?.('interact');
 
         if (isNearExit && pressedInteract && !this.isOpen) {
             this.isOpen = true;
@@ -214,6 +208,21 @@ class DoorRenderer {
         this.animationComplete = false;
     }
     
+    getSaveData() {
+        return {
+            isOpen: this.isOpen,
+            openTimer: this.openTimer,
+            animationComplete: this.animationComplete
+        };
+    }
+
+    loadSaveData(data = {}) {
+        this.isOpen = !!data?.isOpen;
+        this.openTimer = data?.openTimer || 0;
+        this.animationComplete = !!data?.animationComplete;
+        this.currentFrame = this.isOpen ? 1 : 0;
+    }
+
     /**
      * Check if the door animation has completed (door is fully open)
      */
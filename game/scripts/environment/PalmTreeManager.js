@@ -223,9 +223,10 @@ class PalmTreeManager {
      * Pick a random sprite key for a new tree
      */
     getRandomSpriteKey() {
+        const rng = RandomService.for(this.game, 'worldGen');
         const keys = this.palmSpritePaths.map(p => p.key);
         if (keys.length === 0) return null;
-        const idx = Math.floor(Math.random() * keys.length);
+        const idx = Math.floor(rng.next() * keys.length);
         return keys[idx];
     }
     
@@ -298,21 +299,22 @@ class PalmTreeManager {
      * Generate trees for a specific layer in a range
      */
     generateLayerTrees(layer, startX, endX) {
+        const rng = RandomService.for(this.game, 'worldGen');
         let currentX = startX + layer.spacing;
         
         while (currentX < endX) {
             const height = layer.heightRange[0] + 
-                         Math.random() * (layer.heightRange[1] - layer.heightRange[0]);
+                         rng.next() * (layer.heightRange[1] - layer.heightRange[0]);
             
             layer.trees.push({
                 x: currentX,
                 height: height,
-                lean: (Math.random() - 0.5) * 0.15,
-                swayPhase: Math.random() * Math.PI * 2,
+                lean: (rng.next() - 0.5) * 0.15,
+                swayPhase: rng.next() * Math.PI * 2,
                 spriteKey: this.getRandomSpriteKey()
             });
             
-            currentX += layer.spacing + Math.random() * 160 - 80; // Add wider variation while keeping average spacing
+            currentX += layer.spacing + rng.next() * 160 - 80; // Add wider variation while keeping average spacing
         }
     }
     
@@ -509,8 +511,9 @@ class PalmTreeManager {
      * Pick a random cloud sprite image.
      */
     getRandomCloudSprite() {
+        const rng = RandomService.for(this.game, 'worldGen');
         if (!this.cloudSpritesReady || this.cloudSprites.length === 0) return null;
-        const idx = Math.floor(Math.random() * this.cloudSprites.length);
+        const idx = Math.floor(rng.next() * this.cloudSprites.length);
         return this.cloudSprites[idx]?.img || null;
     }
 
@@ -708,6 +711,7 @@ class PalmTreeManager {
      * Generate a persistent cloud field so shapes don't flicker frame to frame
      */
     generateCloudField(canvasWidth = 1600, canvasHeight = 900) {
+        const rng = RandomService.for(this.game, 'worldGen');
         this.clouds = [];
         const count = 8;
         const span = canvasWidth + 800;
@@ -717,20 +721,20 @@ class PalmTreeManager {
 
         const generated = [];
         for (let i = 0; i < count; i++) {
-            const width = 110 + Math.random() * 70;
+            const width = 110 + rng.next() * 70;
             const height = width * 0.3;
-            const baseX = -400 + Math.random() * span;
-            const y = baseYMin + Math.random() * (baseYMax - baseYMin);
-            const parallax = 0.01 + Math.random() * 0.015; // very slow parallax
-            const driftSpeed = 3 + Math.random() * 2; // px/sec rightward
+            const baseX = -400 + rng.next() * span;
+            const y = baseYMin + rng.next() * (baseYMax - baseYMin);
+            const parallax = 0.01 + rng.next() * 0.015; // very slow parallax
+            const driftSpeed = 3 + rng.next() * 2; // px/sec rightward
 
             // Precompute blob layout for consistent shapes
             const blobs = [];
-            const blobCount = 4 + Math.floor(Math.random() * 3);
+            const blobCount = 4 + Math.floor(rng.next() * 3);
             for (let b = 0; b < blobCount; b++) {
-                const offsetX = (Math.random() * 0.9 - 0.45) * width;
-                const offsetY = (Math.random() * 0.5 - 0.25) * height;
-                const radius = width * (0.18 + Math.random() * 0.12);
+                const offsetX = (rng.next() * 0.9 - 0.45) * width;
+                const offsetY = (rng.next() * 0.5 - 0.25) * height;
+                const radius = width * (0.18 + rng.next() * 0.12);
                 blobs.push({ x: offsetX, y: offsetY, r: radius });
             }
 
@@ -778,6 +782,7 @@ class PalmTreeManager {
      * Generate additional bushes in a range.
      */
     generateBushes(startX, endX) {
+        const rng = RandomService.for(this.game, 'worldGen');
         let currentX = startX + this.bushLayer.spacing;
         const minSpacing = 25; // never closer than 25px
 
@@ -785,20 +790,20 @@ class PalmTreeManager {
             const sprite = this.getRandomBushSprite();
             const naturalWidth = sprite?.naturalWidth || sprite?.width || 160;
             const naturalHeight = sprite?.naturalHeight || sprite?.height || 90;
-            const targetHeight = 60 + Math.random() * 40; // 60-100px tall
+            const targetHeight = 60 + rng.next() * 40; // 60-100px tall
             const scale = targetHeight / naturalHeight;
             const height = naturalHeight * scale;
             const width = naturalWidth * scale;
 
             this.bushes.push({
-                x: currentX + (Math.random() * 60 - 30),
+                x: currentX + (rng.next() * 60 - 30),
                 width,
                 height,
                 sprite,
                 scale
             });
 
-            const gap = spacing => spacing + Math.random() * 110 - 40;
+            const gap = spacing => spacing + rng.next() * 110 - 40;
             currentX += Math.max(minSpacing, gap(this.bushLayer.spacing));
         }
     }
@@ -869,9 +874,10 @@ class PalmTreeManager {
      * Get a random bush sprite.
      */
     getRandomBushSprite() {
+        const rng = RandomService.for(this.game, 'worldGen');
         this.loadBushSprites();
         if (!this.bushSpritesReady || this.bushSprites.length === 0) return null;
-        const idx = Math.floor(Math.random() * this.bushSprites.length);
+        const idx = Math.floor(rng.next() * this.bushSprites.length);
         return this.bushSprites[idx]?.img || null;
     }
 
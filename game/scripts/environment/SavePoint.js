@@ -0,0 +1,140 @@
+/**
+ * SavePoint - solid save block placed with the platforms of a level or room.
+ * Bumping it from below (CollisionSystem) or pressing interact next to it
+ * (UIManager.handleChestInput) saves into the current slot, optionally heals,
+ * and makes it the respawn point used on game over (ProgressManager.respawn).
+ */
+class SavePoint {
+    static get DEFAULTS() {
+        return {
+            size: 48,
+            interactRadius: 64,
+            cooldownMs: 1500,
+            flashMs: 1200,
+            bumpMs: 180
+        };
+    }
+
+    constructor(x, y, config = {}) {
+        const defaults = SavePoint.DEFAULTS;
+        this.x = x;
+        this.y = y;
+        this.width = config.width || defaults.size;
+        this.height = config.height || defaults.size;
+        this.type = 'save_point';
+        this.solid = true;
+        this.id = config.id || `save_${Math.round(x)}_${Math.round(y)}`;
+        // Health restored on use: a number of points, or true for a full heal
+        this.heal = config.heal ?? 0;
+        this.interactRadius = config.interactRadius ?? defaults.interactRadius;
+        this.cooldownMs = config.cooldownMs ?? defaults.cooldownMs;
+        this.cooldown = 0;
+        this.flashTime = 0;
+        this.bumpTime = 0;
+        this.glowTime = 0;
+        this.activated = false;
+        this.game = null;
+    }
+
+    update(deltaTime) {
+        this.glowTime += deltaTime;
+        this.cooldown = Math.max(0, this.cooldown - deltaTime);
+        this.flashTime = Math.max(0, this.flashTime - deltaTime);
+        this.bumpTime = Math.max(0, this.bumpTime - deltaTime);
+    }
+
+    /**
+     * Gap between the player's box and the block, so standing under a
+     * raised save point counts as next to it.
+     */
+    isPlayerNearby(player) {
+        if (!player) return false;
+        const dx = Math.max(0, this.x - (player.x + player.width), player.x - (this.x + this.width));
+        const dy = Math.max(0, this.y - (player.y + player.height), player.y - (this.y + this.height));
+        return dx * dx + dy * dy <= this.interactRadius * this.interactRadius;
+    }
+
+    /**
+     * Called by CollisionSystem when a rising player hits the underside.
+     */
+    onBumpFromBelow(player) {
+        if (this.activate(player)) {
+            this.bumpTime = SavePoint.DEFAULTS.bumpMs;
+        }
+    }
+
+    /**
+     * Heal, mark as the respawn point and save. Ignored while cooling down
+     * so one jump can't save several times.
+     * @returns {boolean} true if it saved
+     */
+    activate(player) {
+        const g = this.game;
+        if (!g || !player || this.cooldown > 0) return false;
+        this.cooldown = this.cooldownMs;
+
+        if (this.heal) {
+            const amount = this.heal === true ? player.maxHealth : this.heal;
+            player.health = Math.min(player.maxHealth, player.health + amount);
+            player.updateHealthUI?.();
+        }
+        this.activated = true;
+        g.progress?.setRespawnPoint?.(this);
+        // Also the checkpoint for lives lost before the next one
+        g.lives?.setCheckpoint?.(this);
+        const saved = g.progress?.saveAtPoint?.(this);
+        this.flashTime = SavePoint.DEFAULTS.flashMs;
+
+        const audio = g.services?.audio || g.audioManager;
+        audio?.playSound?.('save_point', 0.8);
+        return !!saved;
+    }
+
+    /**
+     * Where the player stands when respawning here (centered on top).
+     */
+    getRespawnPosition(player = null) {
+        const width = player?.width || 45;
+        const height = player?.height || 66;
+        return {
+            x: this.x + (this.width - width) / 2,
+            y: this.y - height
+        };
+    }
+
+    render(ctx, camera) {
+        const bump = this.bumpTime > 0 ? Math.sin((this.bumpTime / SavePoint.DEFAULTS.bumpMs) * Math.PI) * 8 : 0;
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y - bump;
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+            return;
+        }
+
+        const pulse = 0.5 + 0.5 * Math.sin(this.glowTime / 300);
+        ctx.save();
+        ctx.fillStyle = this.activated ? '#2e8b57' : '#3a5f8f';
+        ctx.fillRect(screenX, screenY, this.width, this.height);
+        ctx.strokeStyle = this.flashTime > 0 ? '#ffffff' : '#f5d76e';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(screenX + 1.5, screenY + 1.5, this.width - 3, this.height - 3);
+
+        // Floppy-disk style label
+        ctx.fillStyle = `rgba(255, 255, 255, ${this.activated ? 0.9 : 0.5 + pulse * 0.4})`;
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('SAVE', screenX + this.width / 2, screenY + this.height / 2);
+
+        if (this.flashTime > 0) {
+            const t = this.flashTime / SavePoint.DEFAULTS.flashMs;
+            ctx.globalAlpha = t;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.fillRect(screenX, screenY, this.width, this.height);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText('Saved!', screenX + this.width / 2, screenY - 14 - (1 - t) * 20);
+        }
+        ctx.restore();
+    }
+}
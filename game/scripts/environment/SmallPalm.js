@@ -172,14 +172,15 @@ class SmallPalm extends Entity {
     }
 
     tryDropCoconut() {
+        const rng = RandomService.for(this.game, 'loot');
         if (!this.game) return;
         const now = Date.now();
         if (now - this.lastDropTime < this.dropCooldown) return;
-        if (Math.random() > this.dropChance) return;
+        if (rng.next() > this.dropChance) return;
 
         // Spawn near the base with a small horizontal spread so coconuts don't stack
         const baseX = this.x + (this.width / 2) - 12;
-        const dropX = baseX + (Math.random() * 56 - 28); // wider +/- 28px spread
+        const dropX = baseX + (rng.next() * 56 - 28); // wider +/- 28px spread
         const dropY = this.y + this.height - 24;
         const coconut = new CoconutItem(dropX, dropY, 1);
         coconut.game = this.game;
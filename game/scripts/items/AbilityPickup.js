@@ -0,0 +1,60 @@
+/**
+ * AbilityPickup - floating orb that teaches the player a move from
+ * AbilitiesConfig (Player.unlockAbility) and shows the unlock callout.
+ */
+class AbilityPickup extends Item {
+    constructor(x, y, abilityId) {
+        super(x, y, 36, 36);
+
+        this.type = 'ability_pickup';
+        this.abilityId = abilityId;
+        this.definition = (typeof AbilitiesConfig !== 'undefined') ? AbilitiesConfig[abilityId] || null : null;
+        this.collectSound = 'ability_unlock';
+        this.collectMessage = this.definition ? `Learned ${this.definition.name}!` : '';
+        this.collectScore = 50;
+        this.magnetRange = 0; // stays put until touched
+        this.bobHeight = 6;
+        this.bobSpeed = 2.5;
+        this.pulseTime = 0;
+
+        if (this.definition?.icon) {
+            this.loadSprite(this.definition.icon);
+        }
+    }
+
+    onItemUpdate(deltaTime) {
+        this.pulseTime += deltaTime;
+    }
+
+    applyEffect(collector) {
+        if (!this.definition || typeof collector?.unlockAbility !== 'function') return false;
+        // Already known: the orb is used up without a callout
+        return collector.unlockAbility(this.abilityId);
+    }
+
+    onCollected(collector) {
+        const ability = collector.getAbility?.(this.abilityId);
+        this.game?.badgeUI?.queueAbilityCallout?.(ability || { id: this.abilityId, ...this.definition });
+    }
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        if (!this.visible || this.collected) return;
+
+        const cx = this.x + this.width / 2 - camera.x;
+        const cy = this.y + this.height / 2 - camera.y;
+        const pulse = 0.5 + 0.5 * Math.sin(this.pulseTime / 220);
+        ctx.save();
+        ctx.fillStyle = `rgba(120, 200, 255, ${0.25 + pulse * 0.2})`;
+        ctx.beginPath();
+        ctx.arc(cx, cy, this.width / 2 + 6 + pulse * 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, this.width / 2 + 2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+
+        super.render(ctx, camera);
+    }
+}
@@ -109,6 +109,22 @@ class Chest extends Entity {
         return available.length > 0;
     }
 
+    getSaveData() {
+        return {
+            isOpen: this.isOpen,
+            taken: this.contents.filter(entry => entry.taken).map(entry => entry.id)
+        };
+    }
+
+    loadSaveData(data = {}) {
+        const taken = new Set(data?.taken || []);
+        this.isOpen = !!data?.isOpen;
+        this.contents.forEach(entry => {
+            entry.taken = taken.has(entry.id);
+        });
+        this.updateFrameFromContents();
+    }
+
     /**
      * Update displayed frame based on loot state and open state
      */
@@ -145,7 +161,7 @@ class Chest extends Entity {
      * Create callout element if needed
      */
     ensureCallout() {
-        if (this.calloutEl || !this.game) return;
+        if (this.calloutEl || !this.game || typeof document === 'undefined') return;
         const container = document.getElementById('gameContainer');
         if (!container) return;
 
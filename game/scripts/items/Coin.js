@@ -227,11 +227,12 @@ class Coin extends Item {
      * @returns {Array<Coin>} Array of coin instances
      */
     static createScattered(x, y, count, value = 1) {
+        const rng = RandomService.for(null, 'loot');
         const coins = [];
         
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 * i) / count;
-            const distance = 20 + Math.random() * 20;
+            const distance = 20 + rng.next() * 20;
             const coinX = x + Math.cos(angle) * distance;
             const coinY = y + Math.sin(angle) * distance;
             
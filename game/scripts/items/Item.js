@@ -5,6 +5,7 @@
 class Item extends Entity {
     constructor(x, y, width, height) {
         super(x, y, width, height);
+        const rng = RandomService.for(this.game, 'cosmetic');
         
         // Item-specific properties
         this.type = 'item';
@@ -18,7 +19,7 @@ class Item extends Entity {
         // Visual properties
         this.bobHeight = 4; // How much the item bobs up and down
         this.bobSpeed = 2; // Speed of bobbing animation
-        this.bobTime = Math.random() * Math.PI * 2; // Random start time for bobbing
+        this.bobTime = rng.next() * Math.PI * 2; // Random start time for bobbing
         this.originalY = y;
         this.glowSize = 0;
         this.glowDirection = 1;
@@ -400,12 +401,13 @@ class RockItem extends Item {
      * @returns {Array} Array of RockItem instances
      */
     static createScattered(x, y, count = 1, rocksPerPile = 3) {
+        const rng = RandomService.for(null, 'loot');
         const items = [];
         const spreadRadius = 30;
         
         for (let i = 0; i < count; i++) {
             const angle = (i / count) * Math.PI * 2;
-            const distance = Math.random() * spreadRadius;
+            const distance = rng.next() * spreadRadius;
             const itemX = x + Math.cos(angle) * distance;
             const itemY = y + Math.sin(angle) * distance;
             
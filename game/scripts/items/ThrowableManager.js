@@ -75,6 +75,28 @@ class ThrowableManager {
         return t.createProjectile(this.player, worldTarget);
     }
 
+    getSaveData() {
+        const ammo = {};
+        this.types.forEach((t, key) => {
+            ammo[key] = t.ammo || 0;
+        });
+        return { activeType: this.activeType, ammo };
+    }
+
+    /**
+     * Restore ammo counts; unknown types are ignored and counts are capped at maxAmmo.
+     */
+    loadSaveData(data = {}) {
+        Object.entries(data?.ammo || {}).forEach(([key, count]) => {
+            const t = this.types.get(key);
+            if (!t || typeof count !== 'number') return;
+            t.ammo = Math.max(0, Math.min(t.maxAmmo, count));
+        });
+        if (data?.activeType) {
+            this.setActive(data.activeType);
+        }
+    }
+
     reset() {
         this.types.forEach((t, key) => {
             // Preserve initial ammo when provided; otherwise refill to max
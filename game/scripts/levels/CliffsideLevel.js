@@ -0,0 +1,66 @@
+// Cliffside Climb - third campaign level (data-only)
+window.LevelDefinitions = window.LevelDefinitions || {};
+window.LevelDefinitions.cliffside = {
+    name: 'Cliffside Climb',
+    theme: 'night',
+    music: 'level3',
+    width: 3800,
+    height: 600,
+    spawn: { x: 100, y: 480 },
+    platforms: [
+        { x: 0, y: 560, width: 640, height: 40, type: 'ground' },
+        { x: 780, y: 560, width: 420, height: 40, type: 'ground' },
+        { x: 1340, y: 560, width: 380, height: 40, type: 'ground' },
+        { x: 1880, y: 560, width: 520, height: 40, type: 'ground' },
+        { x: 2560, y: 560, width: 1240, height: 40, type: 'ground' },
+        // Cliff steps
+        { x: 420, y: 470, width: 120, height: 16, type: 'floating' },
+        { x: 600, y: 390, width: 100, height: 16, type: 'floating' },
+        { x: 820, y: 320, width: 110, height: 16, type: 'floating' },
+        { x: 1220, y: 440, width: 96, height: 16, type: 'floating' },
+        { x: 1480, y: 370, width: 110, height: 16, type: 'floating' },
+        { x: 1720, y: 300, width: 120, height: 16, type: 'floating' },
+        { x: 2060, y: 420, width: 110, height: 16, type: 'floating' },
+        { x: 2180, y: 430, width: 130, height: 16, type: 'floating' },
+        { x: 2760, y: 380, width: 140, height: 16, type: 'floating' },
+        { x: 3040, y: 300, width: 140, height: 16, type: 'floating' }
+    ],
+    enemies: [
+        { type: 'ground_slime', x: 500, y: 500 },
+        { type: 'magic_arrow_slime', x: 1000, y: 500 },
+        { type: 'poison_slime', x: 1500, y: 500 },
+        { type: 'slime', x: 2000, y: 500, health: 45 },
+        { type: 'magic_arrow_slime', x: 2700, y: 500 },
+        { type: 'poison_slime', x: 3100, y: 500 },
+        { type: 'ground_slime', x: 3300, y: 500 }
+    ],
+    items: [
+        { type: 'rocks', x: 200, y: 530, amount: 8 },
+        { type: 'coin', x: 440, y: 430 },
+        { type: 'coin', x: 470, y: 430 },
+        { type: 'coin', x: 620, y: 350 },
+        { type: 'coin', x: 650, y: 350 },
+        { type: 'coin', x: 850, y: 280 },
+        { type: 'coin', x: 880, y: 280 },
+        { type: 'health_potion', x: 1500, y: 330 },
+        { type: 'coin', x: 1750, y: 260 },
+        { type: 'coin', x: 1780, y: 260 },
+        { type: 'coin', x: 1810, y: 260 },
+        { type: 'rocks', x: 1950, y: 530, amount: 6 },
+        { type: 'ability_pickup', ability: 'glide', x: 860, y: 260 },
+        { type: 'ability_pickup', ability: 'dash', x: 1600, y: 500 },
+        { type: 'coffee', x: 2230, y: 390 },
+        { type: 'ability_pickup', ability: 'wall_jump', x: 2720, y: 500 },
+        { type: 'coin', x: 2800, y: 340 },
+        { type: 'coin', x: 2830, y: 340 },
+        { type: 'coin', x: 3080, y: 260 },
+        { type: 'coin', x: 3110, y: 260 },
+        { type: 'health_potion', x: 3400, y: 520 }
+    ],
+    // The climb is harder, so an extra life
+    lives: 4,
+    checkpoints: [
+        { id: 'cliffside_ledge', x: 1400, y: 464 },
+        { id: 'cliffside_summit', x: 2640, y: 464 }
+    ]
+};
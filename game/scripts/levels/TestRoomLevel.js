@@ -41,6 +41,14 @@ window.LevelDefinitions.testRoom = {
         { x: 5120, width: 120, yOffset: 660 },
         { x: 5350, width: 130, yOffset: 760 }
     ],
+    // Every move to try out in the sandbox; yOffset is the height above the ground
+    abilityPickups: [
+        { ability: 'double_jump', x: 1040, yOffset: 60 },
+        { ability: 'ground_pound', x: 1100, yOffset: 60 },
+        { ability: 'glide', x: 1160, yOffset: 60 },
+        { ability: 'dash', x: 1220, yOffset: 60 },
+        { ability: 'wall_jump', x: 1280, yOffset: 60 }
+    ],
     defaultSignMessages: [
         '<<<~HOWDY!~>>> It is I, your #friendly# neighborhood signboard. I am here to provide you with %important% information as you embark on your adventure.',
         'You _may_ find me scattered throughout the land, offering guidance, tips, and <<maybe>> even a joke or two to ^lighten^ your journey.',
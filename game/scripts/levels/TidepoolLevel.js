@@ -0,0 +1,66 @@
+// Tidepool Trail - second campaign level (data-only)
+window.LevelDefinitions = window.LevelDefinitions || {};
+window.LevelDefinitions.tidepools = {
+    name: 'Tidepool Trail',
+    theme: 'beach',
+    music: 'level2',
+    width: 3400,
+    height: 600,
+    spawn: { x: 100, y: 480 },
+    platforms: [
+        // Ground runs (gaps between them are pits)
+        { x: 0, y: 560, width: 760, height: 40, type: 'ground' },
+        { x: 880, y: 560, width: 640, height: 40, type: 'ground' },
+        { x: 1640, y: 560, width: 560, height: 40, type: 'ground' },
+        { x: 2320, y: 560, width: 1080, height: 40, type: 'ground' },
+        // Rock ledges over the pools
+        { x: 300, y: 450, width: 110, height: 16, type: 'floating' },
+        { x: 700, y: 430, width: 96, height: 16, type: 'floating' },
+        { x: 1080, y: 420, width: 128, height: 16, type: 'floating' },
+        { x: 1330, y: 340, width: 96, height: 16, type: 'floating' },
+        { x: 1560, y: 430, width: 110, height: 16, type: 'floating' },
+        { x: 1900, y: 380, width: 128, height: 16, type: 'floating' },
+        { x: 2200, y: 440, width: 110, height: 16, type: 'floating' },
+        { x: 2600, y: 400, width: 160, height: 16, type: 'floating' },
+        // Cracked ledge: a ground pound smashes through it
+        { x: 3100, y: 460, width: 96, height: 16, type: 'floating', breakable: true }
+    ],
+    enemies: [
+        { type: 'slime', x: 520, y: 500 },
+        { type: 'ground_slime', x: 1150, y: 500 },
+        { type: 'slime', x: 1800, y: 500, patrol: { left: 1700, right: 2100, speed: 70 } },
+        { type: 'poison_slime', x: 2500, y: 500 },
+        { type: 'ground_slime', x: 2850, y: 500 }
+    ],
+    items: [
+        { type: 'coin', x: 320, y: 410 },
+        { type: 'coin', x: 350, y: 410 },
+        { type: 'coin', x: 380, y: 410 },
+        { type: 'rocks', x: 600, y: 530, amount: 6 },
+        { type: 'coin', x: 1100, y: 380 },
+        { type: 'coin', x: 1130, y: 380 },
+        { type: 'coin', x: 1160, y: 380 },
+        { type: 'coin', x: 1360, y: 300 },
+        { type: 'coin', x: 1390, y: 300 },
+        { type: 'health_potion', x: 1930, y: 340 },
+        { type: 'coin', x: 2230, y: 400 },
+        { type: 'coin', x: 2260, y: 400 },
+        { type: 'rocks', x: 2400, y: 530, amount: 8 },
+        { type: 'coin', x: 2640, y: 360 },
+        { type: 'coin', x: 2670, y: 360 },
+        { type: 'coin', x: 2700, y: 360 },
+        { type: 'ability_pickup', ability: 'double_jump', x: 1250, y: 500 },
+        { type: 'ability_pickup', ability: 'ground_pound', x: 2380, y: 500 },
+        { type: 'coffee', x: 2950, y: 520 },
+        { type: 'coin', x: 3135, y: 520 }
+    ],
+    // Touch to set where a lost life respawns
+    checkpoints: [
+        { id: 'tidepools_pools', x: 1000, y: 464 },
+        { id: 'tidepools_ridge', x: 1680, y: 464 }
+    ],
+    // Jump into it from below or press interact next to it
+    savePoints: [
+        { id: 'tidepools_midway', x: 2440, y: 400, heal: 2 }
+    ]
+};
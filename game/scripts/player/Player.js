@@ -3,38 +3,74 @@
  * Simple, reliable platformer movement
  */
 class Player extends Entity {
+    /**
+     * Ground pound tuning (see startGroundPound/landGroundPound).
+     */
+    static get GROUND_POUND() {
+        return {
+            windupMs: 120, // hang in the air before the slam
+            slamSpeed: 1400, // px/s straight down
+            damage: 15,
+            stunMs: 1200,
+            radius: 80, // shockwave reach either side of the landing point
+            groundReach: 40, // how far an enemy's feet may sit from the landing height
+            bounceStrength: -560, // hop after slamming onto an enemy's head
+            squashMs: 240,
+            squash: 0.35, // how far the sprite flattens on impact
+            shakeIntensity: 10,
+            shakeMs: 280
+        };
+    }
+
+    /**
+     * Glide tuning: fall speed cap while holding jump (needs the glide ability).
+     */
+    static get GLIDE() {
+        return { fallSpeed: 140 };
+    }
+
+    /**
+     * One locked/unlocked entry per AbilitiesConfig move.
+     */
+    static createMoveAbilities() {
+        const moves = (typeof AbilitiesConfig !== 'undefined') ? AbilitiesConfig : {};
+        return Object.entries(moves).map(([id, def]) => ({
+            id,
+            name: def.name,
+            description: def.description,
+            unlocked: !!def.unlocked,
+            icon: def.icon,
+            input: def.input,
+            move: true
+        }));
+    }
+
     constructor(x, y) {
         // Tile-based sprite: 45x66 tiles
         super(x, y, 45, 66);
         
-        // SMOOTH PHYSICS
-        this.moveSpeed = 600; // pixels/second - max speed cap
-        this.acceleration = 2000; // pixels/second² - gradual ramp up
-        this.deceleration = 8000; // pixels/second² - ground stopping (85% faster: 1200 * 6.67 ≈ 8000)
-        this.airDeceleration = 100; // pixels/second² - air resistance (very low)
-        this.jumpStrength = -700; // pixels/second - negative = up (increased to compensate for higher gravity)
-        this.gravity = 1000; // pixels/second² - falling acceleration (increased by 25%)
+        // SMOOTH PHYSICS - speeds, jump and gravity come from GameConfig.player.movement
+        // (applyPhysicsProfile below); the jump-feel timers read it live
+        this.coyoteTime = 0; // ground jumps still allowed after leaving a ledge
+        this.jumpBufferTime = 0; // a recent jump press waiting for the ground
+        this.jumpCuttable = false; // releasing jump early may still shorten this rise
         
         this.maxAirJumps = 0; // extra jumps granted by buffs (e.g., climbing shoes)
         this.remainingAirJumps = 0; // replenished when grounded
         this.jumpHeld = false; // used to detect fresh jump presses for mid-air jumps
         this.spaceJumpHeld = false; // tracks spacebar state for double-jump activation
 
-        this.baseMoveSpeed = this.moveSpeed;
-        this.baseAcceleration = this.acceleration;
-        this.baseDeceleration = this.deceleration;
-        this.baseAirDeceleration = this.airDeceleration;
-
         // Temporary speed buff (coffee)
         this.coffeeBuff = { active: false, remaining: 0, multiplier: 1 };
+        this.applyPhysicsProfile();
         this.climbingBuff = { active: false, remaining: 0, extraJumps: 0 };
-        this.buffHud = {
+        this.buffHud = (typeof document !== 'undefined') ? {
             panel: document.getElementById('buffPanel'),
             coffeeTimer: document.getElementById('coffeeTimer'),
             coffeeRow: document.getElementById('coffeeBuffRow'),
             climbTimer: document.getElementById('climbTimer'),
             climbRow: document.getElementById('climbBuffRow')
-        };
+        } : null; // headless: no HUD
 
         // Simple state
         this.facing = 1; // 1 = right, -1 = left
@@ -73,8 +109,33 @@ class Player extends Entity {
                 description: 'Run faster with coffee',
                 unlocked: true,
                 icon: 'art/items/coffee.png'
-            }
+            },
+            // Movement abilities, unlocked by ability pickups
+            ...Player.createMoveAbilities()
         ];
+
+        // Ground pound state: phase is null, 'windup' or 'slam'
+        this.groundPound = { phase: null, timer: 0 };
+        this.squashTime = 0;
+        this.downHeld = false;
+        this.gliding = false;
+        // Dash state (tuning in GameConfig.player.dash)
+        this.isDashing = false;
+        this.dashTime = 0;
+        this.dashDirection = 1;
+        this.dashCooldown = 0;
+        this.dashInvulnerableTime = 0;
+        this.airDashesLeft = this.getDashConfig().airDashes ?? 1;
+        this.dashHeld = false;
+        this.afterimageTimer = 0;
+        this.dashHudKey = null;
+        // Wall state (tuning in GameConfig.player.wall); wallContact is set by CollisionSystem
+        this.wallContact = 0;
+        this.wallSliding = false;
+        this.wallJumpLock = 0;
+        this.wallDustTimer = 0;
+        // Dust/trail particles
+        this.effects = new PlayerAnimations(this);
         
         // Rock throwing
         this.maxRocks = 10;
@@ -178,22 +239,48 @@ class Player extends Entity {
         this.updateCoffeeBuff(deltaTime);
         this.updateClimbingBuff(deltaTime);
         
+        // GROUND POUND - a fresh down press in mid-air starts the slam
+        const downPressed = input.isMovingDown ? input.isMovingDown() : false;
+        if (downPressed && !this.downHeld && !this.onGround && !this.groundPound.phase && this.hasAbility('ground_pound')) {
+            this.startGroundPound();
+        }
+        this.downHeld = downPressed;
+
         // HORIZONTAL MOVEMENT - Smooth acceleration/deceleration
         const movingLeft = input.isMovingLeft();
         const movingRight = input.isMovingRight();
+        // Analog stick scales top speed; digital input always runs at full speed
+        const analog = Math.abs(input.getMoveAxis ? input.getMoveAxis() : 0);
+        const maxSpeed = analog > 0 ? this.moveSpeed * Math.min(1, analog) : this.moveSpeed;
+
+        // DASH - a fresh dash press bursts toward the held direction (or facing)
+        this.dashCooldown = Math.max(0, this.dashCooldown - deltaTime);
+        this.dashInvulnerableTime = Math.max(0, this.dashInvulnerableTime - deltaTime);
+        const dashPressed = input.isDashing ? input.isDashing() : false;
+        if (dashPressed && !this.dashHeld) {
+            const heldDirection = movingLeft === movingRight ? 0 : (movingLeft ? -1 : 1);
+            this.tryDash(heldDirection);
+        }
+        this.dashHeld = dashPressed;
+
+        this.wallJumpLock = Math.max(0, this.wallJumpLock - deltaTime);
         
-        if (movingLeft && !movingRight) {
+        if (this.isDashing) {
+            this.updateDash(deltaTime);
+        } else if (this.wallJumpLock > 0) {
+            // Keep the kick-off momentum so holding toward the wall doesn't re-stick at once
+        } else if (movingLeft && !movingRight) {
             // Accelerate left
             this.velocity.x -= this.acceleration * dt;
-            if (this.velocity.x < -this.moveSpeed) {
-                this.velocity.x = -this.moveSpeed;
+            if (this.velocity.x < -maxSpeed) {
+                this.velocity.x = -maxSpeed;
             }
             this.facing = -1;
         } else if (movingRight && !movingLeft) {
             // Accelerate right
             this.velocity.x += this.acceleration * dt;
-            if (this.velocity.x > this.moveSpeed) {
-                this.velocity.x = this.moveSpeed;
+            if (this.velocity.x > maxSpeed) {
+                this.velocity.x = maxSpeed;
             }
             this.facing = 1;
         } else {
@@ -208,25 +295,62 @@ class Player extends Entity {
                 if (this.velocity.x > 0) this.velocity.x = 0;
             }
         }
+
+        // WALL SLIDE - falling while pushing into a wall clings to it
+        const pushingIntoWall = this.wallContact === 1 ? (movingRight && !movingLeft)
+            : this.wallContact === -1 ? (movingLeft && !movingRight) : false;
+        // Coyote time still running means only just off the ground, so no cling yet
+        this.wallSliding = pushingIntoWall && !this.onGround && this.coyoteTime <= 0 && this.velocity.y >= 0 &&
+            !this.isDashing && !this.groundPound.phase && this.hasAbility('wall_jump');
+        if (this.wallSliding) {
+            // Cling with the back to the wall
+            this.facing = -this.wallContact;
+        }
         
-        // JUMPING - Only when on ground
+        // JUMPING - from the ground, shortly after leaving it (coyote time) or buffered before landing
+        const physics = this.getMovementConfig();
         if (this.onGround) {
-            // Refresh air jumps whenever grounded
-            this.remainingAirJumps = this.maxAirJumps;
+            // Refresh air jumps, air dashes and coyote time whenever grounded
+            this.remainingAirJumps = this.getMaxAirJumps();
+            this.airDashesLeft = this.getDashConfig().airDashes ?? 1;
+            this.coyoteTime = physics.coyoteMs ?? 100;
+        } else {
+            this.coyoteTime = Math.max(0, this.coyoteTime - deltaTime);
         }
 
         const jumpPressed = input.isJumping();
         const spacePressed = input.isSpaceJumping ? input.isSpaceJumping() : false;
         const jumpJustPressed = jumpPressed && !this.jumpHeld;
         const spaceJustPressed = spacePressed && !this.spaceJumpHeld;
+        this.jumpBufferTime = jumpJustPressed
+            ? (physics.jumpBufferMs ?? 120)
+            : Math.max(0, this.jumpBufferTime - deltaTime);
+        const canGroundJump = (this.onGround || this.coyoteTime > 0) && !this.groundPound.phase;
 
-        if (jumpPressed && this.onGround) {
+        if ((jumpPressed || this.jumpBufferTime > 0) && canGroundJump) {
+            this.endDash();
             this.velocity.y = this.jumpStrength;
             this.onGround = false;
-        } else if (spaceJustPressed && !this.onGround && this.remainingAirJumps > 0) {
-            // Mid-air jump granted by climbing shoes (spacebar only)
+            this.coyoteTime = 0;
+            this.jumpBufferTime = 0;
+            this.jumpCuttable = true;
+        } else if (jumpJustPressed && this.canWallJump()) {
+            this.wallJump();
+        } else if (spaceJustPressed && !this.onGround && this.remainingAirJumps > 0 && !this.groundPound.phase) {
+            // Mid-air jump from the double jump ability or climbing shoes (spacebar only)
+            this.endDash();
             this.velocity.y = this.jumpStrength;
             this.remainingAirJumps -= 1;
+            this.jumpBufferTime = 0;
+            this.jumpCuttable = true;
+        }
+
+        // Releasing jump on the way up cuts the rise short (short hop)
+        if (this.jumpCuttable && (!jumpPressed || this.velocity.y >= 0)) {
+            if (!jumpPressed && this.velocity.y < 0) {
+                this.velocity.y *= physics.jumpCutMultiplier ?? 0.45;
+            }
+            this.jumpCuttable = false;
         }
         this.jumpHeld = jumpPressed;
         this.spaceJumpHeld = spacePressed;
@@ -239,10 +363,35 @@ class Player extends Entity {
         if (input.isMouseClicked() && this.throwables?.canThrow() && this.attackCooldown <= 0) {
             this.throwActive(input.getMousePosition());
         }
+
+        // Gamepad throw - aim with the right stick (or straight ahead when centered)
+        const stickAim = input.consumeAimThrow ? input.consumeAimThrow() : null;
+        if (stickAim && this.throwables?.canThrow() && this.attackCooldown <= 0) {
+            this.throwAt(this.getStickAimTarget(stickAim));
+        }
         
-        // GRAVITY - Always pull down when not on ground
-        if (!this.onGround) {
-            this.velocity.y += this.gravity * dt;
+        // GRAVITY - Always pull down when not on ground (the slam sets its own speed)
+        this.gliding = false;
+        if (this.groundPound.phase) {
+            this.updateGroundPound(deltaTime);
+        } else if (this.isDashing) {
+            // Dashes fly flat
+            this.velocity.y = 0;
+        } else if (!this.onGround) {
+            // Holding jump near the top of the arc hangs a little longer
+            const atApex = jumpPressed && Math.abs(this.velocity.y) < (physics.apexHangSpeed ?? 120);
+            this.velocity.y += this.gravity * (atApex ? (physics.apexGravityScale ?? 0.5) : 1) * dt;
+            if (this.wallSliding) {
+                this.velocity.y = Math.min(this.velocity.y, this.getWallConfig().slideSpeed ?? 160);
+                this.updateWallSlideDust(deltaTime);
+            } else {
+                // Holding jump on the way down glides
+                this.gliding = jumpPressed && this.velocity.y > 0 && this.hasAbility('glide');
+                if (this.gliding) {
+                    this.velocity.y = Math.min(this.velocity.y, Player.GLIDE.fallSpeed);
+                }
+            }
+            this.velocity.y = Math.min(this.velocity.y, physics.maxFallSpeed ?? 900);
         } else {
             // Stop falling when on ground
             if (this.velocity.y > 0) {
@@ -256,6 +405,10 @@ class Player extends Entity {
         
         // Update animations
         this.updateSimpleAnimation();
+        this.updateSquash(deltaTime);
+        this.effects.updateDustEffects(deltaTime);
+        this.effects.updateAfterimages(deltaTime);
+        this.updateDashHUD();
         
         // Decay knockback tilt during i-frames
         if (this.knockbackTiltTime > 0) {
@@ -275,6 +428,256 @@ class Player extends Entity {
         this.updateCamera();
     }
 
+    getDashConfig() {
+        return (typeof GameConfig !== 'undefined' && GameConfig.player?.dash) || {};
+    }
+
+    /**
+     * Start a dash if the ability is unlocked, off cooldown and (in the air)
+     * an air dash is left.
+     * @param {number} direction - -1/1 from the held input, 0 to use facing
+     * @returns {boolean} true if the dash started
+     */
+    tryDash(direction = 0) {
+        const cfg = this.getDashConfig();
+        if (!this.hasAbility('dash') || this.isDashing || this.dashCooldown > 0 || this.groundPound.phase) return false;
+        if (!this.onGround && this.airDashesLeft <= 0) return false;
+
+        if (!this.onGround) this.airDashesLeft -= 1;
+        this.isDashing = true;
+        this.dashDirection = direction || this.facing;
+        this.facing = this.dashDirection;
+        this.dashTime = cfg.durationMs ?? 150;
+        this.dashCooldown = cfg.cooldownMs ?? 700;
+        this.dashInvulnerableTime = cfg.invulnerableMs ?? 0;
+        this.afterimageTimer = 0;
+        this.velocity.y = 0;
+        this.getAudio()?.playSound?.('dash', 0.6);
+        return true;
+    }
+
+    updateDash(deltaTime) {
+        const cfg = this.getDashConfig();
+        this.velocity.x = this.dashDirection * (cfg.speed ?? 1500);
+        this.afterimageTimer -= deltaTime;
+        if (this.afterimageTimer <= 0) {
+            this.afterimageTimer = cfg.afterimageIntervalMs ?? 30;
+            this.effects.createAfterimage(cfg.afterimageLifeMs ?? 180);
+            this.effects.createDashEffect();
+        }
+        this.dashTime -= deltaTime;
+        if (this.dashTime <= 0) {
+            this.endDash();
+        }
+    }
+
+    /**
+     * Stop dashing and drop back to running speed.
+     */
+    endDash() {
+        if (!this.isDashing) return;
+        this.isDashing = false;
+        this.dashTime = 0;
+        this.velocity.x = Math.max(-this.moveSpeed, Math.min(this.moveSpeed, this.velocity.x));
+    }
+
+    /**
+     * Contact damage from enemies is skipped right after a dash starts.
+     */
+    isDashInvulnerable() {
+        return this.dashInvulnerableTime > 0;
+    }
+
+    /**
+     * Dash cooldown meter (hidden until the dash is unlocked). Only touches the
+     * DOM when the shown value changes.
+     */
+    updateDashHUD() {
+        if (typeof document === 'undefined') return;
+        const unlocked = this.hasAbility('dash');
+        const cooldownMs = this.getDashConfig().cooldownMs || 1;
+        const ready = unlocked ? 1 - Math.min(1, this.dashCooldown / cooldownMs) : 0;
+        const key = unlocked ? Math.round(ready * 20) : -1;
+        if (key === this.dashHudKey) return;
+        this.dashHudKey = key;
+
+        const entry = document.getElementById('hudDash');
+        const fill = document.getElementById('hudDashFill');
+        if (!entry) return;
+        entry.classList.toggle('hidden', !unlocked);
+        entry.classList.toggle('ready', ready >= 1);
+        if (fill) fill.style.width = `${Math.round(ready * 100)}%`;
+    }
+
+    getWallConfig() {
+        return (typeof GameConfig !== 'undefined' && GameConfig.player?.wall) || {};
+    }
+
+    /**
+     * Wall jumps need the ability and a wall beside an airborne player.
+     */
+    canWallJump() {
+        return this.wallContact !== 0 && !this.onGround && !this.groundPound.phase && this.hasAbility('wall_jump');
+    }
+
+    /**
+     * Kick up and away from the wall being touched.
+     */
+    wallJump() {
+        const cfg = this.getWallConfig();
+        const away = -this.wallContact;
+        this.endDash();
+        this.velocity.x = away * (cfg.jumpX ?? 520);
+        this.velocity.y = cfg.jumpY ?? this.jumpStrength;
+        this.facing = away;
+        this.wallJumpLock = cfg.controlLockMs ?? 180;
+        this.jumpBufferTime = 0;
+        this.jumpCuttable = true;
+        this.effects.createWallDust(this.wallContact, 6);
+        this.wallSliding = false;
+        this.wallContact = 0;
+    }
+
+    updateWallSlideDust(deltaTime) {
+        this.wallDustTimer -= deltaTime;
+        if (this.wallDustTimer <= 0) {
+            this.wallDustTimer = 70;
+            this.effects.createWallDust(this.wallContact, 1);
+        }
+    }
+
+    isGroundPounding() {
+        return !!this.groundPound.phase;
+    }
+
+    /**
+     * Stop in mid-air, then slam straight down.
+     */
+    startGroundPound() {
+        this.endDash();
+        this.groundPound.phase = 'windup';
+        this.groundPound.timer = Player.GROUND_POUND.windupMs;
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+    }
+
+    updateGroundPound(deltaTime) {
+        const gp = this.groundPound;
+        this.velocity.x = 0;
+        if (gp.phase === 'windup') {
+            this.velocity.y = 0;
+            gp.timer -= deltaTime;
+            if (gp.timer <= 0) gp.phase = 'slam';
+        }
+        if (gp.phase === 'slam') {
+            this.velocity.y = Player.GROUND_POUND.slamSpeed;
+        }
+    }
+
+    cancelGroundPound() {
+        this.groundPound.phase = null;
+        this.groundPound.timer = 0;
+    }
+
+    /**
+     * Called by CollisionSystem when the player lands on a platform.
+     */
+    onLand(platform) {
+        if (this.groundPound.phase === 'slam') {
+            this.landGroundPound(platform);
+        }
+    }
+
+    /**
+     * Slam impact: breakable platforms give way (the slam carries on), otherwise
+     * enemies standing near the landing point are hurt and stunned.
+     */
+    landGroundPound(platform = null) {
+        const cfg = Player.GROUND_POUND;
+        const g = this.game;
+        if (platform?.breakable && g.collisionSystem?.breakPlatform) {
+            g.collisionSystem.breakPlatform(platform);
+            // Keep slamming through to whatever is below
+            this.onGround = false;
+            this.velocity.y = cfg.slamSpeed;
+            this.effects.createGroundPoundDust(platform.x + platform.width / 2, platform.y, '#8B5A2B');
+            return;
+        }
+
+        this.cancelGroundPound();
+        this.squashTime = cfg.squashMs;
+        const centerX = this.x + this.width / 2;
+        const feetY = this.y + this.height;
+        (g.enemies || []).forEach(enemy => {
+            if (!enemy || enemy.active === false || enemy.state === 'death') return;
+            const bounds = CollisionDetection.getCollisionBounds(enemy);
+            const onSameGround = Math.abs(bounds.y + bounds.height - feetY) <= cfg.groundReach;
+            if (onSameGround && Math.abs(bounds.x + bounds.width / 2 - centerX) <= cfg.radius + bounds.width / 2) {
+                this.hitWithGroundPound(enemy);
+            }
+        });
+
+        g.camera?.shake?.(cfg.shakeIntensity, cfg.shakeMs);
+        this.effects.createGroundPoundDust(centerX, feetY);
+        this.getAudio()?.playSound?.('ground_pound', 0.8);
+    }
+
+    /**
+     * A slam that lands on an enemy's head hurts it and bounces Luckie back up.
+     * @returns {boolean} true when it counted as a head hit (no contact damage)
+     */
+    bounceOffEnemy(enemy) {
+        if (this.groundPound.phase !== 'slam' || !enemy || enemy.state === 'death') return false;
+        // Only from above: feet still in the top half of the enemy
+        const bounds = CollisionDetection.getCollisionBounds(enemy);
+        if (this.y + this.height > bounds.y + bounds.height / 2) return false;
+        const cfg = Player.GROUND_POUND;
+        this.hitWithGroundPound(enemy);
+        this.cancelGroundPound();
+        this.velocity.y = cfg.bounceStrength;
+        this.onGround = false;
+        this.squashTime = cfg.squashMs;
+        this.game.camera?.shake?.(cfg.shakeIntensity / 2, cfg.shakeMs / 2);
+        this.effects.createGroundPoundDust(this.x + this.width / 2, this.y + this.height);
+        this.getAudio()?.playSound?.('ground_pound', 0.8);
+        return true;
+    }
+
+    hitWithGroundPound(enemy) {
+        const cfg = Player.GROUND_POUND;
+        enemy.takeDamage?.(this.modifyOutgoingDamage(cfg.damage, enemy), this);
+        if (enemy.health > 0) {
+            enemy.stunTime = Math.max(enemy.stunTime || 0, cfg.stunMs);
+        }
+    }
+
+    /**
+     * Stretch while winding up/slamming, flatten on impact and ease back.
+     */
+    updateSquash(deltaTime) {
+        const cfg = Player.GROUND_POUND;
+        if (this.squashTime > 0) {
+            this.squashTime = Math.max(0, this.squashTime - deltaTime);
+            const t = this.squashTime / cfg.squashMs;
+            this.scale.x = 1 + cfg.squash * t;
+            this.scale.y = 1 - cfg.squash * t;
+        } else if (this.groundPound.phase) {
+            this.scale.x = 0.85;
+            this.scale.y = 1.15;
+        } else if (this.wallSliding) {
+            // Pressed thin against the wall
+            this.scale.x = 0.9;
+            this.scale.y = 1.06;
+        } else if (this.gliding) {
+            // Spread out a little to catch the air
+            this.scale.x = 1.12;
+            this.scale.y = 0.94;
+        } else {
+            this.scale.x = 1;
+            this.scale.y = 1;
+        }
+    }
+
     /**
      * Simple animation - switch between idle and running tiles based on movement
      */
@@ -285,7 +688,10 @@ class Player extends Entity {
         // Flip sprite when facing left (sprite faces right by default)
         this.flipX = this.facing === -1; // true when facing left, false when facing right
         
-        if (isMoving) {
+        if (this.wallSliding) {
+            // Clinging - hold the idle pose facing away from the wall
+            this.setTileAnimation([0], 0);
+        } else if (isMoving) {
             // Running - use tile 1
             this.setTileAnimation([1], 0);
         } else {
@@ -299,13 +705,34 @@ class Player extends Entity {
      * @param {Object} mousePos
      */
     throwActive(mousePos) {
-        const playerCenter = this.getCenter();
-        const worldMouse = {
+        this.throwAt({
             x: this.game.camera.x + mousePos.x,
             y: this.game.camera.y + mousePos.y
+        });
+    }
+
+    /**
+     * World-space throw target from a right-stick direction.
+     * @param {{x: number, y: number}} aim - normalized stick direction
+     */
+    getStickAimTarget(aim) {
+        const center = this.getCenter();
+        const distance = (typeof ControlsConfig !== 'undefined' && ControlsConfig.gamepad?.aimDistance) || 320;
+        const hasAim = aim && (aim.x !== 0 || aim.y !== 0);
+        const dirX = hasAim ? aim.x : (this.facing || 1);
+        const dirY = hasAim ? aim.y : 0;
+        return {
+            x: center.x + dirX * distance,
+            y: center.y + dirY * distance
         };
-        
-        const projectile = this.throwables?.createActiveProjectile(worldMouse);
+    }
+
+    /**
+     * Throw the active throwable toward a world-space target.
+     * @param {{x: number, y: number}} worldTarget
+     */
+    throwAt(worldTarget) {
+        const projectile = this.throwables?.createActiveProjectile(worldTarget);
         if (!projectile) return;
 
         // Add to game projectiles
@@ -431,6 +858,7 @@ class Player extends Entity {
      * @param {number} amount - Damage amount
      */
     spawnHitFlash(source, amount = 0) {
+        const rng = RandomService.for(this.game, 'cosmetic');
         this.hitFlashTime = this.hitFlashDuration;
         this.hitFlashDamage = amount;
 
@@ -457,8 +885,8 @@ class Player extends Entity {
             const rayAngle = start + (end - start) * t;
             rays.push({
                 angle: rayAngle,
-                length: 30 + Math.random() * 12, // larger, more pronounced rays
-                width: 2 + Math.random() * 1.5
+                length: 30 + rng.next() * 12, // larger, more pronounced rays
+                width: 2 + rng.next() * 1.5
             });
         }
 
@@ -471,7 +899,7 @@ class Player extends Entity {
             stroke: '#e2a400',
             isBig: true,
             baseRotation: angle + Math.PI / 2,
-            rotation: (Math.random() - 0.5) * 0.35
+            rotation: (rng.next() - 0.5) * 0.35
         });
 
         // Three small pastel stars with spacing
@@ -479,14 +907,14 @@ class Player extends Entity {
         for (let i = 0; i < 3; i++) {
             const dist = 46 + i * 8;
             stars.push({
-                size: 6 + Math.random() * 1.5,
+                size: 6 + rng.next() * 1.5,
                 angle: angle + smallOffsets[i],
                 distance: dist,
                 color: pastel[i % pastel.length],
                 stroke: 'rgba(0,0,0,0.08)',
                 isBig: false,
                 baseRotation: angle + smallOffsets[i],
-                rotation: (Math.random() - 0.5) * 0.5
+                rotation: (rng.next() - 0.5) * 0.5
             });
         }
 
@@ -497,7 +925,17 @@ class Player extends Entity {
      * Render player with star hit flash overlay when hurt
      */
     render(ctx, camera = { x: 0, y: 0 }) {
+        // Entity scales around the center; shift so squash keeps the feet planted
+        const footShift = (1 - this.scale.y) * this.height / 2;
+        // ...and the back against the wall while clinging
+        const wallShift = this.wallSliding ? (1 - this.scale.x) * this.width / 2 * this.wallContact : 0;
+        this.effects.renderAfterimages(ctx, camera);
+        this.y += footShift;
+        this.x += wallShift;
         super.render(ctx, camera);
+        this.x -= wallShift;
+        this.y -= footShift;
+        this.effects.renderEffects(ctx, camera);
 
         if (this.hitFlashTime > 0) {
             const intensity = this.hitFlashTime / this.hitFlashDuration;
@@ -620,6 +1058,8 @@ class Player extends Entity {
      * @param {Entity} source - Death source
      */
     onDeath(source) {
+        this.cancelGroundPound();
+        this.endDash();
         // Trigger game over
         if (this.game) {
             this.game.stateManager.gameOver();
@@ -724,6 +1164,7 @@ class Player extends Entity {
      * Update UI elements
      */
     updateUI() {
+        if (typeof document === 'undefined') return;
         const hudCoinsElement = document.getElementById('hudCoins');
         const hudRocksElement = document.getElementById('hudRocks');
         const activeThrowIcon = this.throwables?.getActiveIcon?.();
@@ -758,6 +1199,7 @@ class Player extends Entity {
      * Update health UI
      */
     updateHealthUI() {
+        if (typeof document === 'undefined') return;
         const healthFill = document.getElementById('healthFill');
         if (healthFill) {
             const healthPercent = Math.max(0, (this.health / this.maxHealth) * 100);
@@ -839,7 +1281,7 @@ class Player extends Entity {
     updateClimbingBuff(deltaTime) {
         if (!this.climbingBuff.active) {
             this.maxAirJumps = 0;
-            this.remainingAirJumps = Math.min(this.remainingAirJumps, this.maxAirJumps);
+            this.remainingAirJumps = Math.min(this.remainingAirJumps, this.getMaxAirJumps());
             return;
         }
 
@@ -847,14 +1289,33 @@ class Player extends Entity {
         if (this.climbingBuff.remaining <= 0) {
             this.climbingBuff = { active: false, remaining: 0, extraJumps: 0 };
             this.maxAirJumps = 0;
-            this.remainingAirJumps = 0;
+            this.remainingAirJumps = Math.min(this.remainingAirJumps, this.getMaxAirJumps());
         } else {
             this.maxAirJumps = this.climbingBuff.extraJumps;
-            this.remainingAirJumps = Math.min(this.remainingAirJumps, this.maxAirJumps);
+            this.remainingAirJumps = Math.min(this.remainingAirJumps, this.getMaxAirJumps());
         }
         this.updateBuffHUD();
     }
 
+    getMovementConfig() {
+        return (typeof GameConfig !== 'undefined' && GameConfig.player?.movement) || {};
+    }
+
+    /**
+     * Copy the movement profile onto the player's base stats and re-apply
+     * buffs. Called again by the debug overlay after a live edit.
+     */
+    applyPhysicsProfile() {
+        const cfg = this.getMovementConfig();
+        this.baseMoveSpeed = cfg.moveSpeed ?? 600;
+        this.baseAcceleration = cfg.acceleration ?? 2000;
+        this.baseDeceleration = cfg.deceleration ?? 8000;
+        this.baseAirDeceleration = cfg.airDeceleration ?? 100;
+        this.jumpStrength = cfg.jumpStrength ?? -700;
+        this.gravity = cfg.gravity ?? 1000;
+        this.updateMovementStatsFromBuff();
+    }
+
     /**
      * Recompute movement stats based on buff state
      */
@@ -871,6 +1332,7 @@ class Player extends Entity {
      * @param {boolean} forceHide - hide regardless of state
      */
     updateBuffHUD(forceHide = false) {
+        if (typeof document === 'undefined') return;
         const panel = this.buffHud?.panel || document.getElementById('buffPanel');
         const coffeeTimer = this.buffHud?.coffeeTimer || document.getElementById('coffeeTimer');
         const coffeeRow = this.buffHud?.coffeeRow || document.getElementById('coffeeBuffRow');
@@ -931,12 +1393,28 @@ class Player extends Entity {
     /**
      * Unlock a new ability
      * @param {string} abilityId
+     * @returns {boolean} true if it was locked before
      */
     unlockAbility(abilityId) {
-        const ability = this.abilities.find(a => a.id === abilityId);
-        if (ability) {
-            ability.unlocked = true;
-        }
+        const ability = this.getAbility(abilityId);
+        if (!ability || ability.unlocked) return false;
+        ability.unlocked = true;
+        return true;
+    }
+
+    /**
+     * @param {string} abilityId
+     * @returns {Object|null} the Player.abilities entry
+     */
+    getAbility(abilityId) {
+        return this.abilities.find(a => a.id === abilityId) || null;
+    }
+
+    /**
+     * Air jumps available per jump: climbing shoes, or one from the double jump ability.
+     */
+    getMaxAirJumps() {
+        return Math.max(this.maxAirJumps, this.hasAbility('double_jump') ? 1 : 0);
     }
     
     /**
@@ -965,6 +1443,69 @@ class Player extends Entity {
         return Math.round(this.moveSpeed);
     }
 
+    /**
+     * Snapshot section: position, purse, inventory (potions, coffee, throwable
+     * ammo) and active buffs with their remaining time.
+     */
+    getSaveData() {
+        return {
+            x: this.x,
+            y: this.y,
+            facing: this.facing,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            coins: this.coins,
+            score: this.score,
+            healthPotions: this.healthPotions,
+            coffeeDrinks: this.coffeeDrinks,
+            throwables: this.throwables?.getSaveData?.() || null,
+            abilities: this.abilities.filter(a => a.move && a.unlocked).map(a => a.id),
+            buffs: {
+                coffee: { ...this.coffeeBuff },
+                climbing: { ...this.climbingBuff }
+            }
+        };
+    }
+
+    /**
+     * Restore a section written by getSaveData (missing fields keep their current value).
+     * @param {Object} data
+     */
+    loadSaveData(data = {}) {
+        if (!data) return;
+        const num = (value, fallback) => (typeof value === 'number' ? value : fallback);
+        this.x = num(data.x, this.x);
+        this.y = num(data.y, this.y);
+        this.velocity = { x: 0, y: 0 };
+        this.facing = data.facing === -1 ? -1 : 1;
+        this.maxHealth = num(data.maxHealth, this.maxHealth);
+        this.health = Math.max(1, Math.min(this.maxHealth, num(data.health, this.health)));
+        this.coins = num(data.coins, this.coins);
+        this.score = num(data.score, this.score);
+        this.healthPotions = Math.max(0, num(data.healthPotions, this.healthPotions));
+        this.coffeeDrinks = Math.max(0, num(data.coffeeDrinks, this.coffeeDrinks));
+        if (data.throwables) {
+            this.throwables?.loadSaveData?.(data.throwables);
+        }
+        if (Array.isArray(data.abilities)) {
+            data.abilities.forEach(id => this.unlockAbility(id));
+        }
+        const coffee = data.buffs?.coffee;
+        if (coffee?.active && coffee.remaining > 0) {
+            this.coffeeBuff = { active: true, remaining: coffee.remaining, multiplier: coffee.multiplier || 1 };
+        }
+        const climbing = data.buffs?.climbing;
+        if (climbing?.active && climbing.remaining > 0) {
+            this.climbingBuff = { active: true, remaining: climbing.remaining, extraJumps: climbing.extraJumps || 0 };
+            this.maxAirJumps = this.climbingBuff.extraJumps;
+            this.remainingAirJumps = this.maxAirJumps;
+        }
+        this.updateMovementStatsFromBuff();
+        this.updateBuffHUD();
+        this.updateHealthUI();
+        this.updateUI();
+    }
+
     /**
      * Reset player to starting state
      */
@@ -991,6 +1532,22 @@ class Player extends Entity {
         this.knockbackTiltTime = 0;
         this.rotation = 0;
         this.jumpHeld = false;
+        this.coyoteTime = 0;
+        this.jumpBufferTime = 0;
+        this.jumpCuttable = false;
+        this.downHeld = false;
+        this.cancelGroundPound();
+        this.endDash();
+        this.dashCooldown = 0;
+        this.dashInvulnerableTime = 0;
+        this.airDashesLeft = this.getDashConfig().airDashes ?? 1;
+        this.dashHeld = false;
+        this.dashHudKey = null;
+        this.wallContact = 0;
+        this.wallSliding = false;
+        this.wallJumpLock = 0;
+        this.squashTime = 0;
+        this.scale = { x: 1, y: 1 };
         this.maxAirJumps = 0;
         this.remainingAirJumps = 0;
         this.coffeeBuff = { active: false, remaining: 0, multiplier: 1 };
@@ -9,6 +9,7 @@ class PlayerAnimations {
         this.transitionTime = 0;
         this.maxTransitionTime = 100; // ms for smooth transitions
         this.dustEffects = [];
+        this.afterimages = [];
     }
 
     /**
@@ -48,6 +49,7 @@ class PlayerAnimations {
      * Handle animation-specific effects
      */
     handleAnimationEffects() {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
         const player = this.player;
         
         // Landing effects
@@ -61,7 +63,7 @@ class PlayerAnimations {
         
         // Running dust effects
         if (player.currentAnimation === 'run' && player.onGround) {
-            if (Math.random() < 0.1) { // 10% chance per frame
+            if (rng.next() < 0.1) { // 10% chance per frame
                 this.createRunningDust();
             }
         }
@@ -84,14 +86,15 @@ class PlayerAnimations {
      * Create dust effect when landing
      */
     createLandingDust() {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
         const count = 5;
         for (let i = 0; i < count; i++) {
             this.dustEffects.push({
-                x: this.player.x + Math.random() * this.player.width,
+                x: this.player.x + rng.next() * this.player.width,
                 y: this.player.y + this.player.height,
-                velocityX: (Math.random() - 0.5) * 4,
-                velocityY: -Math.random() * 2,
-                size: Math.random() * 3 + 1,
+                velocityX: (rng.next() - 0.5) * 4,
+                velocityY: -rng.next() * 2,
+                size: rng.next() * 3 + 1,
                 life: 300,
                 maxLife: 300,
                 color: '#8B4513'
@@ -103,12 +106,13 @@ class PlayerAnimations {
      * Create dust effect when running
      */
     createRunningDust() {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
         this.dustEffects.push({
-            x: this.player.x + this.player.width / 2 + (Math.random() - 0.5) * 10,
+            x: this.player.x + this.player.width / 2 + (rng.next() - 0.5) * 10,
             y: this.player.y + this.player.height,
-            velocityX: -this.player.facing * 2 + (Math.random() - 0.5),
-            velocityY: -Math.random(),
-            size: Math.random() * 2 + 0.5,
+            velocityX: -this.player.facing * 2 + (rng.next() - 0.5),
+            velocityY: -rng.next(),
+            size: rng.next() * 2 + 0.5,
             life: 200,
             maxLife: 200,
             color: '#D2B48C'
@@ -119,14 +123,15 @@ class PlayerAnimations {
      * Create effect when jumping
      */
     createJumpDust() {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
         const count = 3;
         for (let i = 0; i < count; i++) {
             this.dustEffects.push({
-                x: this.player.x + Math.random() * this.player.width,
+                x: this.player.x + rng.next() * this.player.width,
                 y: this.player.y + this.player.height,
-                velocityX: (Math.random() - 0.5) * 2,
-                velocityY: Math.random() * 2,
-                size: Math.random() * 2 + 1,
+                velocityX: (rng.next() - 0.5) * 2,
+                velocityY: rng.next() * 2,
+                size: rng.next() * 2 + 1,
                 life: 250,
                 maxLife: 250,
                 color: '#DEB887'
@@ -138,14 +143,15 @@ class PlayerAnimations {
      * Create dash trail effect
      */
     createDashEffect() {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
         const count = 3;
         for (let i = 0; i < count; i++) {
             this.dustEffects.push({
-                x: this.player.x + Math.random() * this.player.width,
-                y: this.player.y + Math.random() * this.player.height,
-                velocityX: -this.player.facing * 3 + (Math.random() - 0.5),
-                velocityY: (Math.random() - 0.5) * 2,
-                size: Math.random() * 2 + 1,
+                x: this.player.x + rng.next() * this.player.width,
+                y: this.player.y + rng.next() * this.player.height,
+                velocityX: -this.player.facing * 3 + (rng.next() - 0.5),
+                velocityY: (rng.next() - 0.5) * 2,
+                size: rng.next() * 2 + 1,
                 life: 150,
                 maxLife: 150,
                 color: '#FFD700'
@@ -153,6 +159,96 @@ class PlayerAnimations {
         }
     }
 
+    /**
+     * Burst of dust both ways along the ground when a ground pound lands
+     * @param {number} x - Impact point (world)
+     * @param {number} y - Ground height at the impact
+     * @param {string} color - Particle color (debris uses the platform's)
+     */
+    createGroundPoundDust(x, y, color = '#D2B48C') {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
+        const count = 12;
+        for (let i = 0; i < count; i++) {
+            const side = i % 2 === 0 ? -1 : 1;
+            this.dustEffects.push({
+                x: x + side * rng.next() * 10,
+                y,
+                velocityX: side * (2 + rng.next() * 4),
+                velocityY: -rng.next() * 3,
+                size: rng.next() * 3 + 2,
+                life: 400,
+                maxLife: 400,
+                color
+            });
+        }
+    }
+
+    /**
+     * Grit scraped off a wall at the player's hands (wall slide / wall jump)
+     * @param {number} side - -1 wall on the left, 1 on the right
+     * @param {number} count - Particles to spawn
+     */
+    createWallDust(side, count = 1) {
+        const rng = RandomService.for(this.player?.game, 'cosmetic');
+        const x = side === 1 ? this.player.x + this.player.width : this.player.x;
+        for (let i = 0; i < count; i++) {
+            this.dustEffects.push({
+                x,
+                y: this.player.y + this.player.height * (0.3 + rng.next() * 0.3),
+                velocityX: -side * rng.next() * 1.5,
+                velocityY: -rng.next() * 1.5,
+                size: rng.next() * 2 + 1,
+                life: 250,
+                maxLife: 250,
+                color: '#C8B08A'
+            });
+        }
+    }
+
+    /**
+     * Leave a fading copy of the player's current frame (dash trail)
+     * @param {number} lifeMs - How long the ghost takes to fade
+     */
+    createAfterimage(lifeMs = 180) {
+        const p = this.player;
+        this.afterimages.push({
+            x: p.x,
+            y: p.y,
+            tileIndex: p.tileIndex,
+            flipX: p.flipX,
+            life: lifeMs,
+            maxLife: lifeMs
+        });
+    }
+
+    updateAfterimages(deltaTime) {
+        if (!this.afterimages.length) return;
+        this.afterimages = this.afterimages.filter(ghost => {
+            ghost.life -= deltaTime;
+            return ghost.life > 0;
+        });
+    }
+
+    /**
+     * Draw the dash trail by rendering the player at each ghost's position
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} camera - Camera object
+     */
+    renderAfterimages(ctx, camera) {
+        if (!this.afterimages.length) return;
+        const p = this.player;
+        const saved = { x: p.x, y: p.y, tileIndex: p.tileIndex, flipX: p.flipX, alpha: p.alpha };
+        this.afterimages.forEach(ghost => {
+            p.x = ghost.x;
+            p.y = ghost.y;
+            p.tileIndex = ghost.tileIndex;
+            p.flipX = ghost.flipX;
+            p.alpha = 0.45 * (ghost.life / ghost.maxLife);
+            Entity.prototype.render.call(p, ctx, camera);
+        });
+        Object.assign(p, saved);
+    }
+
     /**
      * Update dust particle effects
      * @param {number} deltaTime - Time since last frame
@@ -59,6 +59,7 @@ class RoomWorldBuilder {
             enemies: buildEntityList(room.enemies),
             items: buildEntityList(room.items),
             hazards: buildEntityList(room.hazards),
+            checkpoints: buildEntityList((room.checkpoints || []).map(def => ({ ...def, type: 'checkpoint' }))),
             chests: buildChestList(room.chests),
             npcs: buildEntityList(room.npcs),
             projectiles: []
@@ -69,7 +70,7 @@ class RoomWorldBuilder {
             const subtype = p.type || p.subtype || p.kind || 'platform';
             let plat = null;
             if (this.factory?.create) {
-                plat = this.factory.create({ type: 'platform', subtype, x: p.x, y: p.y, width: p.width, height: p.height });
+                plat = this.factory.create({ type: 'platform', subtype, x: p.x, y: p.y, width: p.width, height: p.height, breakable: p.breakable, wallSlide: p.wallSlide });
             } else if (this.factory?.platform) {
                 plat = this.factory.platform(p.x, p.y, p.width, p.height, subtype);
             } else {
@@ -80,6 +81,11 @@ class RoomWorldBuilder {
                 entities.platforms.push(plat);
             }
         });
+        (Array.isArray(room.savePoints) ? room.savePoints : []).forEach(def => {
+            const factory = this.factory || this.game?.entityFactory || this.game?.worldBuilder?.factory || null;
+            const point = factory?.create?.({ ...def, type: 'savePoint' });
+            if (point) entities.platforms.push(point);
+        });
 
         if (room.autoFloor !== false) {
             this.ensureFloor(entities.platforms, bounds);
@@ -296,6 +302,23 @@ class RoomManager {
         this.returnInfo = null;
     }
 
+    /**
+     * Forget the current room without restoring the level (the level is
+     * being rebuilt, e.g. loading a save from inside a room).
+     */
+    reset() {
+        // Rooms clear currentLevelId; rebuild the level the room belongs to
+        if (this.game && !this.game.currentLevelId && this.returnInfo?.levelId) {
+            this.game.currentLevelId = this.returnInfo.levelId;
+        }
+        this.active = false;
+        this.room = null;
+        this.roomEntities = null;
+        this.returnInfo = null;
+        if (this.game) this.game.currentRoomId = null;
+        this.game?.doorRenderer?.reset?.();
+    }
+
     alignRoomNpcsToFloor() {
         if (!this.game) return;
         const roomNpcs = (this.roomEntities && Array.isArray(this.roomEntities.npcs)) ? this.roomEntities.npcs : [];
@@ -336,6 +359,10 @@ class RoomManager {
             theme: g.currentTheme,
             platforms: (g.platforms || []).map(p => {
                 const base = { x: p.x, y: p.y, width: p.width, height: p.height, type: p.type };
+                // Save points and breakable platforms keep their instance (activated/respawn state)
+                if (p.type === 'save_point' || p.breakable) {
+                    base.entity = p;
+                }
                 // For DecorPlatforms, capture full config to preserve invisible/oneWay properties
                 if (p.type === 'decor_platform') {
                     base.config = {
@@ -360,6 +387,7 @@ class RoomManager {
             enemies: (g.enemies || []).slice(),
             items: (g.items || []).slice(),
             hazards: (g.hazards || []).slice(),
+            checkpoints: (g.checkpoints || []).slice(),
             chests: (g.chests || []).slice(),
             npcs: (g.npcs || []).slice(),
             backgroundLayers: (g.backgroundLayers || []).slice(),
@@ -376,6 +404,31 @@ class RoomManager {
         };
     }
 
+    /**
+     * Snapshot section for the room the player is in (null outside rooms).
+     * Level entities parked in `returnInfo` are saved by the world section.
+     */
+    getSaveData() {
+        if (!this.active || !this.room) return null;
+        return {
+            roomId: this.room.id,
+            levelId: this.returnInfo?.levelId || null,
+            returnPosition: this.returnInfo?.playerPos || null,
+            spawn: this.room.spawn || null,
+            exit: this.room.exit || null
+        };
+    }
+
+    /**
+     * Re-enter a saved room from the rebuilt level. Skipped when something
+     * earlier in the restore (a town interior) already put us there.
+     */
+    loadSaveData(data = {}) {
+        if (!data?.roomId) return false;
+        if (this.active && this.room?.id === data.roomId) return true;
+        return this.enterRoomById(data.roomId, {}, data.returnPosition || null, data.spawn || null, data.exit || null);
+    }
+
     restoreReturnState() {
         const g = this.game;
         const snap = this.returnInfo;
@@ -385,6 +438,7 @@ class RoomManager {
         g.currentLevelId = snap.levelId;
         g.level = this.clonePlain(snap.level);
         g.platforms = (snap.platforms || []).map(p => {
+            if (p.entity) return p.entity;
             if (p.type === 'decor_platform' && g.entityFactory?.decor_platform) {
                 // Restore DecorPlatform with all its config properties
                 return g.entityFactory.decor_platform(p.x, p.y, p.config || {});
@@ -394,6 +448,7 @@ class RoomManager {
         g.enemies = snap.enemies || [];
         g.items = snap.items || [];
         g.hazards = snap.hazards || [];
+        g.checkpoints = snap.checkpoints || [];
         g.chests = snap.chests || [];
         g.npcs = snap.npcs || [];
         g.backgroundLayers = snap.backgroundLayers || [];
@@ -436,6 +491,7 @@ class RoomManager {
         g.enemies = Array.isArray(entities.enemies) ? entities.enemies.slice() : [];
         g.items = Array.isArray(entities.items) ? entities.items.slice() : [];
         g.hazards = Array.isArray(entities.hazards) ? entities.hazards.slice() : [];
+        g.checkpoints = Array.isArray(entities.checkpoints) ? entities.checkpoints.slice() : [];
         g.chests = Array.isArray(entities.chests) ? entities.chests.slice() : [];
         g.npcs = Array.isArray(entities.npcs) ? entities.npcs.slice() : [];
         g.projectiles = Array.isArray(entities.projectiles) ? entities.projectiles.slice() : [];
@@ -22,6 +22,8 @@ class RoomRegistry {
             hazards: [],
             chests: [],
             npcs: [],
+            savePoints: [],
+            checkpoints: [],
             ...this.clonePlain(defaults)
         };
     }
@@ -108,7 +110,9 @@ class RoomRegistry {
             items: copyList(def.items),
             hazards: copyList(def.hazards),
             chests: copyList(def.chests),
-            npcs: copyList(def.npcs)
+            npcs: copyList(def.npcs),
+            savePoints: copyList(def.savePoints),
+            checkpoints: copyList(def.checkpoints)
         };
     }
 
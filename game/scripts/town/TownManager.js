@@ -1189,6 +1189,59 @@ class TownManager {
         }
     }
 
+    findBuilding(buildingId) {
+        if (!buildingId || !Array.isArray(this.activeContent?.buildings)) return null;
+        return this.activeContent.buildings.find(b => b.id === buildingId) || null;
+    }
+
+    /**
+     * Snapshot section: current town, open building doors and the interior
+     * the player is inside (if any).
+     */
+    getSaveData() {
+        if (!this.currentTownId && !this.activeInterior) return null;
+        const buildings = Array.isArray(this.activeContent?.buildings) ? this.activeContent.buildings : [];
+        return {
+            currentTownId: this.currentTownId,
+            doors: buildings
+                .filter(b => b.doorOpen && b.id)
+                .map(b => ({ buildingId: b.id, doorTimer: b.doorTimer || 0 })),
+            interior: this.activeInterior && this.interiorReturn ? {
+                id: this.activeInterior.id,
+                buildingId: this.activeInterior.buildingId,
+                townId: this.interiorReturn.townId,
+                position: this.interiorReturn.position
+            } : null
+        };
+    }
+
+    /**
+     * Put the player back in the saved town (and interior). Runs after the
+     * level is rebuilt; the town is re-entered from the player position.
+     */
+    loadSaveData(data = {}) {
+        const g = this.game;
+        if (!data || !g?.player) return;
+        const interior = data.interior;
+        if (interior?.position) {
+            g.player.x = interior.position.x;
+            g.player.y = interior.position.y;
+        }
+        this.update(0);
+        (data.doors || []).forEach(door => {
+            const building = this.findBuilding(door.buildingId);
+            if (!building) return;
+            this.openBuildingDoor(building);
+            building.doorTimer = door.doorTimer || building.doorTimer;
+        });
+        if (interior) {
+            const building = this.findBuilding(interior.buildingId);
+            if (building) {
+                this.enterBuilding(building);
+            }
+        }
+    }
+
     openBuildingDoor(building) {
         if (!building) return;
         building.doorOpen = true;
@@ -1510,6 +1563,7 @@ class TownManager {
                 collider.hidden = true;
                 collider.render = false;
                 g.platforms.push(collider);
+                g.collisionSystem?.registerStatic?.(collider);
                 this.activeTownColliders.push(collider);
             }
         });
@@ -1517,7 +1571,13 @@ class TownManager {
 
     removeTownColliders() {
         if (!this.game || !Array.isArray(this.activeTownColliders) || !Array.isArray(this.game.platforms)) return;
-        this.game.platforms = this.game.platforms.filter(p => !this.activeTownColliders.includes(p));
+        const platforms = this.game.platforms;
+        this.activeTownColliders.forEach(collider => {
+            const index = platforms.indexOf(collider);
+            if (index === -1) return;
+            platforms.splice(index, 1);
+            this.game.collisionSystem?.unregisterStatic?.(collider);
+        });
         this.activeTownColliders = [];
     }
 
@@ -1,5 +1,6 @@
 /**
- * BadgeUI - manages badge progression, callouts, and inventory rendering
+ * BadgeUI - manages badge progression, callouts, and inventory rendering.
+ * The callout is shared with ability unlocks (queueAbilityCallout).
  */
 class BadgeUI {
     constructor(game) {
@@ -43,6 +44,7 @@ class BadgeUI {
      * Cache DOM references for the inventory badge panel
      */
     cacheInventoryRefs() {
+        if (typeof document === 'undefined') return; // headless
         this.inventoryList = document.getElementById('inventoryBadges');
         this.inventoryEmpty = document.getElementById('badgeEmptyState');
     }
@@ -51,6 +53,7 @@ class BadgeUI {
      * Build the badge callout DOM container
      */
     buildCalloutShell() {
+        if (typeof document === 'undefined') return;
         const container = document.getElementById('gameContainer');
         if (!container) return;
 
@@ -60,7 +63,7 @@ class BadgeUI {
         callout.setAttribute('aria-live', 'polite');
         callout.innerHTML = `
             <div class="badge-callout__banner">
-                <div class="badge-callout__title">You got the <span class="badge-callout__name"></span>!</div>
+                <div class="badge-callout__title"><span class="badge-callout__lead">You got the</span> <span class="badge-callout__name"></span>!</div>
                 <div class="badge-callout__sparkles" aria-hidden="true">
                     <span>★</span>
                     <span>✦</span>
@@ -80,6 +83,7 @@ class BadgeUI {
         container.appendChild(callout);
 
         this.calloutEl = callout;
+        this.leadEl = callout.querySelector('.badge-callout__lead');
         this.nameEl = callout.querySelector('.badge-callout__name');
         this.descEl = callout.querySelector('.badge-callout__description');
         this.iconEl = callout.querySelector('.badge-callout__icon');
@@ -242,6 +246,24 @@ class BadgeUI {
         }
     }
 
+    /**
+     * Queue the callout for a newly unlocked ability (Player.abilities entry).
+     * Uses the badge callout with its own wording and colors; no badge is awarded.
+     * @param {Object} ability
+     */
+    queueAbilityCallout(ability) {
+        if (!ability) return;
+        this.queueCallout({
+            id: ability.id,
+            name: ability.name,
+            shortTitle: ability.name,
+            description: ability.description,
+            icon: ability.icon,
+            lead: 'You learned',
+            variant: 'ability'
+        });
+    }
+
     /**
      * Show the next queued callout
      */
@@ -256,6 +278,8 @@ class BadgeUI {
         const badge = this.calloutQueue.shift();
         this.calloutActive = true;
 
+        if (this.leadEl) this.leadEl.textContent = badge.lead || 'You got the';
+        this.calloutEl.classList.toggle('badge-callout--ability', badge.variant === 'ability');
         if (this.nameEl) this.nameEl.textContent = badge.shortTitle || badge.name || 'Badge';
         if (this.descEl) this.descEl.textContent = badge.description || '';
         if (this.iconEl && badge.icon) {
@@ -336,6 +360,35 @@ class BadgeUI {
         });
     }
 
+    /**
+     * Snapshot section: earned badges plus progress toward the rest.
+     */
+    getSaveData() {
+        return {
+            earned: Array.from(this.earnedBadges.values()).map(badge => ({ id: badge.id, earnedAt: badge.earnedAt })),
+            defeats: { ...this.progress.defeats },
+            npcHits: Array.from(this.progress.npcHits)
+        };
+    }
+
+    /**
+     * Restore saved badges quietly (no callout or sound) and re-apply their modifiers.
+     * @param {Object} data
+     */
+    loadSaveData(data = {}) {
+        this.reset(true);
+        (data?.earned || []).forEach(({ id, earnedAt }) => {
+            const def = this.badgeDefinitions[id];
+            if (def) {
+                this.earnedBadges.set(id, { ...def, earnedAt: earnedAt || Date.now() });
+            }
+        });
+        this.progress.defeats = { ...(data?.defeats || {}) };
+        this.progress.npcHits = new Set(data?.npcHits || []);
+        this.reapplyAllModifiers(this.game?.player);
+        this.renderInventory();
+    }
+
     /**
      * Reset badge state and UI (clears earned badges and progress).
      * @param {boolean} clearProgress - reset defeat counts as well
@@ -0,0 +1,185 @@
+/**
+ * ControlsMenu - pause-menu screen for rebinding keyboard controls.
+ * Edits the InputManager ActionMap and persists overrides via SaveService.
+ */
+class ControlsMenu {
+    constructor(game, { input = null, save = null } = {}) {
+        this.game = game;
+        this.input = input;
+        this.save = save;
+        const controls = game.config?.controls || {};
+        this.rebindable = controls.rebindable || [];
+        this.menuActions = ['menuUp', 'menuDown', 'menuLeft', 'menuRight', 'menuConfirm', 'menuBack'];
+        this.list = null;
+        this.status = null;
+        this.capture = null; // { action, pendingKey, conflict }
+        this.onCaptureKey = (e) => this.handleCaptureKey(e);
+    }
+
+    getActionMap() {
+        return this.input?.getActionMap?.() || this.input?.actionMap || null;
+    }
+
+    /**
+     * Keyboard keys bound to an action; gamepad and touch keys aren't edited here.
+     */
+    getKeyboardBindings(action) {
+        return (this.getActionMap()?.getBindings(action) || []).filter(key => ActionMap.isKeyboardKey(key));
+    }
+
+    /**
+     * Apply saved binding overrides (call once at startup).
+     */
+    loadBindings() {
+        const map = this.getActionMap();
+        const settings = this.save?.loadSettings?.({}) || {};
+        map?.applyOverrides?.(settings.controls?.bindings);
+    }
+
+    saveBindings() {
+        const map = this.getActionMap();
+        if (!map || !this.save) return;
+        const settings = this.save.loadSettings?.({}) || {};
+        settings.controls = { ...(settings.controls || {}), bindings: map.getOverrides() };
+        this.save.saveSettings?.(settings);
+    }
+
+    bindDom() {
+        this.list = document.getElementById('controlsList');
+        this.status = document.getElementById('controlsStatus');
+        document.getElementById('controlsResetButton')?.addEventListener('click', () => {
+            this.cancelCapture();
+            this.getActionMap()?.resetDefaults();
+            this.saveBindings();
+            this.setStatus('Controls reset to defaults.');
+            this.render();
+        });
+    }
+
+    open() {
+        this.cancelCapture();
+        this.setStatus('Click a key to remove it, or Add to bind a new one.');
+        this.render();
+    }
+
+    close() {
+        this.cancelCapture();
+    }
+
+    render() {
+        const map = this.getActionMap();
+        if (!this.list || !map) return;
+        this.list.innerHTML = '';
+        this.rebindable.forEach(({ action, label }) => {
+            const row = document.createElement('div');
+            row.className = 'controls-row';
+            const name = document.createElement('span');
+            name.className = 'controls-row__label';
+            name.textContent = label || action;
+            const keys = document.createElement('div');
+            keys.className = 'controls-row__keys';
+
+            this.getKeyboardBindings(action).forEach((key) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'controls-key';
+                chip.textContent = ActionMap.formatKey(key);
+                chip.title = 'Remove binding';
+                chip.addEventListener('click', () => this.removeBinding(action, key, label));
+                keys.appendChild(chip);
+            });
+
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.className = 'controls-add';
+            const capturing = this.capture?.action === action;
+            add.textContent = capturing ? 'Press a key…' : '+ Add';
+            add.classList.toggle('is-capturing', capturing);
+            add.addEventListener('click', () => this.beginCapture(action));
+            keys.appendChild(add);
+
+            row.appendChild(name);
+            row.appendChild(keys);
+            this.list.appendChild(row);
+        });
+    }
+
+    removeBinding(action, key, label) {
+        const map = this.getActionMap();
+        if (!map || !ActionMap.isKeyboardKey(key)) return;
+        if (this.getKeyboardBindings(action).length <= 1) {
+            this.setStatus(`${label || action} needs at least one key.`);
+            return;
+        }
+        map.removeBinding(action, key);
+        this.saveBindings();
+        this.setStatus(`Removed ${ActionMap.formatKey(key)} from ${label || action}.`);
+        this.render();
+    }
+
+    beginCapture(action) {
+        this.cancelCapture();
+        this.capture = { action, pendingKey: null, conflict: null };
+        window.addEventListener('keydown', this.onCaptureKey, true);
+        this.setStatus(`Press a key for ${this.getLabel(action)} (Esc to cancel).`);
+        this.render();
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        window.removeEventListener('keydown', this.onCaptureKey, true);
+        this.capture = null;
+    }
+
+    /**
+     * Capture-phase keydown: keeps the key away from InputManager and menus.
+     */
+    handleCaptureKey(e) {
+        if (!this.capture) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.repeat) return;
+
+        const key = ActionMap.normalizeKey(e.key);
+        const { action } = this.capture;
+        if (!key) return;
+        // Escape is reserved for cancelling (it stays bound to pause/cancel)
+        if (key === 'escape') {
+            this.cancelCapture();
+            this.setStatus('Rebind cancelled.');
+            this.render();
+            return;
+        }
+
+        const map = this.getActionMap();
+        const candidates = map.actions().filter(a => !this.menuActions.includes(a));
+        const conflict = map.findConflict(action, key, candidates);
+        if (conflict && this.capture.pendingKey !== key) {
+            // Ask for confirmation: pressing the same key again reassigns it
+            this.capture.pendingKey = key;
+            this.capture.conflict = conflict;
+            this.setStatus(`${ActionMap.formatKey(key)} is already used by ${this.getLabel(conflict)} — press it again to reassign, or Esc to cancel.`);
+            return;
+        }
+
+        let other = conflict;
+        while (other) {
+            map.removeBinding(other, key);
+            other = map.findConflict(action, key, candidates);
+        }
+        map.addBinding(action, key);
+        this.saveBindings();
+        this.cancelCapture();
+        const moved = conflict ? ` (removed from ${this.getLabel(conflict)})` : '';
+        this.setStatus(`${this.getLabel(action)} bound to ${ActionMap.formatKey(key)}${moved}.`);
+        this.render();
+    }
+
+    getLabel(action) {
+        return this.rebindable.find(entry => entry.action === action)?.label || action;
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+}
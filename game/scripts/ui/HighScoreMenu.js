@@ -0,0 +1,151 @@
+/**
+ * HighScoreMenu - high score screen (one board per campaign level) and the
+ * initials entry shown on the game over / level complete screen when a run places.
+ * Board data lives in HighScoreBoard (local) and LeaderboardService (shared
+ * server board, preferred when reachable); this only handles the DOM.
+ */
+class HighScoreMenu {
+    constructor(game, { board = null, leaderboard = null } = {}) {
+        this.game = game;
+        this.board = board;
+        this.leaderboard = leaderboard;
+        this.requestId = 0;
+        this.levelIndex = 0;
+        this.placed = null; // { levelId, rank, entry } for the initials entry
+        this.refs = {};
+    }
+
+    bindDom() {
+        const byId = (id) => document.getElementById(id);
+        this.refs = {
+            levelName: byId('highScoreLevelName'),
+            table: byId('highScoreTable'),
+            source: byId('highScoreSource'),
+            entry: byId('highScoreEntry'),
+            rankText: byId('highScoreRankText'),
+            initials: byId('highScoreInitials')
+        };
+        byId('highScorePrevLevel')?.addEventListener('click', () => this.showLevel(this.levelIndex - 1));
+        byId('highScoreNextLevel')?.addEventListener('click', () => this.showLevel(this.levelIndex + 1));
+        byId('highScoreSaveButton')?.addEventListener('click', () => this.saveInitials());
+        this.refs.initials?.addEventListener('keydown', (e) => {
+            // Keep typing out of the game/menu key handlers
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveInitials();
+            }
+        });
+    }
+
+    getLevelIds() {
+        const campaignIds = this.game.campaign?.getLevels?.().map(entry => entry.id) || [];
+        return campaignIds.length ? campaignIds : [this.game.currentLevelId || 'testRoom'];
+    }
+
+    /**
+     * Open the board on a level (defaults to the current one).
+     */
+    open(levelId = this.game.currentLevelId) {
+        const index = this.getLevelIds().indexOf(levelId);
+        this.showLevel(index === -1 ? 0 : index);
+    }
+
+    showLevel(index) {
+        const ids = this.getLevelIds();
+        this.levelIndex = (index + ids.length) % ids.length;
+        const levelId = ids[this.levelIndex];
+        if (this.refs.levelName) {
+            this.refs.levelName.textContent = this.game.campaign?.getLevelName?.(levelId) || levelId;
+        }
+        this.renderLocal(levelId);
+        this.loadShared(levelId);
+    }
+
+    renderLocal(levelId, note = '') {
+        this.renderTable(levelId, this.board?.getScores?.(levelId) || []);
+        this.setSource(`Scores on this computer${note}`);
+    }
+
+    /**
+     * Swap in the shared board when the server answers; keep the local one otherwise.
+     */
+    loadShared(levelId) {
+        if (!this.leaderboard?.isAvailable?.()) return;
+        const requestId = ++this.requestId;
+        this.setSource('Loading shared leaderboard...');
+        this.leaderboard.fetchScores(levelId, { page: 1, pageSize: 10 })
+            .then((page) => {
+                if (requestId !== this.requestId) return;
+                this.renderTable(levelId, page.scores || []);
+                this.setSource(`Shared leaderboard (${page.total} runs)`);
+            })
+            .catch(() => {
+                if (requestId !== this.requestId) return;
+                this.renderLocal(levelId, ' (shared leaderboard unavailable)');
+            });
+    }
+
+    setSource(text) {
+        if (this.refs.source) this.refs.source.textContent = text;
+    }
+
+    renderTable(levelId, scores = []) {
+        const table = this.refs.table;
+        if (!table) return;
+        const format = (ms) => this.game.uiManager?.formatPlaytime?.(ms) ?? `${Math.round(ms / 1000)}s`;
+        const highlight = this.placed?.levelId === levelId ? this.placed.entry.id : null;
+        const rows = scores.map((entry, i) => `
+            <tr class="${entry.id === highlight ? 'high-score-table__row--new' : ''}">
+                <td>${i + 1}</td>
+                <td>${entry.initials}</td>
+                <td>${entry.score}</td>
+                <td>${entry.coins}</td>
+                <td>${format(entry.time)}</td>
+                <td>${entry.enemies}</td>
+            </tr>`).join('');
+        table.innerHTML = `
+            <thead><tr><th>#</th><th>Name</th><th>Score</th><th>Coins</th><th>Time</th><th>Enemies</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="6">No scores yet. Finish a run to get on the board!</td></tr>'}</tbody>`;
+    }
+
+    /**
+     * Show (or hide, with null) the initials entry for a run that just placed.
+     * @param {{levelId:string, rank:number, entry:Object}|null} placed
+     */
+    showEntry(placed) {
+        this.placed = placed || null;
+        const { entry, rankText, initials } = this.refs;
+        if (!entry) return;
+        if (!placed) {
+            entry.classList.add('hidden');
+            return;
+        }
+        const name = this.game.campaign?.getLevelName?.(placed.levelId) || placed.levelId;
+        if (rankText) {
+            rankText.textContent = `New high score! #${placed.rank + 1} on ${name}. Enter your initials:`;
+        }
+        if (initials) {
+            initials.value = placed.entry.initials;
+        }
+        entry.classList.remove('hidden');
+    }
+
+    saveInitials() {
+        if (!this.placed || !this.board) return null;
+        const updated = this.board.setInitials(this.placed.levelId, this.placed.entry.id, this.refs.initials?.value);
+        if (!updated) return null;
+        this.placed.entry = updated;
+        if (this.refs.initials) this.refs.initials.value = updated.initials;
+        if (this.refs.rankText) {
+            this.refs.rankText.textContent = `Saved as ${updated.initials} (#${this.placed.rank + 1}).`;
+        }
+        this.refs.initials?.blur?.();
+        this.game.stateManager?.submitOnlineScore?.(updated.initials)?.then((shared) => {
+            if (shared?.rank && this.refs.rankText) {
+                this.refs.rankText.textContent += ` Shared leaderboard: #${shared.rank}.`;
+            }
+        });
+        return updated;
+    }
+}
@@ -26,6 +26,7 @@ class JournalUI {
      * Cache DOM references for the inventory journal panel
      */
     cacheInventoryRefs() {
+        if (typeof document === 'undefined') return; // headless
         this.journalList = document.getElementById('inventoryJournals');
         this.journalEmpty = document.getElementById('journalEmptyState');
     }
@@ -34,6 +35,7 @@ class JournalUI {
      * Build the journal modal DOM container
      */
     buildJournalModal() {
+        if (typeof document === 'undefined') return;
         const container = document.getElementById('gameContainer');
         if (!container) return;
 
@@ -134,6 +136,7 @@ class JournalUI {
      */
     showJournalCallout(journal) {
         // Reuse the badge callout system if available
+        if (typeof document === 'undefined') return;
         const callout = document.getElementById('badgeCallout');
         if (!callout) return;
 
@@ -184,6 +187,7 @@ class JournalUI {
      * Render journal entries into the inventory list
      */
     renderInventory() {
+        if (typeof document === 'undefined') return; // headless
         if (!this.journalList) {
             this.cacheInventoryRefs();
         }
@@ -0,0 +1,56 @@
+/**
+ * PasswordMenu - start-menu screen for jumping to a level by password.
+ * Parsing/validation lives in LevelPasswords; this only handles the DOM.
+ */
+class PasswordMenu {
+    constructor(game, { passwords = null } = {}) {
+        this.game = game;
+        this.passwords = passwords;
+        this.input = null;
+        this.status = null;
+    }
+
+    bindDom() {
+        this.input = document.getElementById('passwordInput');
+        this.status = document.getElementById('passwordStatus');
+        document.getElementById('passwordSubmitButton')?.addEventListener('click', () => this.submit());
+        this.input?.addEventListener('keydown', (e) => {
+            // Keep typing out of the game/menu key handlers
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+        this.input?.addEventListener('input', () => this.setStatus('', false));
+    }
+
+    open() {
+        if (this.input) {
+            this.input.value = '';
+            setTimeout(() => this.input?.focus(), 0);
+        }
+        this.setStatus('Passwords look like ABCD, or ABCD-EFGHJK when they carry coins and health.', false);
+    }
+
+    submit() {
+        const result = this.passwords?.parse?.(this.input?.value ?? '');
+        if (!result) return false;
+        if (!result.ok) {
+            this.setStatus(result.error, true);
+            this.input?.select?.();
+            return false;
+        }
+        const name = this.game.campaign?.getLevelName?.(result.levelId) || result.levelId;
+        this.setStatus(`Password accepted! Heading to ${name}...`, false);
+        this.input?.blur?.();
+        this.game.campaign?.startFromPassword?.(result);
+        return true;
+    }
+
+    setStatus(text, isError) {
+        if (!this.status) return;
+        this.status.textContent = text;
+        this.status.classList.toggle('password-status--error', !!isError);
+    }
+}
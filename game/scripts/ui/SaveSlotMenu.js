@@ -0,0 +1,144 @@
+/**
+ * SaveSlotMenu - per-slot actions on the load menu (rename, duplicate,
+ * delete with confirm, export to a file) and importing a slot from a file.
+ * Slot data changes go through SaveService; UIManager renders the list.
+ */
+class SaveSlotMenu {
+    constructor(game, { save = null, uiManager = null } = {}) {
+        this.game = game;
+        this.save = save;
+        this.uiManager = uiManager;
+        this.refs = {};
+    }
+
+    bindDom() {
+        const byId = (id) => document.getElementById(id);
+        this.refs = {
+            status: byId('saveSlotStatus'),
+            importFile: byId('saveImportFile')
+        };
+        byId('saveImportButton')?.addEventListener('click', () => this.refs.importFile?.click());
+        this.refs.importFile?.addEventListener('change', () => {
+            const file = this.refs.importFile.files?.[0];
+            // Clear so picking the same file again still fires change
+            this.refs.importFile.value = '';
+            if (file) this.importFile(file);
+        });
+    }
+
+    /**
+     * Wire the action buttons of one rendered slot row.
+     */
+    bindSlot(el, slot) {
+        el.querySelector('.rename-slot')?.addEventListener('click', () => this.startRename(el, slot));
+        el.querySelector('.duplicate-slot')?.addEventListener('click', () => this.duplicate(slot));
+        el.querySelector('.export-slot')?.addEventListener('click', () => this.exportSlot(slot));
+        el.querySelector('.delete-slot')?.addEventListener('click', () => this.confirmDelete(el, slot));
+    }
+
+    startRename(el, slot) {
+        const title = el.querySelector('.save-slot__title');
+        if (!title) return;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'save-slot__rename';
+        input.maxLength = 40;
+        input.value = slot.name || '';
+        title.replaceChildren(input);
+        input.focus();
+        input.select?.();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit && input.value.trim() !== (slot.name || '')) {
+                const renamed = this.save?.renameSlot?.(slot.id, input.value);
+                this.setStatus(renamed ? `Renamed to "${renamed.name}".` : "A save name can't be empty.");
+            }
+            this.uiManager?.renderSaveSlots?.();
+        };
+        input.addEventListener('keydown', (e) => {
+            // Keep typing out of the game/menu key handlers
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    duplicate(slot) {
+        const copy = this.save?.duplicateSlot?.(slot.id);
+        this.setStatus(copy ? `Copied to "${copy.name}".` : "Couldn't copy that save.");
+        this.uiManager?.renderSaveSlots?.();
+        return copy;
+    }
+
+    /**
+     * Swap the row's buttons for a Delete/Keep confirmation.
+     */
+    confirmDelete(el, slot) {
+        const actions = el.querySelector('.save-slot__actions');
+        if (!actions) return;
+        actions.innerHTML = `
+            <span class="save-slot__confirm">Delete this save?</span>
+            <button type="button" class="confirm-delete-slot">Delete</button>
+            <button type="button" class="cancel-delete-slot">Keep</button>
+        `;
+        actions.querySelector('.confirm-delete-slot')?.addEventListener('click', () => {
+            this.save?.deleteSlot?.(slot.id);
+            this.setStatus(`Deleted "${slot.name || 'Save Slot'}".`);
+            this.uiManager?.renderSaveSlots?.();
+        });
+        actions.querySelector('.cancel-delete-slot')?.addEventListener('click', () => {
+            this.uiManager?.renderSaveSlots?.();
+        });
+    }
+
+    /**
+     * Download the slot as `luckie-save-<id>.json`.
+     */
+    exportSlot(slot) {
+        const text = this.save?.exportSlot?.(slot.id);
+        if (!text) {
+            this.setStatus("Couldn't export that save.");
+            return null;
+        }
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `luckie-save-${slot.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.setStatus(`Exported "${slot.name || 'Save Slot'}". Send the file to another tester and they can use Import Save.`);
+        return text;
+    }
+
+    importFile(file) {
+        return file.text()
+            .then(text => this.importText(text))
+            .catch(() => {
+                this.setStatus("Couldn't read that file.");
+                return null;
+            });
+    }
+
+    importText(text) {
+        const res = this.save?.importSlot?.(text) || { ok: false, error: 'Saving is unavailable.' };
+        this.setStatus(res.ok ? `Imported "${res.slot.name || 'Save Slot'}".` : res.error);
+        if (res.ok) {
+            this.uiManager?.renderSaveSlots?.();
+        }
+        return res;
+    }
+
+    setStatus(text) {
+        if (this.refs.status) this.refs.status.textContent = text;
+    }
+}
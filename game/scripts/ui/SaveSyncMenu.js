@@ -0,0 +1,119 @@
+/**
+ * SaveSyncMenu - profile/sync controls on the load menu and the conflict
+ * dialog for slots saved on two devices. Sync rules live in SaveService.
+ */
+class SaveSyncMenu {
+    constructor(game, { save = null, uiManager = null } = {}) {
+        this.game = game;
+        this.save = save;
+        this.uiManager = uiManager;
+        this.conflictSlotId = null;
+        this.refs = {};
+    }
+
+    bindDom() {
+        const byId = (id) => document.getElementById(id);
+        this.refs = {
+            profileInput: byId('saveProfileInput'),
+            status: byId('saveSyncStatus'),
+            dialog: byId('saveConflictDialog'),
+            local: byId('saveConflictLocal'),
+            server: byId('saveConflictServer')
+        };
+        byId('saveProfileButton')?.addEventListener('click', () => this.applyProfile());
+        byId('saveSyncButton')?.addEventListener('click', () => this.sync());
+        byId('saveConflictKeepLocal')?.addEventListener('click', () => this.resolve('local'));
+        byId('saveConflictKeepServer')?.addEventListener('click', () => this.resolve('server'));
+        byId('saveConflictKeepBoth')?.addEventListener('click', () => this.resolve('both'));
+        byId('saveConflictCancel')?.addEventListener('click', () => this.closeConflict());
+        this.refs.profileInput?.addEventListener('keydown', (e) => {
+            // Keep typing out of the game/menu key handlers
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.applyProfile();
+            }
+        });
+    }
+
+    /**
+     * Called when the load menu opens.
+     */
+    open() {
+        if (this.refs.profileInput) {
+            this.refs.profileInput.value = this.save?.getProfileId?.() || '';
+        }
+        this.closeConflict();
+        this.sync();
+    }
+
+    applyProfile() {
+        const profileId = this.save?.setProfileId?.(this.refs.profileInput?.value);
+        if (!profileId) {
+            this.setStatus('Profile ids use letters, digits, - and _.');
+            return;
+        }
+        this.refs.profileInput.value = profileId;
+        this.sync();
+    }
+
+    sync() {
+        if (!this.save?.syncSlots) return Promise.resolve(null);
+        this.setStatus('Syncing saves...');
+        return this.save.syncSlots().then((res) => {
+            if (!res.ok) {
+                this.setStatus('Save server not reachable. Saves are kept on this device.');
+            } else if (res.conflicts) {
+                this.setStatus(`${res.conflicts} save${res.conflicts === 1 ? '' : 's'} changed on another device. Pick a version with Resolve.`);
+            } else {
+                this.setStatus('Saves are in sync.');
+            }
+            this.uiManager?.renderSaveSlots?.();
+            return res;
+        });
+    }
+
+    openConflict(slotId) {
+        const conflict = this.save?.getConflict?.(slotId);
+        if (!conflict || !this.refs.dialog) return;
+        this.conflictSlotId = slotId;
+        this.refs.local.innerHTML = this.describe('This device', this.save.getSlot(slotId) || conflict.local);
+        this.refs.server.innerHTML = this.describe('Other device', conflict.server);
+        this.refs.dialog.classList.remove('hidden');
+    }
+
+    closeConflict() {
+        this.conflictSlotId = null;
+        this.refs.dialog?.classList.add('hidden');
+    }
+
+    resolve(choice) {
+        const slotId = this.conflictSlotId;
+        if (!slotId) return Promise.resolve(null);
+        this.closeConflict();
+        return this.save.resolveConflict(slotId, choice).then((res) => {
+            this.setStatus(res?.ok === false && !res.conflict
+                ? 'Kept your choice on this device; it will upload on the next sync.'
+                : 'Conflict resolved.');
+            this.uiManager?.renderSaveSlots?.();
+            return res;
+        });
+    }
+
+    describe(label, slot = {}) {
+        const playTime = this.uiManager?.formatPlaytime?.(slot.timeElapsed || 0) ?? '';
+        const updated = slot.updatedAt ? new Date(slot.updatedAt).toLocaleString() : 'Unknown';
+        // The server copy is whatever was uploaded for this profile id
+        const escape = (text) => this.uiManager?.escapeHtml?.(text) ?? '';
+        return `
+            <div class="save-slot__title">${label}</div>
+            <div class="save-slot__subtitle">${escape(slot.name || 'Save Slot')} • Level: ${escape(slot.levelId || 'Unknown')}</div>
+            <div class="save-slot__stats">Saved ${updated}</div>
+            <div class="save-slot__stats">Playtime: ${playTime} • Coins: ${escape(slot.collectibles?.coins ?? 0)}</div>
+        `;
+    }
+
+    setStatus(text) {
+        if (this.refs.status) this.refs.status.textContent = text;
+    }
+}
@@ -61,7 +61,7 @@ class SignUI {
     }
 
     ensureSignCallout() {
-        if (this.signCallout) return;
+        if (this.signCallout || typeof document === 'undefined') return;
         const gameContainer = document.getElementById('gameContainer');
         if (gameContainer) {
             const bubble = document.createElement('div');
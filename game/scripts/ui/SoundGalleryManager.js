@@ -436,10 +436,11 @@ class SoundGalleryManager {
     }
 
     nextTrack() {
+        const rng = RandomService.for(this.game, 'cosmetic');
         console.log('Next track clicked');
         let newIndex;
         if (this.shuffle) {
-            newIndex = Math.floor(Math.random() * this.tracks.length);
+            newIndex = Math.floor(rng.next() * this.tracks.length);
         } else {
             newIndex = (this.currentTrackIndex + 1) % this.tracks.length;
         }
@@ -0,0 +1,167 @@
+/**
+ * TouchControls - on-screen joystick and buttons for touch screens.
+ *
+ * Each control holds a virtual `touch:<name>` key on InputManager, which the
+ * ControlsConfig bindings map to actions (jump, interact...), so gameplay and
+ * replays see touch input exactly like keyboard input. Tapping the canvas
+ * throws toward the tapped point. The overlay shows itself on the first touch
+ * and hides again when a mouse is used.
+ */
+class TouchControls {
+    constructor(game, { input = null } = {}) {
+        this.game = game;
+        this.input = input;
+        // Layout and tuning live in ControlsConfig.touch (enabled: auto | always | never)
+        const touch = game.config?.controls?.touch
+            || (typeof ControlsConfig !== 'undefined' ? ControlsConfig.touch : null)
+            || {};
+        this.config = { ...touch, buttons: touch.buttons || [] };
+        this.root = null;
+        this.stick = null;
+        this.knob = null;
+        this.stickPointer = null;
+        this.visible = false;
+    }
+
+    mount() {
+        const container = document.getElementById('gameContainer');
+        if (!container || this.root || this.config.enabled === 'never') return;
+
+        const root = document.createElement('div');
+        root.id = 'touchControls';
+        root.className = 'touch-controls hidden';
+
+        const stick = document.createElement('div');
+        stick.className = 'touch-stick';
+        const knob = document.createElement('div');
+        knob.className = 'touch-stick__knob';
+        stick.appendChild(knob);
+        root.appendChild(stick);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'touch-buttons';
+        this.config.buttons.forEach(({ id, label }) => {
+            buttons.appendChild(this.createButton(id, label));
+        });
+        root.appendChild(buttons);
+
+        const pause = this.createButton('pause', 'II');
+        pause.classList.add('touch-button--pause');
+        root.appendChild(pause);
+
+        container.appendChild(root);
+        this.root = root;
+        this.stick = stick;
+        this.knob = knob;
+        this.bindStick();
+        this.bindCanvasAim();
+
+        // Show for touch, hide for mouse; start from the primary pointer type
+        window.addEventListener('pointerdown', (e) => {
+            if (this.config.enabled !== 'auto') return;
+            if (e.pointerType === 'touch') this.setVisible(true);
+            else if (e.pointerType === 'mouse') this.setVisible(false);
+        }, true);
+        const coarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        this.setVisible(this.config.enabled === 'always' || coarse);
+    }
+
+    createButton(id, label) {
+        const btn = document.createElement('div');
+        btn.className = `touch-button touch-button--${id}`;
+        btn.textContent = label;
+        const key = `touch:${id}`;
+        const release = (e) => {
+            e.preventDefault();
+            btn.classList.remove('is-active');
+            this.input?.setVirtualKey?.(key, false);
+        };
+        btn.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            btn.setPointerCapture?.(e.pointerId);
+            btn.classList.add('is-active');
+            this.input?.setVirtualKey?.(key, true);
+        });
+        btn.addEventListener('pointerup', release);
+        btn.addEventListener('pointercancel', release);
+        return btn;
+    }
+
+    /**
+     * Virtual joystick: the knob follows the finger and drives left/right/down.
+     */
+    bindStick() {
+        const stick = this.stick;
+        const move = (e) => {
+            if (e.pointerId !== this.stickPointer) return;
+            e.preventDefault();
+            const rect = stick.getBoundingClientRect();
+            const radius = this.config.joystickRadius;
+            let dx = e.clientX - (rect.left + rect.width / 2);
+            let dy = e.clientY - (rect.top + rect.height / 2);
+            const dist = Math.hypot(dx, dy);
+            if (dist > radius) {
+                dx = (dx / dist) * radius;
+                dy = (dy / dist) * radius;
+            }
+            this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+            const nx = dx / radius;
+            const ny = dy / radius;
+            const dz = this.config.deadzone;
+            this.input?.setVirtualKey?.('touch:left', nx < -dz);
+            this.input?.setVirtualKey?.('touch:right', nx > dz);
+            this.input?.setVirtualKey?.('touch:down', ny > dz);
+        };
+        const end = (e) => {
+            if (e.pointerId !== this.stickPointer) return;
+            this.stickPointer = null;
+            this.resetStick();
+        };
+        stick.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.stickPointer = e.pointerId;
+            stick.setPointerCapture?.(e.pointerId);
+            move(e);
+        });
+        stick.addEventListener('pointermove', move);
+        stick.addEventListener('pointerup', end);
+        stick.addEventListener('pointercancel', end);
+    }
+
+    resetStick() {
+        if (this.knob) this.knob.style.transform = '';
+        ['touch:left', 'touch:right', 'touch:down'].forEach(k => this.input?.setVirtualKey?.(k, false));
+    }
+
+    /**
+     * Tap on the playfield to throw at that spot. Taps are converted to canvas
+     * pixels (the container is CSS-scaled) and the player maps them through
+     * the camera like a mouse click.
+     */
+    bindCanvasAim() {
+        const canvas = document.getElementById('gameCanvas');
+        if (!canvas) return;
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            e.preventDefault(); // no emulated mousedown (would throw twice)
+            const rect = canvas.getBoundingClientRect();
+            if (!rect.width || !rect.height) return;
+            const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+            const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+            this.input?.aimAt?.(x, y);
+        });
+    }
+
+    setVisible(visible) {
+        if (!this.root || this.visible === visible) return;
+        this.visible = visible;
+        this.root.classList.toggle('hidden', !visible);
+        document.body.classList.toggle('touch-mode', visible);
+        if (!visible) {
+            this.stickPointer = null;
+            this.resetStick();
+            this.root.querySelectorAll('.touch-button.is-active').forEach(btn => btn.classList.remove('is-active'));
+            this.input?.releaseVirtualKeys?.('touch:');
+        }
+    }
+}
@@ -7,6 +7,13 @@ class UIInputController {
         this.game = game;
         this.uiManager = uiManager;
         this.controls = game.config?.controls || {};
+        this.menuPollHandle = null;
+        this.controlsMenu = null;
+        this.passwordMenu = null;
+        this.highScoreMenu = null;
+        this.saveSyncMenu = null;
+        this.saveSlotMenu = null;
+        this.touchControls = null;
     }
 
     bindDom() {
@@ -18,10 +25,37 @@ class UIInputController {
             g.ensureTitleMusicPlaying();
             sm.startGame();
         });
+        this.saveSyncMenu = new SaveSyncMenu(g, { save: g.services?.save, uiManager: this.uiManager });
+        this.saveSyncMenu.bindDom();
+        this.saveSlotMenu = new SaveSlotMenu(g, { save: g.services?.save, uiManager: this.uiManager });
+        this.saveSlotMenu.bindDom();
         document.getElementById('loadButton')?.addEventListener('click', () => {
             g.ensureTitleMusicPlaying();
             this.uiManager.renderSaveSlots();
             sm.showMenu('loadMenu');
+            this.saveSyncMenu.open();
+        });
+        this.passwordMenu = new PasswordMenu(g, { passwords: g.passwords });
+        this.passwordMenu.bindDom();
+        document.getElementById('passwordButton')?.addEventListener('click', () => {
+            g.ensureTitleMusicPlaying();
+            sm.showMenu('passwordMenu');
+            this.passwordMenu.open();
+        });
+        document.getElementById('passwordBackButton')?.addEventListener('click', () => {
+            g.ensureTitleMusicPlaying();
+            sm.showMenu('startMenu');
+        });
+        this.highScoreMenu = new HighScoreMenu(g, { board: g.highScores, leaderboard: g.leaderboard });
+        this.highScoreMenu.bindDom();
+        document.getElementById('highScoresButton')?.addEventListener('click', () => {
+            g.ensureTitleMusicPlaying();
+            this.highScoreMenu.open();
+            sm.showMenu('highScoreMenu');
+        });
+        document.getElementById('highScoreBackButton')?.addEventListener('click', () => {
+            g.ensureTitleMusicPlaying();
+            sm.showMenu('startMenu');
         });
         document.getElementById('instructionsButton')?.addEventListener('click', () => {
             g.ensureTitleMusicPlaying();
@@ -36,7 +70,10 @@ class UIInputController {
             sm.showMenu('startMenu');
         });
 
-        // Game over buttons
+        // Game over / level complete buttons
+        document.getElementById('nextLevelButton')?.addEventListener('click', () => {
+            sm.advanceToNextLevel();
+        });
         document.getElementById('restartButton')?.addEventListener('click', () => {
             sm.restartGame();
         });
@@ -52,11 +89,29 @@ class UIInputController {
             g.saveProgress?.('slot1', 'Pause Save');
             this.uiManager.renderSaveSlots();
             sm.showMenu('loadMenu');
+            this.saveSyncMenu.open();
         });
         document.getElementById('pauseMainMenuButton')?.addEventListener('click', () => {
             sm.returnToMenu();
         });
 
+        // Controls (rebinding) menu
+        this.controlsMenu = new ControlsMenu(g, { input: g.services?.input || g.input, save: g.services?.save });
+        this.controlsMenu.loadBindings();
+        this.controlsMenu.bindDom();
+        document.getElementById('pauseControlsButton')?.addEventListener('click', () => {
+            this.controlsMenu.open();
+            sm.showMenu('controlsMenu');
+        });
+        document.getElementById('controlsBackButton')?.addEventListener('click', () => {
+            this.controlsMenu.close();
+            sm.showMenu('pauseMenu');
+        });
+
+        // On-screen touch controls
+        this.touchControls = new TouchControls(g, { input: g.services?.input || g.input });
+        this.touchControls.mount();
+
         // Audio controls
         document.getElementById('muteButton')?.addEventListener('click', () => {
             g.toggleMute();
@@ -78,6 +133,103 @@ class UIInputController {
                 g.playButtonSound();
             }
         });
+
+        // Gamepad menu navigation runs outside the game loop
+        window.addEventListener('gamepadconnected', () => this.startGamepadMenuPolling());
+        if (g.input?.getActiveGamepad?.()) {
+            this.startGamepadMenuPolling();
+        }
+    }
+
+    /**
+     * Poll the gamepad while menus are up (the game loop is stopped there).
+     * During play, GameSystems polls input each tick and update() handles it.
+     */
+    startGamepadMenuPolling() {
+        if (this.menuPollHandle) return;
+        const poll = () => {
+            this.menuPollHandle = null;
+            const input = this.game.services?.input || this.game.input;
+            const sm = this.game.stateManager;
+            if (!input) return;
+            if (!sm?.isPlaying()) {
+                input.update();
+                if (!sm?.isBattle?.() && !sm?.isCutscene?.()) {
+                    this.handleMenuGamepad(input);
+                }
+            }
+            if (input.isGamepadConnected?.()) {
+                this.menuPollHandle = requestAnimationFrame(poll);
+            }
+        };
+        this.menuPollHandle = requestAnimationFrame(poll);
+    }
+
+    /**
+     * D-pad/stick focus movement and A/B/Start for DOM menus.
+     */
+    handleMenuGamepad(input) {
+        const actions = ['pause', 'menuUp', 'menuDown', 'menuLeft', 'menuRight', 'menuConfirm', 'menuBack'];
+        const pressed = new Set(actions.filter(action => input.consumeAction?.(action)));
+        // Drain every remaining pad press so menu presses never leak into gameplay
+        const consume = (k) => input.consume?.(k) || input.consumeKeyPress?.(k) || false;
+        Object.keys(this.controls.gamepad?.buttons || {}).forEach(button => consume(`pad:${button}`));
+        const sm = this.game.stateManager;
+        const onPauseMenu = !document.getElementById('pauseMenu')?.classList.contains('hidden');
+
+        if ((pressed.has('pause') || pressed.has('menuBack')) && sm.isPaused() && onPauseMenu) {
+            sm.resumeGame();
+            return;
+        }
+
+        const buttons = this.getVisibleMenuButtons();
+        if (!buttons.length) return;
+        const current = buttons.indexOf(document.activeElement);
+
+        const prev = pressed.has('menuUp') || pressed.has('menuLeft');
+        const next = pressed.has('menuDown') || pressed.has('menuRight');
+        if (prev || next) {
+            let index = current === -1 ? (next ? 0 : buttons.length - 1) : current + (next ? 1 : -1);
+            if (index < 0) index = buttons.length - 1;
+            if (index >= buttons.length) index = 0;
+            buttons[index].focus();
+        }
+        if (pressed.has('menuConfirm')) {
+            (current === -1 ? buttons[0] : buttons[current]).click();
+        } else if (pressed.has('menuBack')) {
+            buttons.find(btn => /back/i.test(btn.id))?.click();
+        }
+    }
+
+    getVisibleMenuButtons() {
+        return Array.from(document.querySelectorAll('.menu:not(.hidden) button'))
+            .filter(btn => !btn.disabled && btn.offsetParent !== null);
+    }
+
+    /**
+     * D-pad navigation for in-game list overlays (shop/inventory). Nav presses
+     * are always drained so stale presses never carry into the next overlay.
+     */
+    handleGamepadNavigation(input) {
+        const consume = (action) => input.consumeAction?.(action) || false;
+        const up = consume('menuUp');
+        const down = consume('menuDown');
+        consume('menuLeft');
+        consume('menuRight');
+        const confirm = consume('menuConfirm');
+        const back = consume('menuBack');
+
+        const ui = this.uiManager;
+        if (!ui.isOverlayBlocking()) return;
+        if (up !== down) {
+            ui.navigateOverlayList(down ? 1 : -1);
+        }
+        if (confirm && document.activeElement?.closest?.('.shop-item, .inventory-item')) {
+            document.activeElement.click();
+        }
+        if (back) {
+            ui.closeOverlayList();
+        }
     }
 
     /**
@@ -86,31 +238,45 @@ class UIInputController {
     update() {
         const input = this.game.services?.input || this.game.input;
         if (!input) return;
-        const matches = (actionKeys, fallbacks) => {
-            const list = actionKeys && actionKeys.length ? actionKeys : fallbacks;
-            return list?.some(k => input.consume?.(k) || input.consumeKeyPress?.(k));
-        };
-        const controls = this.controls;
+        const matches = (action) => input.consumeAction?.(action) || false;
         const sm = this.game.stateManager;
 
-        const debugKeys = (controls.toggleDebug && controls.toggleDebug.length) ? controls.toggleDebug : ['/'];
-        if (matches(debugKeys, ['/'])) {
+        this.handleGamepadNavigation(input);
+
+        if (matches('toggleDebug')) {
             this.game.debug = !this.game.debug;
             return;
         }
-        if (matches(controls.toggleTest, ['F2'])) {
+        if (matches('toggleTest')) {
             this.game.toggleTestMode();
             return;
         }
-        if (matches(controls.toggleMute, ['m', 'M'])) {
+        if (matches('toggleMute')) {
             this.game.toggleMute();
             return;
         }
-        if (matches(controls.toggleInventory, ['i', 'I'])) {
+        if (matches('inventory')) {
             this.uiManager.toggleInventoryOverlay();
             return;
         }
-        if (matches(controls.pause, ['Escape', 'p', 'P'])) {
+        const replay = this.game.services?.replay;
+        if (replay && matches('toggleReplayRecord')) {
+            if (replay.isRecording()) {
+                replay.stopRecording();
+            } else if (!replay.isPlaying()) {
+                replay.startRecording();
+            }
+            return;
+        }
+        if (replay && matches('playReplay')) {
+            if (replay.isPlaying()) {
+                replay.stopPlayback();
+            } else {
+                replay.play();
+            }
+            return;
+        }
+        if (matches('pause')) {
             if (sm.isPlaying()) {
                 sm.pauseGame();
             } else if (sm.isPaused()) {
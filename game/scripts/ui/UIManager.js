@@ -30,7 +30,9 @@ class UIManager {
             panel: null,
             toggle: null,
             close: null,
-            content: null
+            content: null,
+            physicsFields: null,
+            physicsDefaults: null
         };
         this.townUI = {
             banner: null,
@@ -72,33 +74,83 @@ class UIManager {
         slots.forEach(slot => {
             const btn = document.createElement('div');
             btn.className = 'save-slot';
-            const levelLabel = slot.levelId ? `Level: ${slot.levelId}` : 'Level: Unknown';
+            const check = save?.inspectSlot?.(slot) || { ok: true };
+            if (!check.ok) {
+                this.renderCorruptSaveSlot(btn, slot, check.error);
+                list.appendChild(btn);
+                return;
+            }
+            const levelLabel = slot.levelId ? `Level: ${this.escapeHtml(slot.levelId)}` : 'Level: Unknown';
             const playTime = this.formatPlaytime(slot.timeElapsed || 0);
             const collectibles = slot.collectibles || {};
-            const collectibleText = `Coins: ${collectibles.coins ?? 0} • Badges: ${collectibles.badges ?? 0}`;
+            const collectibleText = `Coins: ${this.escapeHtml(collectibles.coins ?? 0)} • Badges: ${this.escapeHtml(collectibles.badges ?? 0)}`;
             const updated = slot.updatedAt ? new Date(slot.updatedAt).toLocaleString() : 'Unknown';
+            const syncStatus = save?.getSyncStatus?.(slot) || 'local';
+            const syncLabels = { synced: 'Synced', pending: 'Not synced yet', conflict: 'Changed on another device' };
+            const syncText = syncLabels[syncStatus]
+                ? ` • <span class="save-slot__sync save-slot__sync--${syncStatus}">${syncLabels[syncStatus]}</span>`
+                : '';
+            // Thumbnails come from ProgressManager.captureThumbnail (or an imported file)
+            const thumbnail = typeof slot.thumbnail === 'string' && slot.thumbnail.startsWith('data:image/')
+                ? `<img class="save-slot__thumb" src="${this.escapeHtml(slot.thumbnail)}" alt="">`
+                : '<div class="save-slot__thumb save-slot__thumb--empty"></div>';
             btn.innerHTML = `
+                ${thumbnail}
                 <div class="save-slot__meta">
-                    <div class="save-slot__title">${slot.name || 'Save Slot'}</div>
-                    <div class="save-slot__subtitle">${levelLabel} • Updated ${updated}</div>
+                    <div class="save-slot__title">${this.escapeHtml(slot.name || 'Save Slot')}</div>
+                    <div class="save-slot__subtitle">${levelLabel} • Updated ${updated}${syncText}</div>
                     <div class="save-slot__stats">Playtime: ${playTime} • ${collectibleText}</div>
                 </div>
                 <div class="save-slot__actions">
-                    <button type="button" class="load-slot" data-slot="${slot.id}">Load</button>
-                    <button type="button" class="delete-slot" data-slot="${slot.id}">Delete</button>
+                    ${syncStatus === 'conflict' ? '<button type="button" class="resolve-slot">Resolve</button>' : ''}
+                    <button type="button" class="load-slot">Load</button>
+                    <button type="button" class="rename-slot">Rename</button>
+                    <button type="button" class="duplicate-slot">Copy</button>
+                    <button type="button" class="export-slot">Export</button>
+                    <button type="button" class="delete-slot">Delete</button>
                 </div>
             `;
+            btn.querySelector('.resolve-slot')?.addEventListener('click', () => {
+                this.inputController?.saveSyncMenu?.openConflict(slot.id);
+            });
             btn.querySelector('.load-slot')?.addEventListener('click', () => {
                 this.game?.loadProgress?.(slot.id);
             });
-            btn.querySelector('.delete-slot')?.addEventListener('click', () => {
-                this.game?.services?.save?.deleteSlot?.(slot.id);
-                this.renderSaveSlots();
-            });
+            this.inputController?.saveSlotMenu?.bindSlot(btn, slot);
             list.appendChild(btn);
         });
     }
 
+    /**
+     * A slot that failed SaveSchema validation: say why and only offer Delete.
+     */
+    renderCorruptSaveSlot(el, slot, error) {
+        el.classList.add('save-slot--corrupt');
+        const updated = slot?.updatedAt ? new Date(slot.updatedAt).toLocaleString() : 'Unknown';
+        el.innerHTML = `
+            <div class="save-slot__meta">
+                <div class="save-slot__title">${this.escapeHtml(slot?.name || 'Save Slot')}</div>
+                <div class="save-slot__subtitle">Updated ${updated}</div>
+                <div class="save-slot__error">This save can't be loaded. ${this.escapeHtml(error)}</div>
+            </div>
+            <div class="save-slot__actions">
+                <button type="button" class="delete-slot">Delete</button>
+            </div>
+        `;
+        this.inputController?.saveSlotMenu?.bindSlot(el, slot || {});
+    }
+
+    /**
+     * Slot names, levels and ids can come from the sync server or imported files, so escape them before innerHTML.
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     formatPlaytime(ms = 0) {
         const totalSeconds = Math.max(0, Math.floor(ms / 1000));
         const hours = Math.floor(totalSeconds / 3600);
@@ -415,23 +467,9 @@ class UIManager {
         const isUp = key === 'ArrowUp' || key === 'w' || key === 'W';
         if (!isDown && !isUp) return;
 
-        const buttons = Array.from(this.inventoryUI.list.querySelectorAll('.inventory-item'));
-        if (!buttons.length) return;
-
-        const activeEl = document.activeElement;
-        let currentIndex = buttons.indexOf(activeEl);
-
-        if (currentIndex === -1) {
-            currentIndex = isDown ? -1 : 0;
+        if (this.moveListFocus(this.inventoryUI.list, '.inventory-item', isDown ? 1 : -1)) {
+            e.preventDefault();
         }
-
-        const delta = isDown ? 1 : -1;
-        let nextIndex = currentIndex + delta;
-        if (nextIndex < 0) nextIndex = buttons.length - 1;
-        if (nextIndex >= buttons.length) nextIndex = 0;
-
-        buttons[nextIndex].focus();
-        e.preventDefault();
     }
 
     /**
@@ -867,23 +905,59 @@ class UIManager {
         const isUp = key === 'ArrowUp' || key === 'w' || key === 'W';
         if (!isDown && !isUp) return;
 
-        const buttons = Array.from(this.shopUI.list.querySelectorAll('.shop-item'));
-        if (!buttons.length) return;
+        if (this.moveListFocus(this.shopUI.list, '.shop-item', isDown ? 1 : -1)) {
+            e.preventDefault();
+        }
+    }
 
-        const activeEl = document.activeElement;
-        let currentIndex = buttons.indexOf(activeEl);
+    /**
+     * Move focus through a list's buttons, wrapping at either end.
+     * @param {HTMLElement} list
+     * @param {string} selector
+     * @param {number} delta - +1 for next, -1 for previous
+     * @returns {boolean} true when focus moved
+     */
+    moveListFocus(list, selector, delta) {
+        if (!list) return false;
+        const buttons = Array.from(list.querySelectorAll(selector));
+        if (!buttons.length) return false;
 
+        let currentIndex = buttons.indexOf(document.activeElement);
         if (currentIndex === -1) {
-            currentIndex = isDown ? -1 : 0;
+            currentIndex = delta > 0 ? -1 : 0;
         }
 
-        const delta = isDown ? 1 : -1;
         let nextIndex = currentIndex + delta;
         if (nextIndex < 0) nextIndex = buttons.length - 1;
         if (nextIndex >= buttons.length) nextIndex = 0;
 
         buttons[nextIndex].focus();
-        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Move focus in whichever list overlay is open (shop first, then inventory).
+     * @param {number} delta
+     */
+    navigateOverlayList(delta) {
+        if (this.shopUI?.isOpen) {
+            return this.moveListFocus(this.shopUI.list, '.shop-item', delta);
+        }
+        if (this.inventoryUI?.isOpen) {
+            return this.moveListFocus(this.inventoryUI.list, '.inventory-item', delta);
+        }
+        return false;
+    }
+
+    /**
+     * Close the open list overlay (gamepad back).
+     */
+    closeOverlayList() {
+        if (this.shopUI?.isOpen) {
+            this.hideShopOverlay();
+        } else if (this.inventoryUI?.isOpen) {
+            this.hideInventoryOverlay();
+        }
     }
 
     /**
@@ -929,17 +1003,12 @@ class UIManager {
     }
 
     /**
-     * Advance or dismiss dialogue when Enter is pressed.
+     * Advance or dismiss dialogue when the advanceDialogue action (Enter) is pressed.
      */
     handleSpeechBubbleInput() {
         if (!this.game.dialogueManager?.isActive()) return;
         const input = this.services?.input || this.game.input;
-        const consumeEnter = () => {
-            if (!input) return false;
-            if (typeof input.consume === 'function') return input.consume('enter') || input.consume('numpadenter');
-            return input.consumeKeyPress?.('enter') || input.consumeKeyPress?.('numpadenter');
-        };
-        if (consumeEnter()) {
+        if (input?.consumeAction?.('advanceDialogue')) {
             this.game.dialogueManager.advance();
         }
     }
@@ -989,6 +1058,12 @@ class UIManager {
                 return;
             }
 
+            const savePoint = this.getNearbySavePoint();
+            if (savePoint) {
+                savePoint.activate(this.game.player);
+                return;
+            }
+
             const chest = this.getNearbyChest();
             if (chest) {
                 chest.open();
@@ -1074,11 +1149,17 @@ class UIManager {
         return this.game.chests.find(chest => chest.isPlayerNearby(this.game.player)) || null;
     }
 
+    getNearbySavePoint() {
+        if (!this.game.player || !this.game.platforms) return null;
+        return this.game.platforms.find(p => p?.type === 'save_point' && p.isPlayerNearby(this.game.player)) || null;
+    }
+
     /**
      * Update UI elements that depend on world state each frame.
      */
     updateFrame(deltaTime) {
         this.updateChests(deltaTime);
+        if (this.game.headless) return; // callouts and the debug overlay are DOM-only
         this.game.signUI.updateSignCallout();
         this.game.signUI.updateSignDialoguePosition();
         this.updateDebugOverlay();
@@ -1156,7 +1237,7 @@ class UIManager {
     }
 
     setupTownUI() {
-        if (this.townUI.banner) return;
+        if (this.townUI.banner || typeof document === 'undefined') return;
         this.townUI.banner = document.getElementById('townBanner');
         this.townUI.text = document.getElementById('townBannerText');
         if (this.townUI.banner) {
@@ -1222,6 +1303,62 @@ class UIManager {
             this.debugUI.close.tabIndex = -1;
             this.debugUI.close.addEventListener('keydown', (e) => e.preventDefault());
         }
+        this.setupPhysicsEditor();
+    }
+
+    /**
+     * Number inputs for GameConfig.player.movement in the debug panel. Edits
+     * apply to the running player at once; Reset restores the loaded values.
+     */
+    setupPhysicsEditor() {
+        const fields = document.getElementById('debugPhysicsFields');
+        const profile = this.config.player?.movement;
+        if (!fields || !profile || this.debugUI.physicsFields) return;
+        this.debugUI.physicsFields = fields;
+        this.debugUI.physicsDefaults = { ...profile };
+
+        const applyProfile = () => this.game.player?.applyPhysicsProfile?.();
+        const inputs = {};
+        Object.keys(profile).forEach(key => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = Math.abs(profile[key]) < 1 ? '0.05' : '10';
+            input.value = profile[key];
+            input.addEventListener('keydown', (e) => {
+                // Keep typing out of the game/menu key handlers
+                e.stopPropagation();
+            });
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) {
+                    input.value = profile[key];
+                    return;
+                }
+                profile[key] = value;
+                applyProfile();
+            });
+            label.append(key, input);
+            fields.appendChild(label);
+            inputs[key] = input;
+        });
+
+        document.getElementById('debugPhysicsReset')?.addEventListener('click', () => {
+            Object.assign(profile, this.debugUI.physicsDefaults);
+            Object.keys(inputs).forEach(key => { inputs[key].value = profile[key]; });
+            applyProfile();
+        });
+        document.getElementById('debugPhysicsCopy')?.addEventListener('click', () => {
+            // Paste into PlayerPhysicsConfig.movement to keep a tuning
+            const output = document.getElementById('debugPhysicsJson');
+            const json = JSON.stringify(profile, null, 4);
+            if (output) {
+                output.value = json;
+                output.classList.remove('hidden');
+                output.select();
+            }
+            navigator.clipboard?.writeText?.(json).catch(() => {});
+        });
     }
 
     updateDebugOverlay(force = false) {
@@ -1246,7 +1383,8 @@ class UIManager {
             `Camera: x=${cam.x.toFixed(1)} y=${cam.y.toFixed(1)}`,
             `Level: ${this.game.currentLevelId || 'unknown'}`,
             `Test mode: ${this.game.testMode ? 'on' : 'off'}`,
-            `FPS target: ${this.game.config?.timing?.fps ?? '--'}`
+            `FPS target: ${this.game.config?.timing?.fps ?? '--'}`,
+            `Replay: ${this.game.services?.replay?.getStatus?.() ?? 'n/a'}`
         ];
         content.textContent = stats.join('\n');
     }
@@ -0,0 +1,132 @@
+/**
+ * ActionMap - maps named input actions (jump, interact, pause...) to keys.
+ *
+ * Bindings are lowercased KeyboardEvent `key`/`code` values (e.g. 'a',
+ * 'arrowleft', 'space', 'shift') or gamepad keys (`pad:<button>`). Defaults
+ * come from ControlsConfig.bindings; player changes are kept as overrides so
+ * only the difference needs to be persisted.
+ */
+class ActionMap {
+    /**
+     * @param {Object<string, string[]>} defaults - action -> keys
+     * @param {Object} [options]
+     * @param {string[][]} [options.sharedGroups] - actions allowed to share keys
+     */
+    constructor(defaults = {}, { sharedGroups = [] } = {}) {
+        this.defaults = ActionMap.cloneBindings(defaults);
+        this.sharedGroups = sharedGroups;
+        this.bindings = ActionMap.cloneBindings(defaults);
+    }
+
+    actions() {
+        return Object.keys(this.bindings);
+    }
+
+    getBindings(action) {
+        return this.bindings[action] || [];
+    }
+
+    setBindings(action, keys = []) {
+        if (!action) return;
+        const normalized = keys.map(ActionMap.normalizeKey).filter(Boolean);
+        this.bindings[action] = Array.from(new Set(normalized));
+    }
+
+    addBinding(action, key) {
+        const normalized = ActionMap.normalizeKey(key);
+        if (!action || !normalized) return;
+        this.setBindings(action, [...this.getBindings(action), normalized]);
+    }
+
+    removeBinding(action, key) {
+        const normalized = ActionMap.normalizeKey(key);
+        this.setBindings(action, this.getBindings(action).filter(k => k !== normalized));
+    }
+
+    /**
+     * Action (other than `action`) that already uses `key`, or null.
+     * Actions in the same shared group (e.g. jump/airJump) never conflict.
+     * @param {string[]} [candidates] - limit the search (e.g. rebindable actions)
+     */
+    findConflict(action, key, candidates = this.actions()) {
+        const normalized = ActionMap.normalizeKey(key);
+        const shared = this.sharedGroups.find(group => group.includes(action)) || [];
+        return candidates.find(other => other !== action
+            && !shared.includes(other)
+            && this.getBindings(other).includes(normalized)) || null;
+    }
+
+    resetDefaults() {
+        this.bindings = ActionMap.cloneBindings(this.defaults);
+    }
+
+    /**
+     * Actions whose bindings differ from the defaults.
+     * @returns {Object<string, string[]>}
+     */
+    getOverrides() {
+        const overrides = {};
+        this.actions().forEach((action) => {
+            const current = this.getBindings(action);
+            const base = this.defaults[action] || [];
+            const same = current.length === base.length && current.every((k, i) => k === base[i]);
+            if (!same) overrides[action] = current.slice();
+        });
+        return overrides;
+    }
+
+    applyOverrides(overrides = {}) {
+        if (!overrides || typeof overrides !== 'object') return;
+        Object.entries(overrides).forEach(([action, keys]) => {
+            if (this.defaults[action] && Array.isArray(keys)) {
+                this.setBindings(action, keys);
+            }
+        });
+    }
+
+    static normalizeKey(key) {
+        if (typeof key !== 'string' || !key.length) return null;
+        if (key === ' ') return 'space';
+        return key.toLowerCase();
+    }
+
+    /**
+     * True for keyboard keys; gamepad (`pad:`) and touch (`touch:`) keys are not.
+     */
+    static isKeyboardKey(key) {
+        return typeof key === 'string' && !key.startsWith('pad:') && !key.startsWith('touch:');
+    }
+
+    /**
+     * Human-readable label for a binding key.
+     */
+    static formatKey(key) {
+        const labels = {
+            space: 'Space',
+            arrowleft: '←',
+            arrowright: '→',
+            arrowup: '↑',
+            arrowdown: '↓',
+            escape: 'Esc',
+            enter: 'Enter',
+            shift: 'Shift',
+            control: 'Ctrl',
+            alt: 'Alt',
+            tab: 'Tab',
+            backspace: 'Backspace'
+        };
+        if (labels[key]) return labels[key];
+        if (key.startsWith('pad:')) return `Pad ${key.slice(4)}`;
+        if (key.startsWith('touch:')) return `Touch ${key.slice(6)}`;
+        if (key.length === 1) return key.toUpperCase();
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    static cloneBindings(map = {}) {
+        const copy = {};
+        Object.entries(map || {}).forEach(([action, keys]) => {
+            copy[action] = (keys || []).map(ActionMap.normalizeKey).filter(Boolean);
+        });
+        return copy;
+    }
+}
@@ -20,6 +20,7 @@ class AudioManager {
      * @param {string} src - Path to audio file
      */
     loadSound(name, src) {
+        if (typeof Audio === 'undefined') return; // headless: stay silent
         const audio = new Audio(src);
         audio.preload = 'auto';
         this.sounds[name] = audio;
@@ -31,6 +32,7 @@ class AudioManager {
      * @param {string} src - Path to audio file
      */
     loadMusic(name, src) {
+        if (typeof Audio === 'undefined') return;
         const audio = new Audio(src);
         audio.preload = 'auto';
         audio.loop = true;
@@ -219,6 +221,13 @@ class AudioManager {
         this.loadSound('enemy_death', 'sfx/slime-defeat.mp3'); // Enemy defeat sound
         this.loadSound('item_pickup', 'sfx/special.mp3'); // Item pickup sound
         this.loadSound('victory', 'sfx/level.mp3'); // Level complete sound
+        this.loadSound('save_point', 'sfx/great.mp3'); // Save point used
+        this.loadSound('checkpoint', 'sfx/buff.mp3'); // Checkpoint reached
+        this.loadSound('respawn', 'sfx/menu-enter.mp3'); // Back at a checkpoint after losing a life
+        this.loadSound('ability_unlock', 'sfx/high-score.mp3'); // Learned a move from an ability pickup
+        this.loadSound('dash', 'sfx/menu-exit.mp3'); // Dash burst
+        this.loadSound('ground_pound', 'sfx/rock.mp3'); // Ground pound impact
+        this.loadSound('platform_break', 'sfx/falling-item.mp3'); // Breakable platform smashed
         this.loadSound('hit', 'sfx/slimy.mp3'); // Hit enemy sound
         this.loadSound('health_pickup', 'sfx/health.mp3'); // Health potion sound
         
@@ -226,6 +235,8 @@ class AudioManager {
         const titleSrc = 'music/titlescreen.mp3?v=1';
         this.loadMusic('title', titleSrc);
         this.loadMusic('level1', 'music/overworld.mp3'); // main level theme
+        this.loadMusic('level2', 'music/level2.mp3'); // Tidepool Trail
+        this.loadMusic('level3', 'music/level3.mp3'); // Cliffside Climb
     }
 
     /**
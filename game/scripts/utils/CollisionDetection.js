@@ -68,6 +68,54 @@ class CollisionDetection {
         return this.rectangleCollision(bounds1, bounds2);
     }
 
+    /**
+     * Swept AABB: when does a box moving by (dx, dy) first touch a static rect?
+     * Boxes that already overlap report time 0 with the normal of the
+     * shallowest penetration axis. Touching edges do not count as a hit.
+     * @param {Object} box - Moving rectangle at its start position {x, y, width, height}
+     * @param {number} dx - Displacement over the step
+     * @param {number} dy
+     * @param {Object} target - Static rectangle
+     * @returns {{time: number, normal: {x: number, y: number}}|null} time in [0, 1)
+     */
+    static sweptAABB(box, dx, dy, target) {
+        if (this.rectangleCollision(box, target)) {
+            const pushLeft = box.x + box.width - target.x;
+            const pushRight = target.x + target.width - box.x;
+            const pushUp = box.y + box.height - target.y;
+            const pushDown = target.y + target.height - box.y;
+            const min = Math.min(pushLeft, pushRight, pushUp, pushDown);
+            let normal;
+            if (min === pushUp) normal = { x: 0, y: -1 };
+            else if (min === pushDown) normal = { x: 0, y: 1 };
+            else if (min === pushLeft) normal = { x: -1, y: 0 };
+            else normal = { x: 1, y: 0 };
+            return { time: 0, normal };
+        }
+
+        const axis = (start, size, delta, targetStart, targetSize) => {
+            if (delta > 0) {
+                return [(targetStart - (start + size)) / delta, (targetStart + targetSize - start) / delta];
+            }
+            if (delta < 0) {
+                return [(targetStart + targetSize - start) / delta, (targetStart - (start + size)) / delta];
+            }
+            // Not moving on this axis: must already overlap on it
+            const overlaps = start < targetStart + targetSize && start + size > targetStart;
+            return overlaps ? [-Infinity, Infinity] : [Infinity, -Infinity];
+        };
+        const [entryX, exitX] = axis(box.x, box.width, dx, target.x, target.width);
+        const [entryY, exitY] = axis(box.y, box.height, dy, target.y, target.height);
+        const entry = Math.max(entryX, entryY);
+        const exit = Math.min(exitX, exitY);
+        if (entry >= exit || entry < 0 || entry >= 1) return null;
+
+        const normal = entryX > entryY
+            ? { x: dx > 0 ? -1 : 1, y: 0 }
+            : { x: 0, y: dy > 0 ? -1 : 1 };
+        return { time: entry, normal };
+    }
+
     /**
      * Check if entity is on ground/platform
      * @param {Entity} entity - Entity to check
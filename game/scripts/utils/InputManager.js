@@ -1,9 +1,24 @@
 /**
- * InputManager - Handles all keyboard and mouse input for the game
+ * InputManager - Handles all keyboard, mouse and gamepad input for the game
  * Provides a clean interface for checking input states
+ *
+ * Gamepad buttons are polled in update() and folded into the same key state
+ * as the keyboard under `pad:<action>` names (e.g. `pad:jump`), so held/press
+ * checks, consumption and replay capture all work the same way. On-screen
+ * touch controls do the same with `touch:<control>` keys (see setVirtualKey).
+ *
+ * Gameplay and UI query named actions (isActionDown/consumeAction) rather than
+ * raw keys; the ActionMap resolves each action to its current bindings.
+ *
+ * Headless runs (no `document`) skip the DOM listeners and drive input through
+ * setVirtualKey/aimAt instead.
  */
 class InputManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.attachDom] - Listen for keyboard/mouse/gamepad DOM events
+     */
+    constructor({ attachDom = typeof document !== 'undefined' } = {}) {
         this.keys = {};
         this.mouse = {
             x: 0,
@@ -13,7 +28,23 @@ class InputManager {
         };
         this.keyPresses = new Set();
 
-        this.init();
+        const controls = (typeof ControlsConfig !== 'undefined') ? ControlsConfig : {};
+        this.actionMap = new ActionMap(controls.bindings || {}, {
+            sharedGroups: controls.sharedBindings || []
+        });
+
+        // Gamepad state (see pollGamepad)
+        this.gamepadConfig = {
+            deadzone: 0.3,
+            aimDeadzone: 0.35,
+            buttons: {},
+            ...((typeof ControlsConfig !== 'undefined' && ControlsConfig.gamepad) || {})
+        };
+        this.padHeld = {};
+        this.gamepadConnected = false;
+        this.analog = { moveX: 0, aimX: 0, aimY: 0 };
+
+        if (attachDom) this.init();
     }
 
     init() {
@@ -59,6 +90,13 @@ class InputManager {
 
         // Prevent context menu on right click
         document.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        window.addEventListener('gamepadconnected', () => {
+            this.gamepadConnected = true;
+        });
+        window.addEventListener('gamepaddisconnected', () => {
+            this.gamepadConnected = !!this.getActiveGamepad();
+        });
     }
 
     // Keyboard input methods
@@ -66,12 +104,36 @@ class InputManager {
         return !!this.keys[key.toLowerCase()];
     }
 
+    // Action queries - resolved through the ActionMap bindings
+    getBindings(action) {
+        return this.actionMap.getBindings(action);
+    }
+
     /**
-     * Consume a single press of the interaction key (Z)
+     * Check if any key bound to an action is held
+     * @param {string} action - e.g. 'jump', 'moveLeft'
+     * @returns {boolean}
+     */
+    isActionDown(action) {
+        return this.getBindings(action).some(k => !!this.keys[k]);
+    }
+
+    /**
+     * Check for a fresh press of an action without consuming it
+     * @param {string} action
+     * @returns {boolean}
+     */
+    hasActionPress(action) {
+        return this.getBindings(action).some(k => this.keyPresses.has(k));
+    }
+
+    /**
+     * Consume a single press of an action (all of its bound keys)
+     * @param {string} [action='action']
      * @returns {boolean} true if a fresh press was detected
      */
-    consumeActionPress() {
-        const keys = ['z', 'keyz'];
+    consumeAction(action = 'action') {
+        const keys = this.getBindings(action);
         const pressed = keys.some(k => this.keyPresses.has(k));
         if (pressed) {
             keys.forEach(k => this.keyPresses.delete(k));
@@ -80,24 +142,27 @@ class InputManager {
     }
 
     /**
-     * Consume a single press of the chest interaction key (E or Enter)
+     * Consume a single press of the interaction key (Z by default)
+     * @returns {boolean} true if a fresh press was detected
+     */
+    consumeActionPress() {
+        return this.consumeAction('action');
+    }
+
+    /**
+     * Consume a single press of the chest interaction key (E or Enter by default)
      * @returns {boolean} true if a fresh press was detected
      */
     consumeInteractPress() {
-        const keys = ['e', 'keye', 'enter', 'numpadenter'];
-        const pressed = keys.some(k => this.keyPresses.has(k));
-        if (pressed) {
-            keys.forEach(k => this.keyPresses.delete(k));
-        }
-        return pressed;
+        return this.consumeAction('interact');
     }
 
     /**
-     * Check if the interaction key (Z) is being held
+     * Check if the interaction key (Z by default) is being held
      * @returns {boolean}
      */
     isActionHeld() {
-        return this.isKeyPressed('z') || this.isKeyPressed('keyz');
+        return this.isActionDown('action');
     }
 
     consumeKeyPress(key) {
@@ -109,38 +174,47 @@ class InputManager {
         return false;
     }
 
-    // Movement controls - WASD + Arrow keys
+    // Movement controls - WASD + Arrow keys + gamepad stick/D-pad by default
     isMovingLeft() {
-        return this.isKeyPressed('a') || this.isKeyPressed('arrowleft');
+        return this.isActionDown('moveLeft');
     }
 
     isMovingRight() {
-        return this.isKeyPressed('d') || this.isKeyPressed('arrowright');
+        return this.isActionDown('moveRight');
     }
     
     isMovingDown() {
-        return this.isKeyPressed('s') || this.isKeyPressed('arrowdown');
+        return this.isActionDown('moveDown');
     }
 
     isJumping() {
-        return this.isKeyPressed('w') || this.isKeyPressed(' ') || this.isKeyPressed('arrowup') || this.isKeyPressed('space');
+        return this.isActionDown('jump');
     }
 
     /**
-     * Specifically check if spacebar is down (used for double-jump timing)
+     * Analog horizontal movement from the left stick (-1..1), 0 when idle
+     * or when only digital input is used.
+     * @returns {number}
+     */
+    getMoveAxis() {
+        return this.analog.moveX;
+    }
+
+    /**
+     * Check the air-jump binding (spacebar by default; used for double-jump timing)
      * @returns {boolean}
      */
     isSpaceJumping() {
-        return this.isKeyPressed(' ') || this.isKeyPressed('space') || this.isKeyPressed('spacebar');
+        return this.isActionDown('airJump');
     }
 
     isDashing() {
-        return this.isKeyPressed('shift') || this.isKeyPressed('shiftleft') || this.isKeyPressed('shiftright');
+        return this.isActionDown('dash');
     }
 
     // UI controls
     isPaused() {
-        return this.isKeyPressed('escape') || this.isKeyPressed('p');
+        return this.isActionDown('pause');
     }
 
     // Mouse controls
@@ -158,9 +232,152 @@ class InputManager {
         return this.mouse.pressed;
     }
 
-    // Reset states (called each frame)
+    /**
+     * Consume a gamepad throw press.
+     * @returns {{x: number, y: number}|null} right-stick aim direction ({0,0} when
+     * the stick is centered) or null when throw was not pressed
+     */
+    consumeAimThrow() {
+        if (!this.consumeAction('throw')) return null;
+        return { x: this.analog.aimX, y: this.analog.aimY };
+    }
+
+    // Virtual keys (on-screen touch controls)
+    /**
+     * Hold or release a virtual key; a fresh hold counts as a one-shot press.
+     * @param {string} key - e.g. 'touch:jump'
+     * @param {boolean} down
+     */
+    setVirtualKey(key, down) {
+        if (down && !this.keys[key]) {
+            this.keyPresses.add(key);
+        }
+        this.keys[key] = !!down;
+    }
+
+    releaseVirtualKeys(prefix = 'touch:') {
+        Object.keys(this.keys).forEach((key) => {
+            if (key.startsWith(prefix)) this.keys[key] = false;
+        });
+    }
+
+    /**
+     * Aim-and-click at a canvas point (tap-to-throw); read by Player like a
+     * mouse click and mapped through the camera there.
+     */
+    aimAt(x, y) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+        this.mouse.clicked = true;
+    }
+
+    // Gamepad polling
+    getActiveGamepad() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return null;
+        const pads = Array.from(navigator.getGamepads() || []);
+        return pads.find(p => p && p.connected) || null;
+    }
+
+    isGamepadConnected() {
+        return this.gamepadConnected;
+    }
+
+    /**
+     * Read the first connected gamepad (standard mapping) into pad:* keys.
+     * Rising edges become one-shot presses just like keydown events.
+     */
+    pollGamepad() {
+        const pad = this.getActiveGamepad();
+        this.gamepadConnected = !!pad;
+        if (!pad && !Object.keys(this.padHeld).length) return;
+
+        const cfg = this.gamepadConfig;
+        const held = {};
+        let moveX = 0;
+        let aimX = 0;
+        let aimY = 0;
+
+        if (pad) {
+            const isDown = (index) => {
+                const button = pad.buttons[index];
+                return !!button && (button.pressed || button.value > 0.5);
+            };
+            Object.entries(cfg.buttons || {}).forEach(([action, indices]) => {
+                if ((indices || []).some(isDown)) held[action] = true;
+            });
+
+            const lx = pad.axes[0] || 0;
+            const ly = pad.axes[1] || 0;
+            if (Math.abs(lx) > cfg.deadzone) {
+                moveX = lx;
+                held[lx < 0 ? 'left' : 'right'] = true;
+            }
+            if (Math.abs(ly) > cfg.deadzone) {
+                held[ly < 0 ? 'up' : 'down'] = true;
+            }
+
+            const rx = pad.axes[2] || 0;
+            const ry = pad.axes[3] || 0;
+            const aimMag = Math.hypot(rx, ry);
+            if (aimMag > cfg.aimDeadzone) {
+                aimX = rx / aimMag;
+                aimY = ry / aimMag;
+            }
+        }
+
+        Object.keys({ ...this.padHeld, ...held }).forEach((action) => {
+            const key = `pad:${action}`;
+            if (held[action] && !this.padHeld[action]) {
+                this.keyPresses.add(key);
+            }
+            this.keys[key] = !!held[action];
+        });
+        this.padHeld = held;
+        this.analog = { moveX, aimX, aimY };
+    }
+
+    /**
+     * Snapshot the raw input state (held keys, unconsumed presses, mouse).
+     * Used by the replay recorder; plain data so it can be serialized.
+     * @returns {{keys: string[], presses: string[], mouse: number[], analog: number[]}}
+     */
+    captureState() {
+        return {
+            keys: Object.keys(this.keys).filter(k => this.keys[k]),
+            presses: Array.from(this.keyPresses),
+            mouse: [this.mouse.x, this.mouse.y, this.mouse.clicked ? 1 : 0, this.mouse.pressed ? 1 : 0],
+            analog: [this.analog.moveX, this.analog.aimX, this.analog.aimY]
+        };
+    }
+
+    /**
+     * Overwrite the live input state with a captured snapshot (replay playback).
+     * @param {{keys: string[], presses: string[], mouse: number[], analog: number[]}} state
+     */
+    applyState(state = {}) {
+        this.keys = {};
+        (state.keys || []).forEach(k => { this.keys[k] = true; });
+        this.keyPresses = new Set(state.presses || []);
+        const [x = 0, y = 0, clicked = 0, pressed = 0] = state.mouse || [];
+        this.mouse.x = x;
+        this.mouse.y = y;
+        this.mouse.clicked = !!clicked;
+        this.mouse.pressed = !!pressed;
+        const [moveX = 0, aimX = 0, aimY = 0] = state.analog || [];
+        this.analog = { moveX, aimX, aimY };
+    }
+
+    /**
+     * Drop all held keys, pending presses and mouse buttons.
+     */
+    clearState() {
+        this.applyState({ mouse: [this.mouse.x, this.mouse.y, 0, 0] });
+    }
+
+    // Poll devices (called each tick)
     update() {
         // Mouse click is reset after being checked
         // Key states persist until keyup
+        this.pollGamepad();
     }
 }
@@ -1,9 +1,16 @@
 const express = require('express');
 const path = require('path');
+const { registerScoreRoutes } = require('./server/scoresApi');
+const { registerSaveRoutes } = require('./server/savesApi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Shared leaderboard API (scores stored in data/scores.json unless SCORES_FILE is set)
+registerScoreRoutes(app, express);
+// Save slot sync per profile (one file per slot under data/saves unless SAVES_DIR is set)
+registerSaveRoutes(app, express);
+
 // Serve static files from the game directory
 app.use(express.static(path.join(__dirname, 'game')));
 
@@ -14,12 +21,26 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    if (req.path.startsWith('/api/')) {
+        // Malformed/oversized JSON bodies come through here with a 4xx status
+        const status = err.status && err.status < 500 ? err.status : 500;
+        if (status === 500) console.error('Error:', err);
+        let message = 'Request body must be valid JSON.';
+        if (status === 500) message = 'Something went wrong!';
+        else if (status === 413 || err.type === 'entity.too.large') message = 'Request body is too large.';
+        res.status(status).json({ error: message });
+        return;
+    }
     console.error('Error:', err);
     res.status(500).send('Something went wrong!');
 });
 
 // 404 handler
 app.use((req, res) => {
+    if (req.path.startsWith('/api/')) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+    }
     res.status(404).send('Page not found');
 });
 
@@ -0,0 +1,73 @@
+/**
+ * JsonFileStore - a single JSON document on disk for the local server.
+ *
+ * Updates are queued so concurrent requests never interleave their
+ * read-modify-write, and each write goes to a temp file that is renamed into
+ * place so a crash can't leave half a file behind.
+ *
+ *   const store = new JsonFileStore('data/scores.json', { levels: {} });
+ *   await store.update(data => { data.levels.testRoom = []; });
+ *   await store.swap(current => ({ next: { ...current, id: 1 }, result: true }));
+ */
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Current document (a fresh copy of the defaults when the file is missing).
+     */
+    async read() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return JSON.parse(JSON.stringify(this.defaults));
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Apply `mutate(data)` and save. Resolves with whatever `mutate` returns.
+     */
+    update(mutate) {
+        return this.swap(async (data) => {
+            const result = await mutate(data);
+            return { next: data, result };
+        });
+    }
+
+    /**
+     * Replace the document: `decide(current)` returns `{ next, result }` and
+     * `next` is written unless it is undefined (leave the file as is).
+     */
+    swap(decide) {
+        const run = this.queue.then(async () => {
+            const current = await this.read();
+            const { next, result } = await decide(current);
+            if (next !== undefined) {
+                await this.write(next);
+            }
+            return result;
+        });
+        // Keep the queue alive after a failed update
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async write(data) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmp = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tmp, this.filePath);
+    }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,57 @@
+/**
+ * RateLimiter - fixed-window request limit per client key (IP by default).
+ *
+ *   const limiter = new RateLimiter({ windowMs: 60000, max: 10 });
+ *   app.post('/api/scores/:levelId', limiter.middleware(), handler);
+ */
+class RateLimiter {
+    constructor({ windowMs = 60000, max = 10 } = {}) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.hits = new Map(); // key -> { count, resetAt }
+    }
+
+    /**
+     * Count a request for `key`.
+     * @returns {{allowed:boolean, remaining:number, retryAfterMs:number}}
+     */
+    hit(key, now = Date.now()) {
+        let bucket = this.hits.get(key);
+        if (!bucket || now >= bucket.resetAt) {
+            bucket = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, bucket);
+            this.prune(now);
+        }
+        bucket.count++;
+        return {
+            allowed: bucket.count <= this.max,
+            remaining: Math.max(0, this.max - bucket.count),
+            retryAfterMs: bucket.resetAt - now
+        };
+    }
+
+    /**
+     * Drop expired windows so the map doesn't grow with every IP ever seen.
+     */
+    prune(now = Date.now()) {
+        this.hits.forEach((bucket, key) => {
+            if (now >= bucket.resetAt) this.hits.delete(key);
+        });
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            const result = this.hit(req.ip || req.socket?.remoteAddress || 'unknown');
+            res.set('X-RateLimit-Limit', String(this.max));
+            res.set('X-RateLimit-Remaining', String(result.remaining));
+            if (!result.allowed) {
+                res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+                res.status(429).json({ error: 'Too many requests. Try again in a little while.' });
+                return;
+            }
+            next();
+        };
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,159 @@
+/**
+ * Save slot sync API. Slots are stored per profile as one JSON file each:
+ * `<SAVES_DIR>/<profileId>/<slotId>.json`.
+ *
+ *   GET    /api/saves/:profileId          -> { profileId, slots }
+ *   GET    /api/saves/:profileId/:slotId  -> { slot }
+ *   PUT    /api/saves/:profileId/:slotId  { slot, baseUpdatedAt, force } -> { slot }
+ *   DELETE /api/saves/:profileId/:slotId  -> 204
+ *
+ * Conflicts: a PUT carries the server `updatedAt` the client last synced from
+ * (`baseUpdatedAt`, null for a slot it has never synced). If the stored slot
+ * has a different `updatedAt`, it was saved from somewhere else in between and
+ * the server answers 409 with its copy so the client can let the player choose.
+ * `force: true` skips the check (sent once the player has chosen).
+ */
+const fs = require('fs');
+const path = require('path');
+const { JsonFileStore } = require('./JsonFileStore');
+const { RateLimiter } = require('./RateLimiter');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class SaveSlotStore {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.files = new Map(); // file path -> JsonFileStore, so writes to one slot queue up
+    }
+
+    profileDir(profileId) {
+        return path.join(this.rootDir, profileId);
+    }
+
+    slotStore(profileId, slotId) {
+        const file = path.join(this.profileDir(profileId), `${slotId}.json`);
+        if (!this.files.has(file)) {
+            this.files.set(file, new JsonFileStore(file, null));
+        }
+        return this.files.get(file);
+    }
+
+    async list(profileId) {
+        let names = [];
+        try {
+            names = await fs.promises.readdir(this.profileDir(profileId));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        const slots = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.get(profileId, name.slice(0, -'.json'.length))));
+        return slots.filter(Boolean).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    }
+
+    get(profileId, slotId) {
+        return this.slotStore(profileId, slotId).read();
+    }
+
+    /**
+     * Write a slot unless the stored copy changed since `baseUpdatedAt`.
+     * @returns {Promise<{ok:true, slot:Object}|{ok:false, server:Object}>}
+     */
+    put(profileId, slotId, slot, { baseUpdatedAt = null, force = false } = {}) {
+        return this.slotStore(profileId, slotId).swap((current) => {
+            if (!force && current && current.updatedAt !== baseUpdatedAt) {
+                return { next: undefined, result: { ok: false, server: current } };
+            }
+            const next = { ...slot, id: slotId };
+            return { next, result: { ok: true, slot: next } };
+        });
+    }
+
+    async remove(profileId, slotId) {
+        const file = path.join(this.profileDir(profileId), `${slotId}.json`);
+        await fs.promises.rm(file, { force: true });
+        this.files.delete(file);
+    }
+}
+
+function checkIds(params) {
+    if (!ID_PATTERN.test(params.profileId || '')) return 'Profile id must be 1-64 letters, digits, - or _.';
+    if (params.slotId !== undefined && !ID_PATTERN.test(params.slotId)) return 'Slot id must be 1-64 letters, digits, - or _.';
+    return null;
+}
+
+/**
+ * Check a PUT body.
+ * @returns {string|null} error message
+ */
+function validateSlotBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Body must be a JSON object.';
+    const { slot, baseUpdatedAt = null } = body;
+    if (!slot || typeof slot !== 'object' || Array.isArray(slot)) return 'slot must be an object.';
+    if (!Number.isFinite(slot.updatedAt)) return 'slot.updatedAt must be a timestamp.';
+    if (baseUpdatedAt !== null && !Number.isFinite(baseUpdatedAt)) return 'baseUpdatedAt must be a timestamp or null.';
+    return null;
+}
+
+async function listSlots(store, params) {
+    const error = checkIds(params);
+    if (error) return { status: 400, body: { error } };
+    return { status: 200, body: { profileId: params.profileId, slots: await store.list(params.profileId) } };
+}
+
+async function getSlot(store, params) {
+    const error = checkIds(params);
+    if (error) return { status: 400, body: { error } };
+    const slot = await store.get(params.profileId, params.slotId);
+    return slot ? { status: 200, body: { slot } } : { status: 404, body: { error: 'No such save slot.' } };
+}
+
+async function putSlot(store, params, body) {
+    const error = checkIds(params) || validateSlotBody(body);
+    if (error) return { status: 400, body: { error } };
+    const result = await store.put(params.profileId, params.slotId, body.slot, {
+        baseUpdatedAt: body.baseUpdatedAt ?? null,
+        force: body.force === true
+    });
+    if (!result.ok) {
+        return { status: 409, body: { error: 'This slot was saved from somewhere else.', server: result.server } };
+    }
+    return { status: 200, body: { slot: result.slot } };
+}
+
+async function deleteSlot(store, params) {
+    const error = checkIds(params);
+    if (error) return { status: 400, body: { error } };
+    await store.remove(params.profileId, params.slotId);
+    return { status: 204, body: null };
+}
+
+/**
+ * Mount the routes. Writes are rate limited per IP.
+ */
+function registerSaveRoutes(app, express, {
+    store = new SaveSlotStore(process.env.SAVES_DIR || path.join('data', 'saves')),
+    limiter = new RateLimiter({ windowMs: 60000, max: 60 })
+} = {}) {
+    const handle = (fn) => async (req, res, next) => {
+        try {
+            const result = await fn(req);
+            if (result.body === null) {
+                res.status(result.status).end();
+                return;
+            }
+            res.status(result.status).json(result.body);
+        } catch (err) {
+            next(err);
+        }
+    };
+    app.get('/api/saves/:profileId', handle(req => listSlots(store, req.params)));
+    app.get('/api/saves/:profileId/:slotId', handle(req => getSlot(store, req.params)));
+    app.put('/api/saves/:profileId/:slotId', limiter.middleware(), express.json({ limit: '256kb' }),
+        handle(req => putSlot(store, req.params, req.body)));
+    app.delete('/api/saves/:profileId/:slotId', limiter.middleware(),
+        handle(req => deleteSlot(store, req.params)));
+    return { store, limiter };
+}
+
+module.exports = { registerSaveRoutes, SaveSlotStore, listSlots, getSlot, putSlot, deleteSlot };
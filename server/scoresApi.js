@@ -0,0 +1,144 @@
+/**
+ * Shared leaderboard API.
+ *
+ *   GET  /api/scores/:levelId?page=1&pageSize=10  -> { levelId, total, page, pageSize, pages, scores }
+ *   POST /api/scores/:levelId { initials, score, coins, time, enemies } -> 201 { rank, total, entry }
+ *
+ * Scores are kept per level in one JsonFileStore document, sorted the same way
+ * as the game's local HighScoreBoard (score, then faster time, then coins).
+ */
+const { JsonFileStore } = require('./JsonFileStore');
+const { RateLimiter } = require('./RateLimiter');
+
+const MAX_PAGE_SIZE = 50;
+const MAX_ENTRIES_PER_LEVEL = 500;
+
+const LIMITS = {
+    score: 10000000,
+    coins: 100000,
+    time: 24 * 60 * 60 * 1000, // ms
+    enemies: 100000
+};
+
+function compareScores(a, b) {
+    return (b.score - a.score) || (a.time - b.time) || (b.coins - a.coins);
+}
+
+function isValidLevelId(levelId) {
+    return typeof levelId === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(levelId);
+}
+
+/**
+ * The stored list for a level. Only own array entries count, so ids such as
+ * `__proto__` or `constructor` don't pick up inherited properties.
+ */
+function levelScores(data, levelId) {
+    const levels = data.levels;
+    if (!levels || typeof levels !== 'object' || !Object.hasOwn(levels, levelId)) return [];
+    return Array.isArray(levels[levelId]) ? levels[levelId] : [];
+}
+
+/**
+ * Check a submitted run.
+ * @returns {{ok:true, run:Object}|{ok:false, errors:string[]}}
+ */
+function validateRun(body) {
+    const errors = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { ok: false, errors: ['Body must be a JSON object.'] };
+    }
+    const initials = typeof body.initials === 'string' ? body.initials.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{1,3}$/.test(initials)) {
+        errors.push('initials must be 1-3 letters or digits.');
+    }
+    const run = { initials };
+    Object.entries(LIMITS).forEach(([field, max]) => {
+        const value = body[field] ?? 0;
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+            errors.push(`${field} must be a whole number from 0 to ${max}.`);
+        }
+        run[field] = value;
+    });
+    if (!errors.length && run.score === 0) {
+        errors.push('score must be above 0.');
+    }
+    return errors.length ? { ok: false, errors } : { ok: true, run };
+}
+
+function parsePaging(query = {}) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || 10));
+    return { page, pageSize };
+}
+
+async function listScores(store, levelId, query = {}) {
+    if (!isValidLevelId(levelId)) {
+        return { status: 400, body: { error: 'Unknown level id.' } };
+    }
+    const data = await store.read();
+    const all = levelScores(data, levelId);
+    const { page, pageSize } = parsePaging(query);
+    const start = (page - 1) * pageSize;
+    return {
+        status: 200,
+        body: {
+            levelId,
+            total: all.length,
+            page,
+            pageSize,
+            pages: Math.max(1, Math.ceil(all.length / pageSize)),
+            scores: all.slice(start, start + pageSize).map((entry, i) => ({ rank: start + i + 1, ...entry }))
+        }
+    };
+}
+
+async function submitScore(store, levelId, body) {
+    if (!isValidLevelId(levelId)) {
+        return { status: 400, body: { error: 'Unknown level id.' } };
+    }
+    const check = validateRun(body);
+    if (!check.ok) {
+        return { status: 400, body: { error: 'Invalid run.', details: check.errors } };
+    }
+    return store.update((data) => {
+        const list = [...levelScores(data, levelId)];
+        const entry = { id: `${Date.now().toString(36)}-${list.length}`, ...check.run, date: Date.now() };
+        list.push(entry);
+        list.sort(compareScores);
+        const kept = list.slice(0, MAX_ENTRIES_PER_LEVEL);
+        // Null prototype so a level named `__proto__` is stored as a plain key
+        data.levels = Object.assign(Object.create(null), data.levels, { [levelId]: kept });
+        const index = kept.indexOf(entry);
+        return {
+            status: 201,
+            body: { rank: index === -1 ? null : index + 1, total: kept.length, entry }
+        };
+    });
+}
+
+/**
+ * Mount the routes. POSTs are rate limited per IP.
+ */
+function registerScoreRoutes(app, express, {
+    store = new JsonFileStore(process.env.SCORES_FILE || 'data/scores.json', { levels: {} }),
+    limiter = new RateLimiter({ windowMs: 60000, max: 10 })
+} = {}) {
+    const send = (res, result) => res.status(result.status).json(result.body);
+    app.get('/api/scores/:levelId', async (req, res, next) => {
+        try {
+            send(res, await listScores(store, req.params.levelId, req.query));
+        } catch (err) {
+            next(err);
+        }
+    });
+    app.post('/api/scores/:levelId', limiter.middleware(), express.json({ limit: '4kb' }), async (req, res, next) => {
+        try {
+            send(res, await submitScore(store, req.params.levelId, req.body));
+        } catch (err) {
+            next(err);
+        }
+    });
+    return { store, limiter };
+}
+
+module.exports = { registerScoreRoutes, listScores, submitScore, validateRun, compareScores };
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../tools/headless/HeadlessHarness');
+
+function runFor(seed) {
+    const sim = createSimulation({ level: 'testRoom', seed });
+    sim.hold('moveRight');
+    sim.tick(240);
+    return sim.snapshot();
+}
+
+test('the same seed gives the same run', () => {
+    const first = runFor(7);
+    assert.strictEqual(first.seed, 7);
+    assert.deepStrictEqual(runFor(7), first);
+});
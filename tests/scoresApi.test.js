@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore } = require('../server/JsonFileStore');
+const { listScores, submitScore } = require('../server/scoresApi');
+
+function tempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scores-'));
+    return new JsonFileStore(path.join(dir, 'scores.json'), { levels: {} });
+}
+
+const run = { initials: 'AB', score: 100, coins: 2, time: 5000, enemies: 1 };
+
+for (const levelId of ['__proto__', 'constructor']) {
+    test(`level id ${levelId} is an ordinary empty board`, async () => {
+        const store = tempStore();
+        const empty = await listScores(store, levelId);
+        assert.strictEqual(empty.status, 200);
+        assert.strictEqual(empty.body.total, 0);
+
+        const posted = await submitScore(store, levelId, run);
+        assert.strictEqual(posted.status, 201);
+        assert.strictEqual(posted.body.rank, 1);
+
+        const listed = await listScores(store, levelId);
+        assert.strictEqual(listed.body.total, 1);
+        assert.strictEqual(listed.body.scores[0].initials, 'AB');
+        assert.strictEqual((await listScores(store, 'testRoom')).body.total, 0);
+    });
+}
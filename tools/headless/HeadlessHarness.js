@@ -0,0 +1,269 @@
+/**
+ * HeadlessHarness - runs the game under Node without a browser.
+ *
+ * The game scripts are plain browser globals, so they are evaluated in a
+ * `vm` context in the same order as game/index.html, followed by
+ * HeadlessServices.js. Game is then created in headless mode with stub
+ * render/input/audio services and in-memory storage, and the fixed-step loop
+ * is stepped manually.
+ *
+ *   const { createSimulation } = require('./tools/headless/HeadlessHarness');
+ *   const sim = createSimulation({ level: 'testRoom', seed: 1 });
+ *   sim.hold('moveRight');
+ *   sim.tick(120);
+ *   assert(sim.snapshot().player.x > 200);
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const GAME_ROOT = path.join(__dirname, '..', '..', 'game');
+
+/**
+ * Script paths (relative to the game root) in index.html load order.
+ */
+function readScriptOrder(gameRoot = GAME_ROOT) {
+    const html = fs.readFileSync(path.join(gameRoot, 'index.html'), 'utf8');
+    return Array.from(html.matchAll(/<script\s+src="([^"]+)"/g), match => match[1]);
+}
+
+/**
+ * localStorage-compatible store kept in memory.
+ */
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.data = new Map(Object.entries(entries));
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+/**
+ * Image stand-in: keeps the src, never loads (sprites fall back to their colors).
+ */
+class HeadlessImage {
+    constructor() {
+        this.src = '';
+        this.complete = false;
+        this.naturalWidth = 0;
+        this.naturalHeight = 0;
+        this.onload = null;
+        this.onerror = null;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+}
+
+/**
+ * Create a script context with every game script loaded.
+ * @param {Object} [options]
+ * @param {string} [options.gameRoot]
+ * @param {MemoryStorage} [options.storage]
+ * @returns {Object} the context's global object
+ */
+function loadGameContext({ gameRoot = GAME_ROOT, storage = new MemoryStorage() } = {}) {
+    const sandbox = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        performance,
+        structuredClone,
+        Image: HeadlessImage,
+        localStorage: storage
+    };
+    sandbox.window = sandbox;
+    sandbox.globalThis = sandbox;
+    const context = vm.createContext(sandbox);
+
+    const files = readScriptOrder(gameRoot).map(src => path.join(gameRoot, src));
+    files.push(path.join(__dirname, 'HeadlessServices.js'));
+    files.forEach((file) => {
+        const code = fs.readFileSync(file, 'utf8');
+        vm.runInContext(code, context, { filename: path.relative(path.join(gameRoot, '..'), file) });
+    });
+    return context;
+}
+
+/**
+ * A headless game plus helpers to drive input, step ticks and read state.
+ */
+class HeadlessSimulation {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.level] - LevelRegistry id to build (default testRoom)
+     * @param {number} [options.seed] - RandomService seed for deterministic runs
+     * @param {number} [options.width] - Viewport width (default GameConfig.canvas or 1024)
+     * @param {number} [options.height]
+     * @param {Object} [options.storage] - Pre-filled localStorage entries
+     * @param {boolean} [options.start] - Start playing right away (default true)
+     */
+    constructor({ level = 'testRoom', seed = null, width, height, storage = {}, start = true } = {}) {
+        this.storage = new MemoryStorage(storage);
+        this.context = loadGameContext({ storage: this.storage });
+        const run = (code) => vm.runInContext(code, this.context);
+
+        const canvasConfig = run('GameConfig').canvas || {};
+        const render = new (run('HeadlessRenderContext'))(
+            width ?? canvasConfig.width ?? 1024,
+            height ?? canvasConfig.height ?? 576
+        );
+        const input = new (run('HeadlessInputService'))();
+        const audio = new (run('HeadlessAudioService'))(run('GameConfig'));
+        const persistence = new (run('PersistenceService'))(this.storage);
+
+        const Game = run('Game');
+        this.game = new Game('gameCanvas', {
+            headless: true,
+            services: { render, input, audio, persistence }
+        });
+        this.services = this.game.services;
+        this.context.game = this.game;
+
+        this.seed = seed;
+        if (seed !== null) this.services.rng.setSeed?.(seed);
+        if (level && level !== this.game.currentLevelId) {
+            this.game.worldBuilder.createLevel(level);
+        }
+        if (start) this.start();
+    }
+
+    /**
+     * Leave the menu and enter the play state (without the real-time loop).
+     */
+    start() {
+        // startGame reseeds from runSeed, so the requested seed has to go there
+        if (this.seed !== null) this.game.runSeed = this.seed;
+        this.game.stateManager.startGame();
+        this.game.running = true;
+        return this;
+    }
+
+    get player() {
+        return this.game.player;
+    }
+
+    get tickCount() {
+        return this.game.loop.tickCount;
+    }
+
+    /**
+     * Advance the simulation by fixed steps.
+     * @param {number} [count]
+     * @param {function(HeadlessSimulation):boolean} [until] - stop early once this returns true
+     * @returns {number} steps actually run
+     */
+    tick(count = 1, until = null) {
+        let steps = 0;
+        for (; steps < count; steps++) {
+            if (until && until(this)) break;
+            this.game.loop.step();
+        }
+        return steps;
+    }
+
+    /**
+     * Run one render pass against the null canvas (catches render-time errors).
+     */
+    render() {
+        this.game.onRender(1);
+        return this;
+    }
+
+    hold(action) {
+        this.services.input.press(action);
+        return this;
+    }
+
+    release(action) {
+        this.services.input.release(action);
+        return this;
+    }
+
+    /**
+     * Press an action for a number of ticks, then release it.
+     */
+    tap(action, ticks = 1) {
+        this.hold(action);
+        this.tick(ticks);
+        return this.release(action);
+    }
+
+    releaseAll() {
+        this.services.input.releaseAll();
+        return this;
+    }
+
+    /**
+     * Plain-data view of the run for assertions and logging.
+     */
+    snapshot() {
+        const g = this.game;
+        const p = g.player;
+        const count = list => (Array.isArray(list) ? list.filter(e => e && e.active !== false).length : 0);
+        return {
+            tick: this.tickCount,
+            gameTime: g.gameTime,
+            state: g.stateManager.getState?.() ?? g.state,
+            level: g.currentLevelId ?? null,
+            seed: g.runSeed ?? null,
+            player: p ? {
+                x: p.x,
+                y: p.y,
+                velocity: { x: p.velocity.x, y: p.velocity.y },
+                onGround: !!p.onGround,
+                health: p.health,
+                maxHealth: p.maxHealth,
+                coins: p.coins
+            } : null,
+            stats: { ...g.stats },
+            entities: {
+                enemies: count(g.enemies),
+                items: count(g.items),
+                projectiles: count(g.projectiles),
+                hazards: count(g.hazards),
+                npcs: count(g.npcs),
+                platforms: count(g.platforms)
+            },
+            // Array.from so the list isn't an Array from the game's vm context
+            sounds: Array.from(this.services.audio.played, entry => entry.id)
+        };
+    }
+}
+
+function createSimulation(options) {
+    return new HeadlessSimulation(options);
+}
+
+module.exports = {
+    HeadlessSimulation,
+    MemoryStorage,
+    createSimulation,
+    loadGameContext,
+    readScriptOrder
+};
@@ -0,0 +1,150 @@
+/**
+ * HeadlessServices - stand-in render/input/audio services for running the
+ * game without a browser (see HeadlessHarness.js).
+ *
+ * Loaded into the same script context as the game, after the game scripts, so
+ * these extend the real service adapters and are handed to Game through
+ * `options.services` (and from there through ServiceLocator).
+ */
+
+/**
+ * 2D context that accepts every canvas call and draws nothing.
+ */
+function createNullContext() {
+    const noop = () => {};
+    const state = {
+        canvas: null,
+        measureText: (text = '') => ({ width: String(text).length * 8 }),
+        createLinearGradient: () => ({ addColorStop: noop }),
+        createRadialGradient: () => ({ addColorStop: noop }),
+        createPattern: () => null,
+        getImageData: (x, y, w = 1, h = 1) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 })
+    };
+    return new Proxy(state, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            return noop;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Canvas-shaped object with a fixed size and a null 2D context.
+ */
+class HeadlessCanvas {
+    constructor(width = 1024, height = 576) {
+        this.width = width;
+        this.height = height;
+        this.style = {};
+        this.ctx = createNullContext();
+        this.ctx.canvas = this;
+    }
+
+    getContext() {
+        return this.ctx;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height };
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+}
+
+/**
+ * RenderContext over a HeadlessCanvas; counts clears so runs can tell frames were rendered.
+ */
+class HeadlessRenderContext extends RenderContext {
+    constructor(width, height) {
+        const canvas = new HeadlessCanvas(width, height);
+        super(canvas, canvas.ctx);
+        this.frames = 0;
+    }
+
+    clear() {
+        this.frames++;
+    }
+}
+
+/**
+ * InputService over an InputManager with no DOM listeners. Actions are held or
+ * tapped through their first binding, so gameplay sees the same key state a
+ * keyboard would produce.
+ */
+class HeadlessInputService extends InputService {
+    constructor(manager = new InputManager({ attachDom: false })) {
+        super(manager);
+    }
+
+    keyFor(action) {
+        const key = this.getBindings(action)[0];
+        if (!key) throw new Error(`No binding for action "${action}"`);
+        return key;
+    }
+
+    press(action) {
+        this.manager.setVirtualKey(this.keyFor(action), true);
+    }
+
+    release(action) {
+        this.manager.setVirtualKey(this.keyFor(action), false);
+    }
+
+    releaseAll() {
+        Object.keys(this.manager.keys).forEach((key) => {
+            this.manager.keys[key] = false;
+        });
+    }
+
+    aimAt(x, y) {
+        this.manager.aimAt(x, y);
+    }
+}
+
+/**
+ * AudioManager with nothing loaded (no `Audio` under Node) that logs the
+ * sound/music ids the game asked for. Logging here rather than in the service
+ * also catches code that calls game.audioManager directly.
+ */
+class RecordingAudioManager extends AudioManager {
+    constructor(config = null) {
+        super(config);
+        this.played = [];
+    }
+
+    playSound(name, volume = 1.0) {
+        this.played.push({ type: 'sound', id: name, volume });
+        return super.playSound(name, volume);
+    }
+
+    playMusic(name, volume = 1.0, options = {}) {
+        this.played.push({ type: 'music', id: name, volume });
+        return super.playMusic(name, volume, options);
+    }
+}
+
+/**
+ * Silent audio service over a RecordingAudioManager.
+ */
+class HeadlessAudioService extends AudioService {
+    constructor(config = null) {
+        super(new RecordingAudioManager(config));
+    }
+
+    get played() {
+        return this.manager.played;
+    }
+
+    hasPlayed(id) {
+        return this.played.some(entry => entry.id === id);
+    }
+}
+
+// Offscreen layers (procedural backgrounds) draw into null canvases as well
+RenderContext.createCanvas = (width, height) => new HeadlessCanvas(width, height);
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * simulate.js - run a level headlessly for N ticks and check the result.
+ *
+ *   node tools/headless/simulate.js --level testRoom --ticks 600 --seed 7 \
+ *       --hold moveRight --expect "player.x>400" --expect "player.health>0"
+ *
+ * Prints the final snapshot as JSON. Each --expect is `<path><op><number>`
+ * (ops: > >= < <= == !=) against the snapshot; the process exits with code 1
+ * if any expectation fails or the run throws.
+ */
+const { createSimulation } = require('./HeadlessHarness');
+
+function parseArgs(argv) {
+    const args = { level: 'testRoom', ticks: 600, seed: 1, hold: [], expect: [], render: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const next = () => argv[++i];
+        switch (flag) {
+            case '--level': args.level = next(); break;
+            case '--ticks': args.ticks = Number(next()); break;
+            case '--seed': args.seed = Number(next()); break;
+            case '--hold': args.hold.push(...next().split(',').filter(Boolean)); break;
+            case '--expect': args.expect.push(next()); break;
+            case '--render': args.render = true; break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return args;
+}
+
+function readPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * @returns {{ok: boolean, actual: *}}
+ */
+function checkExpectation(snapshot, expression) {
+    const match = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<)\s*(-?[\d.]+)\s*$/.exec(expression);
+    if (!match) throw new Error(`Bad expectation "${expression}" (use e.g. player.x>400)`);
+    const [, path, op, raw] = match;
+    const actual = readPath(snapshot, path);
+    const expected = Number(raw);
+    const compare = {
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    }[op];
+    return { ok: typeof actual === 'number' && compare(actual, expected), actual };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: simulate.js [--level id] [--ticks n] [--seed n] [--hold action[,action]] [--expect "path>n"] [--render]');
+        return 0;
+    }
+
+    const sim = createSimulation({ level: args.level, seed: args.seed });
+    args.hold.forEach(action => sim.hold(action));
+    for (let i = 0; i < args.ticks; i++) {
+        sim.tick();
+        if (args.render) sim.render();
+    }
+
+    const snapshot = sim.snapshot();
+    console.log(JSON.stringify(snapshot, null, 2));
+
+    let failed = 0;
+    args.expect.forEach((expression) => {
+        const { ok, actual } = checkExpectation(snapshot, expression);
+        if (!ok) failed++;
+        console.log(`${ok ? 'PASS' : 'FAIL'} ${expression} (actual: ${actual})`);
+    });
+    return failed ? 1 : 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (err) {
+    console.error(err.stack || err);
+    process.exitCode = 1;
+}